@@ -0,0 +1,164 @@
+// Авторизация запросов: сессии с ограниченным сроком жизни и долгоживущие API-ключи со scope.
+// Токены хранятся в базе только в виде sha256-хэша.
+//
+// LEGACY_AUTH=1 — режим совместимости со старыми клиентами: принимаются постоянный users.auth_token
+// и «голый» userId в теле, query или заголовке. Без флага такие запросы считаются неавторизованными.
+
+import crypto from "crypto";
+
+export const LEGACY_AUTH = process.env.LEGACY_AUTH === "1";
+export const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS) || 30;
+
+// ключи отличаются от токенов сессий префиксом
+export const API_KEY_PREFIX = "apk_";
+
+// scope API-ключа -> право в пространстве (см. workspaces.js); manage ключам недоступен
+export const API_KEY_SCOPES = ["posts:read", "posts:write", "posts:send", "generate"];
+const PERMISSION_SCOPES = {
+  read: "posts:read",
+  edit: "posts:write",
+  publish: "posts:send",
+  generate: "generate",
+};
+
+// lastUsedAt обновляется не чаще раза в минуту, чтобы не писать в БД на каждый запрос
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function authError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Token from the request: Authorization: Bearer, x-auth-token, auth_token в теле или query.
+ */
+export function credentials(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || "")?.[1];
+  return (
+    bearer ||
+    req.headers["x-auth-token"] ||
+    req.headers["x_auth_token"] ||
+    (req.body && req.body.auth_token) ||
+    (req.query && req.query.auth_token) ||
+    null
+  );
+}
+
+/**
+ * Response for a request without a valid requester:
+ * токен не передан -> 400, передан, но неизвестен или истёк -> 401.
+ * Returns { status, error }
+ */
+export function unauthenticated(req) {
+  if (credentials(req)) return { status: 401, error: "Токен недействителен или сессия истекла" };
+  return { status: 400, error: "user authentication required (provide x-auth-token or auth_token or x-auth-token)" };
+}
+
+/**
+ * Create a session for the user. Заодно удаляет его истёкшие сессии.
+ * Returns { id, token, expiresAt } — token показывается только один раз
+ */
+export async function createSession(database, userId, req) {
+  const now = new Date();
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = new Date(now.getTime() + SESSION_TTL_DAYS * 24 * 3600 * 1000).toISOString();
+
+  await database.run("DELETE FROM sessions WHERE user_id = ? AND expiresAt <= ?", [userId, now.toISOString()]);
+  const result = await database.run(
+    "INSERT INTO sessions (user_id, token_hash, user_agent, createdAt, expiresAt) VALUES (?, ?, ?, ?, ?)",
+    [userId, hashToken(token), req.get("user-agent") || null, now.toISOString(), expiresAt]
+  );
+  return { id: result.lastID, token, expiresAt };
+}
+
+/**
+ * New API key. Returns { key, hash, prefix } — key показывается только один раз
+ */
+export function generateApiKey() {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+  return { key, hash: hashToken(key), prefix: key.slice(0, API_KEY_PREFIX.length + 6) };
+}
+
+/**
+ * Validate API key scopes: непустой список из API_KEY_SCOPES. Бросает ошибку с status 400.
+ */
+export function normalizeScopes(value) {
+  const scopes = Array.isArray(value) ? [...new Set(value)] : [];
+  if (!scopes.length || scopes.some((s) => !API_KEY_SCOPES.includes(s)))
+    throw authError(`scopes — непустой массив из: ${API_KEY_SCOPES.join(", ")}`);
+  return scopes;
+}
+
+/**
+ * Whether the requester's credentials allow the permission (read | edit | publish | generate | manage).
+ * Сессии ограничены только ролью; API-ключ — ещё и своими scope, а без permission
+ * (управление аккаунтом, сессиями и ключами) ключ не действует.
+ */
+export function scopeAllows(requester, permission) {
+  if (!requester.scopes) return true;
+  const scope = PERMISSION_SCOPES[permission];
+  return !!scope && requester.scopes.includes(scope);
+}
+
+async function touch(database, table, row) {
+  if (row.lastUsedAt && Date.now() - new Date(row.lastUsedAt).getTime() < TOUCH_INTERVAL_MS) return;
+  await database.run(`UPDATE ${table} SET lastUsedAt = ? WHERE id = ?`, [new Date().toISOString(), row.id]);
+}
+
+function legacyUserId(req) {
+  const value =
+    req.body?.userId ?? req.query?.userId ?? req.headers["x-auth-token"] ?? req.headers["x_user_id"];
+  if (value === undefined || value === null) return null;
+  const n = Number(value);
+  return Number.isInteger(n) ? n : null;
+}
+
+async function resolveRequester(database, req) {
+  const token = credentials(req);
+  const now = new Date().toISOString();
+
+  if (token && String(token).startsWith(API_KEY_PREFIX)) {
+    const key = await database.get(
+      "SELECT id, user_id, scopes, lastUsedAt FROM api_keys WHERE key_hash = ? AND (expiresAt IS NULL OR expiresAt > ?)",
+      [hashToken(token), now]
+    );
+    if (key) {
+      await touch(database, "api_keys", key);
+      return { userId: key.user_id, via: "api_key", apiKeyId: key.id, scopes: JSON.parse(key.scopes) };
+    }
+  } else if (token) {
+    const session = await database.get(
+      "SELECT id, user_id, lastUsedAt FROM sessions WHERE token_hash = ? AND expiresAt > ?",
+      [hashToken(token), now]
+    );
+    if (session) {
+      await touch(database, "sessions", session);
+      return { userId: session.user_id, via: "session", sessionId: session.id, scopes: null };
+    }
+  }
+
+  if (!LEGACY_AUTH) return null;
+
+  // legacy: постоянный токен пользователя, затем числовой userId
+  if (token) {
+    const user = await database.get("SELECT id FROM users WHERE auth_token = ?", token);
+    if (user) return { userId: user.id, via: "legacy", scopes: null };
+  }
+  const userId = legacyUserId(req);
+  return userId === null ? null : { userId, via: "legacy", scopes: null };
+}
+
+/**
+ * Requester of the request (результат кэшируется на req):
+ * { userId, via: session | api_key | legacy, sessionId?, apiKeyId?, scopes: [..] | null } or null
+ * - database: база (таблицы sessions, api_keys, users)
+ */
+export function authenticate(database, req) {
+  if (!req.requester) req.requester = resolveRequester(database, req);
+  return req.requester;
+}
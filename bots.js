@@ -0,0 +1,153 @@
+// Токены ботов: шифрование в базе, маскирование в ответах API и проверка прав бота в канале.
+//
+// Шифрование — AES-256-GCM ключом из окружения:
+// - TOKEN_ENCRYPTION_KEY — текущий ключ (любая строка, из неё выводится 256-битный ключ);
+// - TOKEN_ENCRYPTION_OLD_KEYS — прежние ключи через запятую: ими значения только расшифровываются,
+//   при старте сервера все токены перешифровываются текущим ключом (см. reencryptTokens).
+// Формат значения: enc:<id ключа>:<iv>:<tag>:<шифртекст> (base64url); значение без префикса — открытый текст.
+
+import crypto from "crypto";
+import TelegramBot from "node-telegram-bot-api";
+
+const PREFIX = "enc";
+
+function keyEntry(secret) {
+  const key = crypto.createHash("sha256").update(secret).digest();
+  return { id: crypto.createHash("sha256").update(key).digest("hex").slice(0, 8), key };
+}
+
+const currentKey = process.env.TOKEN_ENCRYPTION_KEY ? keyEntry(process.env.TOKEN_ENCRYPTION_KEY) : null;
+const keys = new Map(
+  [currentKey, ...(process.env.TOKEN_ENCRYPTION_OLD_KEYS || "").split(",").map((s) => s.trim()).filter(Boolean).map(keyEntry)]
+    .filter(Boolean)
+    .map((entry) => [entry.id, entry.key])
+);
+
+export const ENCRYPTION_ENABLED = !!currentKey;
+
+function botError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Encrypt a bot token for storage. Без TOKEN_ENCRYPTION_KEY возвращает токен как есть.
+ */
+export function encryptToken(token) {
+  if (!token || !currentKey) return token;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", currentKey.key, iv);
+  const data = Buffer.concat([cipher.update(String(token), "utf8"), cipher.final()]);
+  return [PREFIX, currentKey.id, iv, cipher.getAuthTag(), data]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString("base64url") : part))
+    .join(":");
+}
+
+/**
+ * Decrypt a stored bot token (открытый текст старых записей возвращается как есть).
+ * Бросает ошибку, если ключа, которым зашифрован токен, нет в окружении.
+ */
+export function decryptToken(stored) {
+  if (!stored || !String(stored).startsWith(`${PREFIX}:`)) return stored;
+  const [, id, iv, tag, data] = String(stored).split(":");
+  const key = keys.get(id);
+  if (!key) throw new Error(`Нет ключа ${id} для расшифровки токена бота (TOKEN_ENCRYPTION_KEY / TOKEN_ENCRYPTION_OLD_KEYS)`);
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, Buffer.from(iv, "base64url"));
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+  return Buffer.concat([decipher.update(Buffer.from(data, "base64url")), decipher.final()]).toString("utf8");
+}
+
+/**
+ * Masked form for API responses: id бота и последние 4 символа секрета — 123456:…wXyZ.
+ */
+export function maskToken(stored) {
+  if (!stored) return null;
+  let token;
+  try {
+    token = decryptToken(stored);
+  } catch {
+    return "…";
+  }
+  const [botId, secret = ""] = String(token).split(":");
+  return `${botId}:…${secret.slice(-4)}`;
+}
+
+/**
+ * Whether the value is a masked token (клиент прислал обратно то, что получил в ответе).
+ */
+export function isMaskedToken(value) {
+  return typeof value === "string" && value.includes("…");
+}
+
+/**
+ * Encrypt plaintext tokens and re-encrypt tokens under old keys with the current key.
+ * - database: база (таблицы users и channels)
+ * Returns number of updated rows
+ */
+export async function reencryptTokens(database) {
+  if (!currentKey) {
+    console.warn("⚠️ TOKEN_ENCRYPTION_KEY не задан — токены ботов хранятся открытым текстом");
+    return 0;
+  }
+
+  let updated = 0;
+  for (const table of ["users", "channels"]) {
+    const rows = await database.all(`SELECT id, telegram_token FROM ${table} WHERE telegram_token IS NOT NULL`);
+    for (const row of rows) {
+      if (String(row.telegram_token).startsWith(`${PREFIX}:${currentKey.id}:`)) continue;
+      try {
+        const token = decryptToken(row.telegram_token);
+        await database.run(`UPDATE ${table} SET telegram_token = ? WHERE id = ?`, [encryptToken(token), row.id]);
+        updated++;
+      } catch (err) {
+        console.error(`Не удалось перешифровать токен (${table} #${row.id}):`, err.message);
+      }
+    }
+  }
+  if (updated) console.log(`🔐 Перешифровано токенов ботов: ${updated}`);
+  return updated;
+}
+
+/**
+ * Check a bot token against a channel: getMe, getChat и права бота в канале.
+ * Бот должен быть администратором с правом публикации (в каналах — can_post_messages).
+ * Returns { bot: { id, username }, chat: { id, title, username, type }, status }
+ * Бросает ошибку с status 400, если проверка не пройдена.
+ */
+export async function verifyBot(token, chatId) {
+  const bot = new TelegramBot(token, { polling: false });
+
+  let me;
+  try {
+    me = await bot.getMe();
+  } catch (err) {
+    throw botError(`Telegram не принял токен бота: ${err.message}`);
+  }
+
+  let chat;
+  try {
+    chat = await bot.getChat(chatId);
+  } catch (err) {
+    throw botError(`Бот @${me.username} не видит канал ${chatId}: ${err.message}`);
+  }
+
+  let member;
+  try {
+    member = await bot.getChatMember(chat.id, me.id);
+  } catch (err) {
+    throw botError(`Не удалось проверить права бота @${me.username} в ${chatId}: ${err.message}`);
+  }
+  const canPost =
+    member.status === "creator" ||
+    (member.status === "administrator" && (chat.type !== "channel" || member.can_post_messages));
+  if (!canPost)
+    throw botError(`Бот @${me.username} должен быть администратором ${chatId} с правом публикации сообщений`);
+
+  return {
+    bot: { id: me.id, username: me.username },
+    chat: { id: chat.id, title: chat.title ?? null, username: chat.username ?? null, type: chat.type },
+    status: member.status,
+  };
+}
@@ -0,0 +1,412 @@
+// Массовые операции с постами: импорт и экспорт (CSV, JSON-массив, zip с Markdown-файлами)
+// и действия над списком id (запланировать, снять с плана, удалить, сдвинуть время).
+//
+// Поля поста во всех форматах: title, description, scheduledAt, image (ссылка на картинку; url — синоним).
+// В Markdown title, scheduledAt и image — во front-matter, текст файла — description:
+//
+//   ---
+//   title: Анонс
+//   scheduledAt: 2026-11-01T09:00:00Z
+//   image: images/cover.jpg
+//   ---
+//   Текст поста
+//
+// image в zip может указывать на файл внутри архива (путь относительно .md) — он станет загрузкой.
+
+import AdmZip from "adm-zip";
+import YAML from "yamljs";
+import path from "path";
+import zlib from "zlib";
+import { DEFAULT_TIMEZONE, parseScheduledAt, checkQuietHours, toLocalIso } from "./timezone.js";
+import { findDuplicates, duplicateMessage } from "./similarity.js";
+
+export const TRANSFER_FORMATS = ["csv", "json", "zip"];
+export const EXPORT_SCOPES = ["queue", "history", "all"];
+export const BULK_ACTIONS = ["schedule", "unschedule", "delete", "shift"];
+
+export const MAX_IMPORT_POSTS = 500;
+export const MAX_BULK_IDS = 500;
+export const MAX_IMPORT_BYTES = 20 * 1024 * 1024;
+// суммарный размер распакованного zip — защита от архивов-бомб
+const MAX_UNPACKED_BYTES = 100 * 1024 * 1024;
+const TITLE_LIMIT = 256;
+
+// колонки экспорта; импорт читает title, description, scheduledAt, image и status, остальные пропускает
+export const EXPORT_FIELDS = ["id", "title", "description", "image", "scheduledAt", "status", "sentAt"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  json: "application/json; charset=utf-8",
+  zip: "application/zip",
+};
+
+// картинки из zip: поле image публикуется фото (см. postMedia в posts.js)
+const IMAGE_TYPES = { ".jpg": "image/jpeg", ".jpeg": "image/jpeg", ".png": "image/png", ".webp": "image/webp" };
+
+const UNITS = { s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+
+function bulkError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Import format: явный ?format, иначе по расширению или MIME-типу файла. Бросает ошибку с status 400.
+ */
+export function detectFormat(format, filename = "", mimetype = "") {
+  if (format) {
+    if (!TRANSFER_FORMATS.includes(format)) throw bulkError(`format должен быть одним из: ${TRANSFER_FORMATS.join(", ")}`);
+    return format;
+  }
+  const ext = path.extname(filename).slice(1).toLowerCase();
+  if (TRANSFER_FORMATS.includes(ext)) return ext;
+  if (mimetype === "text/csv") return "csv";
+  if (mimetype === "application/json") return "json";
+  if (mimetype === "application/zip" || mimetype === "application/x-zip-compressed") return "zip";
+  throw bulkError(`Не удалось определить формат файла, укажите format: ${TRANSFER_FORMATS.join(", ")}`);
+}
+
+/**
+ * Parse CSV (RFC 4180: кавычки, переводы строк внутри полей). Разделитель — запятая или точка с запятой
+ * (так сохраняет Excel в русской локали), определяется по первой строке. Returns array of rows
+ */
+export function parseCsv(text) {
+  const source = text.replace(/^\uFEFF/, "");
+  const firstLine = source.slice(0, source.search(/\r?\n|$/));
+  const delimiter = firstLine.includes(";") && !firstLine.includes(",") ? ";" : ",";
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === "") quoted = true;
+    else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else field += ch;
+  }
+  if (quoted) throw bulkError("CSV: незакрытая кавычка");
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // пустые строки (в том числе последняя) не считаются записями
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+function csvValue(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  // ячейку с = + - @ в начале Excel и LibreOffice считают формулой: апостроф делает её текстом
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows) {
+  return rows.map((row) => row.map(csvValue).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * Split Markdown into front-matter (YAML между строками ---) and body. Returns { data, body }
+ */
+export function parseFrontMatter(text) {
+  const source = text.replace(/^\uFEFF/, "");
+  const m = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(source);
+  if (!m) return { data: {}, body: source.trim() };
+  let data;
+  try {
+    data = YAML.parse(m[1]);
+  } catch (err) {
+    throw bulkError(`front-matter: ${err.message}`);
+  }
+  if (!data || typeof data !== "object") data = {};
+  // YAML читает дату без смещения как UTC — берём строку как есть, чтобы время считалось в поясе пользователя
+  if (data.scheduledAt instanceof Date) data.scheduledAt = /^scheduledAt:\s*(.+?)\s*$/m.exec(m[1])?.[1] ?? data.scheduledAt;
+  return { data, body: source.slice(m[0].length).trim() };
+}
+
+function toMarkdown(fields, body) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined && value !== "")
+    .map(([key, value]) => `${key}: ${JSON.stringify(value)}`); // строка в двойных кавычках — тоже YAML
+  return `---\n${lines.join("\n")}\n---\n\n${body || ""}\n`;
+}
+
+// значение поля записи: строка или null (даты из YAML приходят объектами Date)
+function fieldValue(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  const text = String(value).trim();
+  return text === "" ? null : text;
+}
+
+function recordFields(data, body) {
+  return {
+    title: fieldValue(data.title),
+    description: body !== undefined ? fieldValue(body) : fieldValue(data.description),
+    scheduledAt: fieldValue(data.scheduledAt),
+    image: fieldValue(data.image ?? data.url),
+    status: fieldValue(data.status),
+  };
+}
+
+function readCsv(buffer) {
+  const [header, ...rows] = parseCsv(buffer.toString("utf8"));
+  if (!header) return [];
+  const names = header.map((name) => name.trim());
+  if (!names.includes("title")) throw bulkError("CSV: в первой строке нет колонки title");
+  return rows.map((row, i) => ({
+    source: `строка ${i + 2}`,
+    // апостроф перед = + - @ — экранирование формулы из экспорта (см. csvValue), в пост он не попадает
+    ...recordFields(Object.fromEntries(names.map((name, j) => [name, row[j]?.replace(/^'(?=[=+\-@])/, "")]))),
+  }));
+}
+
+function readJson(value) {
+  let items = value;
+  if (Buffer.isBuffer(value)) {
+    try {
+      items = JSON.parse(value.toString("utf8").replace(/^\uFEFF/, ""));
+    } catch (err) {
+      throw bulkError(`JSON: ${err.message}`);
+    }
+  }
+  if (!Array.isArray(items)) throw bulkError("JSON: ожидается массив постов");
+  return items.map((item, i) => ({
+    source: `элемент ${i}`,
+    ...(item && typeof item === "object" && !Array.isArray(item) ? recordFields(item) : { invalid: true }),
+  }));
+}
+
+// способы сжатия записей zip: без сжатия и deflate
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+/**
+ * Entry reader that keeps the total of unpacked bytes within MAX_UNPACKED_BYTES.
+ * Размер в заголовке записи задаёт сам архив, поэтому считаются фактически распакованные байты,
+ * а распаковка прерывается, как только лимит превышен. Бросает ошибку с status 400.
+ */
+function zipReader() {
+  let unpacked = 0;
+  return (entry) => {
+    let data;
+    try {
+      if (entry.header.encrypted) throw new Error("архивы с паролем не поддерживаются");
+      const compressed = entry.getCompressedData();
+      if (entry.header.method === ZIP_STORED) data = compressed;
+      else if (entry.header.method === ZIP_DEFLATED)
+        data = zlib.inflateRawSync(compressed, { maxOutputLength: MAX_UNPACKED_BYTES - unpacked + 1 });
+      else throw new Error(`неподдерживаемый способ сжатия ${entry.header.method}`);
+    } catch (err) {
+      if (err.code === "ERR_BUFFER_TOO_LARGE") throw bulkError("zip: распакованный архив слишком большой");
+      throw bulkError(`zip: ${entry.entryName}: ${err.message}`);
+    }
+    unpacked += data.length;
+    if (unpacked > MAX_UNPACKED_BYTES) throw bulkError("zip: распакованный архив слишком большой");
+    return data;
+  };
+}
+
+function readZip(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (err) {
+    throw bulkError(`zip: ${err.message}`);
+  }
+  const entries = zip.getEntries().filter((e) => !e.isDirectory && !e.entryName.startsWith("__MACOSX/"));
+  // заявленный размер — быстрый отказ до распаковки; сам лимит проверяет zipReader
+  const declared = entries.reduce((sum, e) => sum + e.header.size, 0);
+  if (declared > MAX_UNPACKED_BYTES) throw bulkError("zip: распакованный архив слишком большой");
+  const read = zipReader();
+
+  const byName = new Map(entries.map((e) => [path.posix.normalize(e.entryName), e]));
+  return entries
+    .filter((e) => /\.(md|markdown)$/i.test(e.entryName))
+    .sort((a, b) => a.entryName.localeCompare(b.entryName, undefined, { numeric: true }))
+    .map((entry) => {
+      const record = { source: entry.entryName };
+      const text = read(entry).toString("utf8");
+      let parsed;
+      try {
+        parsed = parseFrontMatter(text);
+      } catch (err) {
+        return { ...record, invalid: true, error: err.message };
+      }
+      Object.assign(record, recordFields(parsed.data, parsed.body));
+
+      // картинка из архива — путь относительно .md; внешняя ссылка остаётся ссылкой
+      if (record.image && !/^https?:\/\//i.test(record.image)) {
+        const name = path.posix.normalize(path.posix.join(path.posix.dirname(entry.entryName), record.image));
+        const file = byName.get(name);
+        if (file) {
+          const ext = path.extname(name).toLowerCase();
+          record.file = { name: path.posix.basename(name), ext, mimetype: IMAGE_TYPES[ext] || null, data: read(file) };
+        }
+      }
+      return record;
+    });
+}
+
+/**
+ * Read import records from a file (csv, json, zip) or a JSON body (массив постов).
+ * Бросает ошибку с status 400, если файл целиком не читается.
+ * Returns [{ source, title, description, scheduledAt, image, file? }]
+ */
+export function readImport(input, format) {
+  const records = format === "csv" ? readCsv(input) : format === "zip" ? readZip(input) : readJson(input);
+  if (!records.length) throw bulkError("В файле нет постов");
+  if (records.length > MAX_IMPORT_POSTS) throw bulkError(`За один импорт — не больше ${MAX_IMPORT_POSTS} постов`);
+  return records;
+}
+
+/**
+ * Dry-run check of import records: ошибки каждой записи, ничего не сохраняет.
+ * scheduledAt без смещения — в timezone пользователя; в items — уже в UTC и локальное (см. timezone.js).
+ * Уже отправленный пост (status: sent из экспорта) и прошедшее время импортируются черновиком
+ * с предупреждением в warnings — так файл экспорта истории принимается обратно.
+ * duplicates — { posts, threshold, block }: с чем сравнивать записи (см. similarity.js); при block похожая запись — ошибка.
+ * Returns { total, valid, invalid, items: [{ index, source, title, scheduledAt, scheduledAtLocal, image, duplicates, errors, warnings }] }
+ */
+export function validateImport(records, { timezone = DEFAULT_TIMEZONE, quiet = null, now = new Date(), duplicates = null } = {}) {
+  const items = records.map((record, index) => {
+    const errors = [];
+    const warnings = [];
+    let scheduledAt = null;
+    let similar = [];
+    if (record.invalid) errors.push(record.error || "Запись должна быть объектом с полями поста");
+    else {
+      if (!record.title) errors.push("title обязателен");
+      else if (record.title.length > TITLE_LIMIT) errors.push(`title длиннее ${TITLE_LIMIT} символов`);
+
+      if (record.status === "sent") warnings.push("Пост уже отправлен — импортируется черновиком");
+      else if (record.scheduledAt) {
+        try {
+          scheduledAt = parseScheduledAt(record.scheduledAt, timezone);
+          if (new Date(scheduledAt) <= now) {
+            warnings.push("scheduledAt уже прошло — пост импортируется черновиком");
+            scheduledAt = null;
+          } else checkQuietHours(scheduledAt, quiet, timezone);
+        } catch (err) {
+          errors.push(err.message);
+        }
+      }
+
+      if (record.file && !record.file.mimetype)
+        errors.push(`image: допустимы только ${Object.keys(IMAGE_TYPES).join(", ")}`);
+      else if (record.image && !record.file && !/^https?:\/\/\S+$/i.test(record.image))
+        errors.push("image должен быть ссылкой http(s) или файлом из архива");
+
+      if (duplicates && record.title) {
+        similar = findDuplicates(record, duplicates.posts, duplicates.threshold);
+        if (similar.length && duplicates.block) errors.push(duplicateMessage(similar));
+      }
+    }
+    return {
+      index,
+      source: record.source,
+      title: record.title ?? null,
+      scheduledAt: scheduledAt ?? (errors.length ? record.scheduledAt : null) ?? null,
+      scheduledAtLocal: scheduledAt && toLocalIso(scheduledAt, timezone),
+      image: record.image ?? null,
+      duplicates: similar,
+      errors,
+      warnings,
+    };
+  });
+  const invalid = items.filter((item) => item.errors.length).length;
+  return { total: items.length, valid: items.length - invalid, invalid, items };
+}
+
+/**
+ * Status of a post as in the list filter (см. search.js): draft | scheduled | sent | failed.
+ */
+export function listStatus(post) {
+  if (post.status === "sent" || post.status === "failed") return post.status;
+  return post.scheduledAt ? "scheduled" : "draft";
+}
+
+/**
+ * Build an export file. readUpload(url) -> Buffer | null — содержимое своей загрузки, чтобы положить
+ * картинку в zip рядом с .md (внешние ссылки остаются ссылками).
+ * Returns { body, contentType }
+ */
+export function buildExport(posts, format, { readUpload = () => null } = {}) {
+  const rows = posts.map((post) => ({
+    id: post.id,
+    title: post.title,
+    description: post.description ?? null,
+    image: post.url || null,
+    scheduledAt: post.scheduledAt || null,
+    status: listStatus(post),
+    sentAt: post.sentAt || null,
+  }));
+
+  if (format === "csv") {
+    const body = "\uFEFF" + toCsv([EXPORT_FIELDS, ...rows.map((row) => EXPORT_FIELDS.map((name) => row[name]))]);
+    return { body, contentType: CONTENT_TYPES.csv };
+  }
+  if (format === "json") return { body: JSON.stringify(rows, null, 2), contentType: CONTENT_TYPES.json };
+
+  const zip = new AdmZip();
+  for (const { description, ...fields } of rows) {
+    const data = fields.image && readUpload(fields.image);
+    if (data) {
+      const name = `images/${fields.id}-${path.basename(fields.image)}`;
+      zip.addFile(name, data);
+      fields.image = name;
+    }
+    zip.addFile(`post-${fields.id}.md`, Buffer.from(toMarkdown(fields, description), "utf8"));
+  }
+  return { body: zip.toBuffer(), contentType: CONTENT_TYPES.zip };
+}
+
+/**
+ * Time offset for action shift: секунды числом или строка вида 90m, -2h, +1d, 30s.
+ * Returns seconds (не 0). Бросает ошибку с status 400.
+ */
+export function parseOffset(value) {
+  if (typeof value === "number" && Number.isInteger(value) && value !== 0) return value;
+  const m = /^([+-]?)(\d+)\s*([smhd])$/.exec(String(value ?? "").trim());
+  const seconds = m ? Number(m[2]) * UNITS[m[3]] * (m[1] === "-" ? -1 : 1) : 0;
+  if (!seconds) throw bulkError("offset должен быть ненулевым числом секунд или строкой вида 90m, -2h, 1d");
+  return seconds;
+}
+
+/**
+ * Validate a bulk action body { action, ids, scheduledAt?, offset? }; scheduledAt без смещения — в timezone.
+ * Бросает ошибку с status 400. Returns { action, ids, scheduledAt, offset }
+ */
+export function normalizeBulkAction(body = {}, timezone = DEFAULT_TIMEZONE) {
+  const { action } = body;
+  if (!BULK_ACTIONS.includes(action)) throw bulkError(`action должен быть одним из: ${BULK_ACTIONS.join(", ")}`);
+
+  if (!Array.isArray(body.ids) || !body.ids.length) throw bulkError("ids должен быть непустым массивом id постов");
+  const ids = [...new Set(body.ids.map(Number))];
+  if (ids.some((id) => !Number.isInteger(id) || id <= 0)) throw bulkError("ids должен быть массивом id постов");
+  if (ids.length > MAX_BULK_IDS) throw bulkError(`За один запрос — не больше ${MAX_BULK_IDS} постов`);
+
+  let scheduledAt = null;
+  if (action === "schedule") {
+    scheduledAt = parseScheduledAt(body.scheduledAt, timezone);
+    // пост с прошедшим временем ушёл бы сразу — для списка это скорее ошибка, чем намерение
+    if (new Date(scheduledAt) <= new Date()) throw bulkError("scheduledAt уже прошло");
+  }
+  const offset = action === "shift" ? parseOffset(body.offset) : null;
+  return { action, ids, scheduledAt, offset };
+}
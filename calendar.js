@@ -0,0 +1,212 @@
+// Календарь публикаций: посты по дням, неделям и месяцам, пустые дни и лента iCalendar (.ics).
+// Дни, недели и месяцы — в часовом поясе пользователя (границы считаются по wall-clock датам,
+// см. timezone.js); неделя начинается с понедельника.
+
+import crypto from "crypto";
+import { nextRecurrence } from "./schedule.js";
+import { DEFAULT_TIMEZONE, toWallClock, fromWallClock } from "./timezone.js";
+
+export const CALENDAR_GROUPS = ["day", "week", "month"];
+export const DEFAULT_CALENDAR_DAYS = 31;
+export const MAX_CALENDAR_DAYS = 366;
+
+// лента подписки: предстоящие посты на FEED_HORIZON_DAYS вперёд
+export const FEED_HORIZON_DAYS = Number(process.env.CALENDAR_FEED_HORIZON_DAYS) || 90;
+export const FEED_TOKEN_PREFIX = "cal_";
+
+// повторяющийся пост разворачивается в календаре не больше чем в столько запусков
+const MAX_OCCURRENCES = 500;
+// событие в календаре — короткий слот в момент публикации
+const EVENT_MINUTES = 15;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function calendarError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function parseDay(value, name) {
+  const date = new Date(DATE_RE.test(value) ? `${value}T00:00:00Z` : value);
+  if (Number.isNaN(date.getTime())) throw calendarError(`${name} должен быть датой YYYY-MM-DD`);
+  return new Date(`${dayKey(date)}T00:00:00Z`);
+}
+
+/**
+ * Validate calendar query params (?from&to — дни YYYY-MM-DD включительно, groupBy=day|week|month).
+ * Дни — в timezone; по умолчанию DEFAULT_CALENDAR_DAYS дней с сегодняшнего. Бросает ошибку с status 400.
+ * Returns { from, to, groupBy, timezone } — from и to как Date полуинтервала [from, to)
+ */
+export function normalizeCalendarQuery(query = {}, now = new Date(), timezone = DEFAULT_TIMEZONE) {
+  const groupBy = query.groupBy || "day";
+  if (!CALENDAR_GROUPS.includes(groupBy)) throw calendarError(`groupBy должен быть одним из: ${CALENDAR_GROUPS.join(", ")}`);
+
+  const from = query.from ? parseDay(String(query.from), "from") : parseDay(toWallClock(now, timezone).toISOString(), "from");
+  const to = query.to
+    ? new Date(parseDay(String(query.to), "to").getTime() + DAY_MS)
+    : new Date(from.getTime() + DEFAULT_CALENDAR_DAYS * DAY_MS);
+  if (to <= from) throw calendarError("from должен быть не позже to");
+  if ((to - from) / DAY_MS > MAX_CALENDAR_DAYS) throw calendarError(`Диапазон — не больше ${MAX_CALENDAR_DAYS} дней`);
+  return { from: fromWallClock(from, timezone), to: fromWallClock(to, timezone), groupBy, timezone };
+}
+
+/**
+ * Calendar entries of posts within [from, to): время публикации поста и, для повторяющихся,
+ * следующие запуски по правилу (recurring: true, время правила — в timezone). post.at — время первого запуска,
+ * post.recurrence — правило. Returns [{ post, at, recurring }] sorted by time
+ */
+export function expandOccurrences(posts, from, to, timezone = DEFAULT_TIMEZONE) {
+  const entries = [];
+  for (const post of posts) {
+    let at = post.at ? new Date(post.at) : null;
+    let recurring = false;
+    for (let n = 0; at && at < to && n < MAX_OCCURRENCES; n++) {
+      if (at >= from) entries.push({ post, at, recurring });
+      if (!post.recurrence) break;
+      at = nextRecurrence(post.recurrence, at, timezone);
+      recurring = true;
+    }
+  }
+  return entries.sort((a, b) => a.at - b.at || a.post.id - b.post.id);
+}
+
+function groupStart(date, groupBy) {
+  const day = new Date(`${dayKey(date)}T00:00:00Z`);
+  if (groupBy === "week") return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+  if (groupBy === "month") return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+  return day;
+}
+
+function groupEnd(start, groupBy) {
+  if (groupBy === "week") return new Date(start.getTime() + 7 * DAY_MS);
+  if (groupBy === "month") return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  return new Date(start.getTime() + DAY_MS);
+}
+
+function groupKey(start, groupBy) {
+  return groupBy === "month" ? dayKey(start).slice(0, 7) : dayKey(start);
+}
+
+/**
+ * Group calendar entries: группы периода (все, в том числе пустые), число постов по дням
+ * и пустые промежутки — подряд идущие дни без единого поста. Дни — в timezone диапазона.
+ * toItem(entry) — как показать пост в группе.
+ * Returns { groups: [{ key, start, end, count, items }], days: [{ date, count }], gaps: [{ from, to, days }] }
+ */
+export function buildCalendar(entries, range, toItem) {
+  const { groupBy, timezone = DEFAULT_TIMEZONE } = range;
+  // дальше все даты — wall-clock: UTC-поля совпадают с местными
+  const from = toWallClock(range.from, timezone);
+  const to = toWallClock(range.to, timezone);
+
+  const groups = [];
+  for (let start = groupStart(from, groupBy); start < to; start = groupEnd(start, groupBy)) {
+    const end = groupEnd(start, groupBy);
+    groups.push({
+      key: groupKey(start, groupBy),
+      // крайние группы обрезаются по диапазону запроса
+      start: dayKey(start < from ? from : start),
+      end: dayKey(new Date((end > to ? to : end).getTime() - DAY_MS)),
+      count: 0,
+      items: [],
+    });
+  }
+  const byKey = new Map(groups.map((g) => [g.key, g]));
+
+  const counts = new Map();
+  for (let day = from; day < to; day = new Date(day.getTime() + DAY_MS)) counts.set(dayKey(day), 0);
+
+  for (const entry of entries) {
+    const at = toWallClock(entry.at, timezone);
+    const group = byKey.get(groupKey(groupStart(at, groupBy), groupBy));
+    group.count++;
+    group.items.push(toItem(entry));
+    counts.set(dayKey(at), counts.get(dayKey(at)) + 1);
+  }
+
+  const days = [...counts].map(([date, count]) => ({ date, count }));
+  const gaps = [];
+  for (const { date, count } of days) {
+    if (count) continue;
+    const last = gaps[gaps.length - 1];
+    if (last && dayKey(new Date(new Date(`${last.to}T00:00:00Z`).getTime() + DAY_MS)) === date) {
+      last.to = date;
+      last.days++;
+    } else gaps.push({ from: date, to: date, days: 1 });
+  }
+  return { groups, days, gaps };
+}
+
+/**
+ * New feed token. Returns { token, prefix } — token показывается только один раз
+ */
+export function generateFeedToken() {
+  const token = `${FEED_TOKEN_PREFIX}${crypto.randomBytes(24).toString("hex")}`;
+  return { token, prefix: token.slice(0, FEED_TOKEN_PREFIX.length + 6) };
+}
+
+// текст iCalendar (RFC 5545, 3.3.11): экранирование \ ; , и переводов строк
+function icsText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function icsDate(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// строки длиннее 75 октетов переносятся: продолжение начинается с пробела (RFC 5545, 3.1)
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  for (const ch of line) {
+    if (Buffer.byteLength(current + ch) > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * iCalendar feed of calendar entries. Returns string (text/calendar)
+ */
+export function toICalendar(entries, { name, host = "apgram", now = new Date() }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//apgram//posts calendar//RU",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${icsText(name)}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H",
+  ];
+  for (const { post, at } of entries) {
+    lines.push(
+      "BEGIN:VEVENT",
+      // UID не меняется при переносе поста; запуски повторяющегося — отдельные события
+      `UID:post-${post.id}${post.recurrence ? `-${icsDate(at)}` : ""}@${host}`,
+      `DTSTAMP:${icsDate(now)}`,
+      `DTSTART:${icsDate(at)}`,
+      `DTEND:${icsDate(new Date(at.getTime() + EVENT_MINUTES * 60 * 1000))}`,
+      `SUMMARY:${icsText(post.title)}`,
+      ...(post.description ? [`DESCRIPTION:${icsText(post.description)}`] : []),
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
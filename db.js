@@ -0,0 +1,114 @@
+// Единая база SQLite (DATABASE_PATH, по умолчанию apgram.db рядом с сервером): одно соединение
+// на процесс для записи и одно только для чтения, схема — миграции из migrations.js.
+// Сервер принимает запросы только после openDatabase().
+//
+// Запросы через db выполняются по очереди с транзакциями: пока транзакция открыта, запись других
+// обработчиков ждёт её COMMIT или ROLLBACK и не попадает в неё (соединение для записи у всех одно).
+// Чтение вне транзакции, пока она в очереди или открыта, идёт через соединение для чтения: оно видит
+// только зафиксированные данные (WAL) и не ждёт транзакцию — поэтому транзакция может дождаться
+// запроса, начатого вне её контекста, не блокируя саму себя. Запись вне транзакции она ждать не должна.
+
+import sqlite3 from "sqlite3";
+import { AsyncLocalStorage } from "async_hooks";
+import { open } from "sqlite";
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { migrate } from "./migrations.js";
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, "apgram.db");
+
+// соединение; до openDatabase() — undefined
+export let db;
+
+let opening;
+
+// методы соединения, которые выполняют запрос и потому встают в очередь
+const QUERY_METHODS = ["run", "get", "all", "each", "exec"];
+// из них только читают — могут идти через соединение для чтения
+const READ_METHODS = ["get", "all", "each"];
+
+let queue = Promise.resolve();
+// контекст выполняемой транзакции: её запросы идут в обход очереди
+const transactionContext = new AsyncLocalStorage();
+// транзакции в очереди и выполняемая
+let pendingTransactions = 0;
+
+function enqueue(task) {
+  const run = queue.then(task);
+  queue = run.catch(() => {});
+  return run;
+}
+
+// соединение, чьи запросы вне транзакции ждут своей очереди; reader — соединение для чтения
+function queued(database, reader) {
+  return new Proxy(database, {
+    get(target, property) {
+      if (property === "close")
+        return async () => {
+          await reader.close();
+          return target.close();
+        };
+      const value = Reflect.get(target, property);
+      if (typeof value !== "function") return value;
+      if (!QUERY_METHODS.includes(property)) return value.bind(target);
+      return (...args) => {
+        if (transactionContext.getStore()) return value.apply(target, args);
+        if (pendingTransactions && READ_METHODS.includes(property)) return reader[property](...args);
+        return enqueue(() => value.apply(target, args));
+      };
+    },
+  });
+}
+
+/**
+ * Open the database and apply pending migrations (повторный вызов возвращает то же соединение).
+ */
+export function openDatabase() {
+  if (!opening) {
+    opening = (async () => {
+      const database = await open({ filename: DATABASE_PATH, driver: sqlite3.Database });
+      // WAL: чтение не ждёт записи; busy_timeout — на случай внешних инструментов, открывших файл
+      await database.exec("PRAGMA journal_mode = WAL");
+      await database.exec("PRAGMA busy_timeout = 5000");
+      await migrate(database);
+      await database.exec("PRAGMA foreign_keys = ON");
+      const reader = await open({ filename: DATABASE_PATH, mode: sqlite3.OPEN_READONLY, driver: sqlite3.Database });
+      await reader.exec("PRAGMA busy_timeout = 5000");
+      db = queued(database, reader);
+      return db;
+    })();
+  }
+  return opening;
+}
+
+/**
+ * Run fn(db) in a transaction: все изменения применяются вместе или откатываются при ошибке.
+ * Транзакции и запись вне их выполняются по очереди; внутри fn запросы через db идут сразу,
+ * вложенный вызов transaction выполняется в рамках внешней транзакции.
+ * Returns the result of fn
+ */
+export function transaction(fn) {
+  if (transactionContext.getStore()) return fn(db);
+  pendingTransactions++;
+  const run = enqueue(() =>
+    transactionContext.run(true, async () => {
+      await db.exec("BEGIN IMMEDIATE");
+      try {
+        const result = await fn(db);
+        await db.exec("COMMIT");
+        return result;
+      } catch (err) {
+        await db.exec("ROLLBACK");
+        throw err;
+      }
+    })
+  );
+  run.finally(() => pendingTransactions--).catch(() => {});
+  return run;
+}
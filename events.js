@@ -0,0 +1,109 @@
+// События пространств для клиентов по WebSocket. Каждое событие относится к одному пространству
+// (userId владельца) и доходит только до подключений его владельца и участников.
+// События хранятся в базе (таблица events) EVENTS_RETENTION_HOURS часов (по умолчанию 24):
+// клиент, потерявший соединение, передаёт курсор — id последнего полученного события — и догоняет пропущенное.
+
+export const EVENT_TYPES = [
+  "post_created",
+  "post_updated",
+  "post_deleted",
+  "post_scheduled",
+  "post_sent",
+  "send_failed",
+  "post_review",
+  "generation_progress",
+  "generation_done",
+  "generation_failed",
+  "generation_cancelled",
+];
+
+// прогресс генерации устаревает за секунды — рассылается, но не хранится и не имеет id
+const EPHEMERAL_TYPES = ["generation_progress"];
+
+export const EVENTS_RETENTION_HOURS = Number(process.env.EVENTS_RETENTION_HOURS) || 24;
+
+// больше пропущенных событий не досылаем — клиенту проще перечитать данные через REST
+export const REPLAY_LIMIT = 500;
+
+function eventError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Validate a resume cursor (id последнего полученного события). Бросает ошибку с status 400.
+ * Returns number or null (курсор не передан)
+ */
+export function normalizeCursor(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) throw eventError("since должен быть id события (целое число ≥ 0)");
+  return n;
+}
+
+/**
+ * Save an event. Returns the event as sent to clients: { id, type, userId, createdAt, ...data }
+ * - database: база (таблица events)
+ */
+export async function recordEvent(database, userId, type, data = {}) {
+  const createdAt = new Date().toISOString();
+  const event = { type, userId: Number(userId), createdAt, ...data };
+  if (EPHEMERAL_TYPES.includes(type)) return event;
+
+  const result = await database.run(
+    "INSERT INTO events (user_id, type, payload, createdAt) VALUES (?, ?, ?, ?)",
+    [event.userId, type, JSON.stringify(data), createdAt]
+  );
+  return { id: result.lastID, ...event };
+}
+
+/**
+ * Id of the latest event — курсор для нового подключения.
+ * - database: база
+ */
+export async function latestCursor(database) {
+  const row = await database.get("SELECT seq FROM sqlite_sequence WHERE name = 'events'");
+  return row?.seq ?? 0;
+}
+
+/**
+ * Events of the workspaces after the cursor, oldest first.
+ * complete: false — часть событий уже удалена по сроку хранения или их больше REPLAY_LIMIT,
+ * клиенту нужно перечитать данные целиком и продолжить с cursor.
+ * - database: база (таблица events)
+ * Returns { events, complete, cursor }
+ */
+export async function eventsSince(database, workspaceIds, since) {
+  const cursor = await latestCursor(database);
+  const { first } = await database.get("SELECT MIN(id) AS first FROM events");
+  // id растут без пропусков, а удаляются по возрасту — всё, что старше первого сохранённого, потеряно
+  const retainedAfter = first ? first - 1 : cursor;
+  if (since < retainedAfter) return { events: [], complete: false, cursor };
+
+  const rows = await database.all(
+    `SELECT * FROM events WHERE id > ? AND user_id IN (${workspaceIds.map(() => "?").join(", ")})
+     ORDER BY id LIMIT ?`,
+    [since, ...workspaceIds, REPLAY_LIMIT + 1]
+  );
+  if (rows.length > REPLAY_LIMIT) return { events: [], complete: false, cursor };
+
+  const events = rows.map((row) => ({
+    id: row.id,
+    type: row.type,
+    userId: row.user_id,
+    createdAt: row.createdAt,
+    ...JSON.parse(row.payload),
+  }));
+  return { events, complete: true, cursor };
+}
+
+/**
+ * Delete events older than EVENTS_RETENTION_HOURS. Returns number of deleted rows
+ * - database: база (таблица events)
+ */
+export async function pruneEvents(database) {
+  const cutoff = new Date(Date.now() - EVENTS_RETENTION_HOURS * 3600 * 1000).toISOString();
+  const result = await database.run("DELETE FROM events WHERE createdAt < ?", cutoff);
+  return result.changes;
+}
@@ -0,0 +1,285 @@
+import fetch from "node-fetch";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+// лента по умолчанию, если у пользователя выключены/не заданы свои сайты
+export const DEFAULT_FEEDS = ["https://lenta.ru/rss/news"];
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+
+// адреса лент задаёт пользователь, а загружает их сервер: внутренняя сеть, loopback и link-local
+// (в том числе метаданные облака 169.254.169.254) запрещены. ALLOW_PRIVATE_FEEDS=1 — для локальной разработки
+const ALLOW_PRIVATE_FEEDS = process.env.ALLOW_PRIVATE_FEEDS === "1";
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) PRIVATE_NETWORKS.addSubnet(address, prefix, "ipv4");
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) PRIVATE_NETWORKS.addSubnet(address, prefix, "ipv6");
+
+function feedError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Whether an IP address belongs to a private, loopback, link-local or reserved range
+ * (IPv4-mapped IPv6 проверяется по правилам IPv4).
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return PRIVATE_NETWORKS.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// dns.lookup для сокетов лент: адрес проверяется при каждом подключении, в том числе после редиректа,
+// поэтому имя, которое сначала указывало наружу, а потом на 127.0.0.1, тоже не пройдёт
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => isPrivateAddress(a.address));
+    if (blocked && !ALLOW_PRIVATE_FEEDS)
+      return callback(feedError(`Адрес ${hostname} (${blocked.address}) во внутренней сети — загрузка запрещена`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const agents = {
+  "http:": new http.Agent({ lookup: publicLookup }),
+  "https:": new https.Agent({ lookup: publicLookup }),
+};
+
+/**
+ * Validate a feed URL before fetching: только http(s); IP-адрес в URL — не из внутренней сети
+ * (имена проверяет publicLookup при подключении). Бросает ошибку с status 400. Returns URL
+ */
+export function checkFeedUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw feedError(`Неверный адрес ленты: ${value}`);
+  }
+  if (!agents[url.protocol]) throw feedError("Адрес ленты должен начинаться с http:// или https://");
+  const host = url.hostname.replace(/^\[|\]$/g, "");
+  if (!ALLOW_PRIVATE_FEEDS && isPrivateAddress(host))
+    throw feedError(`Адрес ${host} во внутренней сети — загрузка запрещена`);
+  return url;
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const n = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(n) ? String.fromCodePoint(n) : match;
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+// текст узла: разворачиваем CDATA, декодируем сущности и убираем HTML-разметку
+// (описания в RSS часто содержат экранированный HTML, поэтому декодируем до и после)
+function cleanText(raw = "") {
+  const text = raw.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1");
+  return decodeEntities(decodeEntities(text).replace(/<[^>]*>/g, " "))
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function escapeTag(name) {
+  return name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function blocks(xml, tag) {
+  const re = new RegExp(`<${escapeTag(tag)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeTag(tag)}>`, "gi");
+  return [...xml.matchAll(re)].map((m) => m[1]);
+}
+
+function firstTag(xml, ...tags) {
+  for (const tag of tags) {
+    const [content] = blocks(xml, tag);
+    if (content !== undefined && content.trim()) return content;
+  }
+  return "";
+}
+
+function attr(tagSource, name) {
+  const m = new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, "i").exec(tagSource);
+  return m ? decodeEntities(m[2] ?? m[3]) : null;
+}
+
+function toDate(value) {
+  const date = value ? new Date(value.trim()) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+function parseRss(xml) {
+  return blocks(xml, "item").map((item) => ({
+    title: cleanText(firstTag(item, "title")),
+    description: cleanText(firstTag(item, "content:encoded", "description")),
+    link: cleanText(firstTag(item, "link")) || cleanText(firstTag(item, "guid")),
+    publishedAt: toDate(cleanText(firstTag(item, "pubDate", "dc:date"))),
+  }));
+}
+
+function parseAtom(xml) {
+  return blocks(xml, "entry").map((entry) => {
+    const links = [...entry.matchAll(/<link\b[^>]*>/gi)].map((m) => m[0]);
+    const link =
+      links.find((l) => !attr(l, "rel") || attr(l, "rel") === "alternate") || links[0] || "";
+    return {
+      title: cleanText(firstTag(entry, "title")),
+      description: cleanText(firstTag(entry, "content", "summary")),
+      link: attr(link, "href") || cleanText(firstTag(entry, "id")),
+      publishedAt: toDate(cleanText(firstTag(entry, "published", "updated"))),
+    };
+  });
+}
+
+function parseJsonFeed(json) {
+  const items = Array.isArray(json?.items) ? json.items : [];
+  return items.map((item) => ({
+    title: cleanText(String(item.title || "")),
+    description: cleanText(String(item.content_text || item.summary || item.content_html || "")),
+    link: item.url || item.external_url || item.id || "",
+    publishedAt: toDate(item.date_published || item.date_modified),
+  }));
+}
+
+/**
+ * Parse RSS 2.0 / Atom / JSON Feed text into items:
+ * [{ title, description, link, publishedAt: Date|null }]
+ * Returns null if the text is not a feed (например, HTML-страница сайта).
+ */
+export function parseFeed(text) {
+  const body = text.trim();
+  if (body.startsWith("{")) {
+    try {
+      const json = JSON.parse(body);
+      return String(json?.version || "").includes("jsonfeed.org") || Array.isArray(json?.items)
+        ? parseJsonFeed(json)
+        : null;
+    } catch {
+      return null;
+    }
+  }
+  if (/<rss[\s>]|<rdf:RDF[\s>]/i.test(body)) return parseRss(body);
+  if (/<feed[\s>]/i.test(body)) return parseAtom(body);
+  return null;
+}
+
+// <link rel="alternate" type="application/rss+xml" href="..."> на HTML-странице
+function discoverFeedUrl(html, baseUrl) {
+  for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+    const type = (attr(tag, "type") || "").toLowerCase();
+    if (attr(tag, "rel")?.toLowerCase() === "alternate" && /(rss|atom|feed)\+(xml|json)/.test(type)) {
+      const href = attr(tag, "href");
+      if (href) return new URL(href, baseUrl).toString();
+    }
+  }
+  return null;
+}
+
+async function fetchText(url) {
+  checkFeedUrl(url);
+  const res = await fetch(url, {
+    // агент выбирается на каждый запрос, в том числе для редиректа на другую схему; адрес проверяется и там
+    agent: (parsed) => {
+      checkFeedUrl(parsed.href);
+      return agents[parsed.protocol];
+    },
+    timeout: FETCH_TIMEOUT_MS,
+    size: MAX_FEED_BYTES,
+    headers: {
+      "User-Agent": "apgram-backend feed reader",
+      Accept: "application/rss+xml, application/atom+xml, application/feed+json, application/xml, text/xml, text/html;q=0.8, */*;q=0.5",
+    },
+  });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return res.text();
+}
+
+/**
+ * Fetch one source. If the URL is a website, its RSS/Atom feed is discovered via <link rel="alternate">.
+ */
+export async function fetchFeed(url) {
+  const text = await fetchText(url);
+  const items = parseFeed(text);
+  if (items) return items;
+
+  const feedUrl = discoverFeedUrl(text, url);
+  if (!feedUrl) throw new Error("Лента RSS/Atom/JSON Feed не найдена");
+  const discovered = parseFeed(await fetchText(feedUrl));
+  if (!discovered) throw new Error(`Не удалось разобрать ленту ${feedUrl}`);
+  return discovered;
+}
+
+function dedupeKey(item) {
+  if (item.link) return item.link.replace(/^https?:\/\/(www\.)?/i, "").replace(/[?#].*$/, "").replace(/\/$/, "");
+  return item.title.toLowerCase();
+}
+
+/**
+ * Collect news from several sources.
+ * - из каждой ленты берутся perSource самых свежих записей
+ * - записи объединяются, дубли (по ссылке или заголовку) убираются
+ * - порядок — по очереди из каждого источника (самые свежие первыми), чтобы одна лента не вытесняла остальные
+ * - ошибка одного источника не роняет остальные: она возвращается в sources
+ * Returns { items: [{ title, description, link, publishedAt, source }], sources: [{ url, ok, items?, error? }] }
+ */
+export async function collectFeeds(urls, { perSource = 5 } = {}) {
+  const settled = await Promise.allSettled(urls.map((url) => fetchFeed(url)));
+
+  const sources = [];
+  const seen = new Set();
+  const items = [];
+
+  settled.forEach((result, i) => {
+    const url = urls[i];
+    if (result.status === "rejected") {
+      sources.push({ url, ok: false, error: result.reason?.message || String(result.reason) });
+      return;
+    }
+
+    const latest = result.value
+      .filter((item) => item.title)
+      .sort((a, b) => (b.publishedAt?.getTime() || 0) - (a.publishedAt?.getTime() || 0))
+      .slice(0, perSource);
+
+    let added = 0;
+    for (const item of latest) {
+      const keys = [dedupeKey(item), item.title.toLowerCase()];
+      if (keys.some((k) => seen.has(k))) continue;
+      keys.forEach((k) => seen.add(k));
+      items.push({ ...item, source: url, rank: added });
+      added++;
+    }
+    sources.push({ url, ok: true, items: added });
+  });
+
+  items.sort((a, b) => a.rank - b.rank || (b.publishedAt?.getTime() || 0) - (a.publishedAt?.getTime() || 0));
+  return { items: items.map(({ rank, ...item }) => item), sources };
+}
@@ -0,0 +1,197 @@
+// Форматирование постов для Telegram: разметка текста поста -> MarkdownV2 или HTML с экранированием,
+// разбиение по лимитам длины подписи и сообщения.
+//
+// В тексте поста поддерживается простая разметка: **жирный**, __курсив__, ~~зачёркнутый~~, `код`,
+// [текст](https://ссылка). Всё остальное — обычный текст: символы _ * [ и т.п. экранируются.
+
+import { planMessages, SEND_METHODS } from "./media.js";
+
+export const PARSE_MODES = ["HTML", "MarkdownV2"];
+export const DEFAULT_PARSE_MODE = "HTML";
+
+// лимиты Telegram считаются по видимому тексту (после разбора разметки)
+export const CAPTION_LIMIT = 1024;
+export const MESSAGE_LIMIT = 4096;
+
+const MARKUP_RE = /\*\*(.+?)\*\*|__(.+?)__|~~(.+?)~~|`([^`\n]+)`|\[([^\]\n]+)\]\((https?:\/\/[^\s)]+)\)/g;
+
+/**
+ * Parse post markup into tokens: [{ text, style?: bold|italic|strike|code, href? }]
+ */
+export function parseMarkup(text = "") {
+  const tokens = [];
+  let last = 0;
+  for (const m of String(text).matchAll(MARKUP_RE)) {
+    if (m.index > last) tokens.push({ text: text.slice(last, m.index) });
+    if (m[1] !== undefined) tokens.push({ text: m[1], style: "bold" });
+    else if (m[2] !== undefined) tokens.push({ text: m[2], style: "italic" });
+    else if (m[3] !== undefined) tokens.push({ text: m[3], style: "strike" });
+    else if (m[4] !== undefined) tokens.push({ text: m[4], style: "code" });
+    else tokens.push({ text: m[5], href: m[6] });
+    last = m.index + m[0].length;
+  }
+  if (last < text.length) tokens.push({ text: text.slice(last) });
+  return tokens;
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// https://core.telegram.org/bots/api#markdownv2-style
+function escapeMarkdownV2(text) {
+  return text.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, "\\$&");
+}
+
+const HTML_TAGS = { bold: "b", italic: "i", strike: "s", code: "code" };
+const MARKDOWN_MARKS = { bold: "*", italic: "_", strike: "~" };
+
+function renderToken(token, parseMode) {
+  if (parseMode === "HTML") {
+    const text = escapeHtml(token.text);
+    if (token.href) return `<a href="${escapeHtml(token.href)}">${text}</a>`;
+    return token.style ? `<${HTML_TAGS[token.style]}>${text}</${HTML_TAGS[token.style]}>` : text;
+  }
+
+  if (token.style === "code") return `\`${token.text.replace(/[`\\]/g, "\\$&")}\``;
+  const text = escapeMarkdownV2(token.text);
+  if (token.href) return `[${text}](${token.href.replace(/[)\\]/g, "\\$&")})`;
+  return token.style ? `${MARKDOWN_MARKS[token.style]}${text}${MARKDOWN_MARKS[token.style]}` : text;
+}
+
+/**
+ * Render tokens in the given parse mode. Пустые токены (после разбиения) пропускаются.
+ */
+export function renderTokens(tokens, parseMode = DEFAULT_PARSE_MODE) {
+  return tokens.filter((t) => t.text).map((t) => renderToken(t, parseMode)).join("");
+}
+
+function visibleLength(tokens) {
+  return tokens.reduce((sum, t) => sum + t.text.length, 0);
+}
+
+// место разрыва не дальше limit: перенос строки, затем пробел; не режем суррогатную пару (эмодзи)
+function breakPoint(text, limit, allowHard) {
+  const head = text.slice(0, limit + 1);
+  const newline = head.lastIndexOf("\n");
+  if (newline > 0) return newline;
+  const space = head.lastIndexOf(" ");
+  if (space > 0) return space;
+  if (!allowHard) return 0;
+  const code = text.charCodeAt(limit - 1);
+  return code >= 0xd800 && code <= 0xdbff ? limit - 1 : limit;
+}
+
+function trimChunk(chunk) {
+  if (chunk.length) {
+    chunk[0] = { ...chunk[0], text: chunk[0].text.replace(/^\s+/, "") };
+    const end = chunk.length - 1;
+    chunk[end] = { ...chunk[end], text: chunk[end].text.replace(/\s+$/, "") };
+  }
+  return chunk.filter((t) => t.text);
+}
+
+/**
+ * Split tokens into chunks of at most limit visible characters,
+ * по возможности по переносам строк и пробелам; стиль токена сохраняется в обеих частях.
+ */
+export function splitTokens(tokens, limit) {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+
+  const flush = () => {
+    const chunk = trimChunk(current);
+    if (chunk.length) chunks.push(chunk);
+    current = [];
+    size = 0;
+  };
+
+  for (const token of tokens) {
+    let text = token.text;
+    while (size + text.length > limit) {
+      // разрыв внутри токена; если подходящего нет — переносим токен целиком в следующий кусок
+      const cut = breakPoint(text, limit - size, !current.length);
+      if (cut > 0) current.push({ ...token, text: text.slice(0, cut) });
+      flush();
+      text = text.slice(cut).replace(/^\s+/, "");
+    }
+    if (text) {
+      current.push({ ...token, text });
+      size += text.length;
+    }
+  }
+  flush();
+  return chunks;
+}
+
+/**
+ * Format a post (title + description).
+ * - withMedia: текст пойдёт подписью к медиа; если целиком не помещается в CAPTION_LIMIT,
+ *   подписью становится заголовок, а описание уходит следующими текстовыми сообщениями
+ * Returns { caption: string|null, texts: [string] } — уже в разметке parseMode
+ */
+export function formatPost(post, { parseMode = DEFAULT_PARSE_MODE, withMedia = false } = {}) {
+  const title = [{ text: String(post.title ?? ""), style: "bold" }];
+  const description = parseMarkup(String(post.description ?? ""));
+  const all = description.length ? [...title, { text: "\n\n" }, ...description] : title;
+  const render = (chunk) => renderTokens(chunk, parseMode);
+
+  if (!withMedia) return { caption: null, texts: splitTokens(all, MESSAGE_LIMIT).map(render) };
+  if (visibleLength(all) <= CAPTION_LIMIT) return { caption: render(all), texts: [] };
+
+  const [caption, ...titleRest] = splitTokens(title, CAPTION_LIMIT);
+  return {
+    caption: caption ? render(caption) : null,
+    texts: splitTokens([...titleRest.flat(), { text: "\n\n" }, ...description], MESSAGE_LIMIT).map(render),
+  };
+}
+
+/**
+ * Exact list of Telegram calls for a post (используется и для отправки, и для предпросмотра):
+ * - { method: "sendMediaGroup", media: [{ type, attachment, caption?, parse_mode? }] }
+ * - { method: "sendPhoto" | "sendVideo" | "sendAnimation" | "sendDocument", attachment, caption?, parse_mode? }
+ * - { method: "sendMessage", text, parse_mode }
+ * - { method: "sendPoll", question, options, type, ... } — опрос поста, последним сообщением
+ * media — вложения поста в порядке публикации (см. planMessages в media.js).
+ * Кнопки (post.buttons) — у последнего сообщения с контентом; флаги disable_notification
+ * и protect_content — у всех сообщений, disable_web_page_preview — у текстовых.
+ */
+export function buildMessages(post, media = [], { parseMode = DEFAULT_PARSE_MODE } = {}) {
+  const steps = planMessages(media);
+  // к альбому нельзя прикрепить кнопки — тогда текст поста идёт после альбома отдельным сообщением
+  const textAfterAlbum = Boolean(post.buttons?.length && steps.at(-1)?.group);
+  const { caption, texts } = formatPost(post, { parseMode, withMedia: media.length > 0 && !textAfterAlbum });
+
+  const common = {
+    ...(post.disable_notification ? { disable_notification: true } : {}),
+    ...(post.protect_content ? { protect_content: true } : {}),
+  };
+  const messages = [];
+
+  for (const step of steps) {
+    const extra = !messages.length && caption ? { caption, parse_mode: parseMode } : {};
+    if (step.group) {
+      messages.push({
+        method: "sendMediaGroup",
+        media: step.group.map((attachment, i) => ({ type: attachment.kind, attachment, ...(i === 0 ? extra : {}) })),
+        ...common,
+      });
+    } else {
+      messages.push({ method: SEND_METHODS[step.single.kind], attachment: step.single, ...extra, ...common });
+    }
+  }
+  for (const text of texts) {
+    messages.push({
+      method: "sendMessage",
+      text,
+      parse_mode: parseMode,
+      ...(post.disable_web_page_preview ? { disable_web_page_preview: true } : {}),
+      ...common,
+    });
+  }
+
+  if (post.buttons?.length) messages.at(-1).reply_markup = { inline_keyboard: post.buttons };
+  if (post.poll) messages.push({ method: "sendPoll", ...post.poll, ...common });
+  return messages;
+}
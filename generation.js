@@ -1,117 +1,148 @@
-import fetch from "node-fetch";
-
-const OPENAI_KEY = process.env.OPENAI_API_KEY;
+import { collectFeeds, DEFAULT_FEEDS } from "./feeds.js";
+import { renderPrompt } from "./prompts.js";
+import { complete, resolveLlmOptions } from "./llm.js";
+import { validatePosts, buildRepairPrompt } from "./validation.js";
+import { buildStyleBlock } from "./style.js";
 
 function generateRandomImg() {
   const randomId = Math.round(Math.random() * 100) + 1;
   return `https://picsum.photos/id/${randomId}/512/512`;
 }
 
-async function fetchRssItems() {
-  const rssUrl = encodeURIComponent("https://lenta.ru/rss/news");
-  const apiUrl = `https://api.rss2json.com/v1/api.json?rss_url=${rssUrl}`;
-  const rssRes = await fetch(apiUrl);
-  if (!rssRes.ok) {
-    throw new Error(`RSS: ${rssRes.status}`);
-  }
-  const rss = await rssRes.json();
-  return Array.isArray(rss?.items) ? rss.items : [];
-}
-
-function buildPromptFromNews(items = []) {
-  const newsBlock = items
-    .slice(0, 6)
-    .map((it) => `${it.title}\n${it.description || ""}`)
-    .join("\n\n");
-
-  return `На основе этих новостей:\n${newsBlock}\n\nСгенерируй массив из трёх новых постов в формате JSON. У каждого поста должны быть:\n- title\n- description (длинный, как полноценный новостной пост в Telegram)\nТолько массив из трёх постов, ничего лишнего, на русском языке.\nВажно: не используй обёртку \`\`\`json, никаких дополнительных комментариев или текста — только чистый JSON-массив.`;
-}
-
-async function generatePostsLogic() {
-  if (!OPENAI_KEY) {
-    throw new Error("OPENAI_API_KEY не задан");
-  }
-
-  const items = await fetchRssItems();
-  const prompt = buildPromptFromNews(items);
-
-  const aiRes = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${OPENAI_KEY}`,
-    },
-    body: JSON.stringify({
-      model: "gpt-4o-mini",
-      messages: [{ role: "user", content: prompt }],
-      temperature: 0.7,
-    }),
-  });
-
-  if (!aiRes.ok) {
-    throw new Error(`OpenAI: ${aiRes.status}`);
-  }
-
-  const aiData = await aiRes.json();
-  const text = aiData?.choices?.[0]?.message?.content;
-  let posts = [];
+function parseList(value) {
+  if (Array.isArray(value)) return value;
   try {
-    posts = JSON.parse(text);
+    const list = value ? JSON.parse(value) : [];
+    return Array.isArray(list) ? list : [];
   } catch {
-    throw new Error("Не удалось распарсить JSON от OpenAI");
+    return [];
   }
-
-  const withImages = posts.map((p) => ({ ...p, url: generateRandomImg() }));
-
-  return withImages;
 }
 
-async function generatePostsLogicNoImages() {
-  if (!OPENAI_KEY) {
-    throw new Error("OPENAI_API_KEY не задан");
-  }
-
-  const items = await fetchRssItems();
-  const prompt = buildPromptFromNews(items);
-
-  const aiRes = await fetch("https://api.openai.com/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${OPENAI_KEY}`,
-    },
-    body: JSON.stringify({
-      model: "gpt-4o-mini",
-      messages: [{ role: "user", content: prompt }],
-      temperature: 0.7,
-    }),
-  });
-
-  if (!aiRes.ok) {
-    throw new Error(`OpenAI: ${aiRes.status}`);
+/**
+ * News for the prompt: the user's own sites_list (if use_sites is on) or the default feed.
+ * Returns { items, sources } — см. collectFeeds.
+ */
+async function fetchNews(settings) {
+  const sites = parseList(settings.site_list)
+    .map((url) => String(url).trim())
+    .filter(Boolean);
+  const urls = settings.use_sites == "1" && sites.length ? sites : DEFAULT_FEEDS;
+
+  const news = await collectFeeds(urls);
+  if (!news.items.length) {
+    const err = new Error("Не удалось получить новости ни из одного источника");
+    err.status = 502;
+    err.sources = news.sources;
+    throw err;
   }
+  return news;
+}
 
-  const aiData = await aiRes.json();
-  const text = aiData?.choices?.[0]?.message?.content;
-  let posts = [];
-  try {
-    posts = JSON.parse(text);
-  } catch {
-    throw new Error("Не удалось распарсить JSON от OpenAI");
+// новости для mock-провайдера: с ним генерация работает без сети (разработка, тесты)
+const MOCK_NEWS = [
+  { title: "Тестовая новость о технологиях", description: "Компания представила новый ноутбук с увеличенным временем работы." },
+  { title: "Тестовая новость о погоде", description: "На выходных ожидается потепление и небольшой дождь." },
+  { title: "Тестовая новость о спорте", description: "Местная команда вышла в финал городского турнира." },
+].map((item, i) => ({ ...item, link: `mock://news/${i + 1}`, publishedAt: null, source: "mock" }));
+
+// сколько раз переспрашивать модель, если ответ не прошёл проверку
+const MAX_REPAIR_ATTEMPTS = Number(process.env.LLM_REPAIR_ATTEMPTS ?? 2);
+
+/**
+ * Model call with validation: prompt -> posts.
+ * Ответ проверяется по схеме (validation.js); при ошибках модель переспрашивается
+ * с перечнем проблем до MAX_REPAIR_ATTEMPTS раз. Если так и не вышло — возвращаются
+ * валидные посты лучшей попытки и ошибки по остальным.
+ * addImages — каждому посту подставляется случайная картинка.
+ * onProgress — этапы calling_model / validating с номером попытки.
+ * Returns { posts, errors, itemErrors, attempts, calls: [usage каждого вызова] }
+ */
+async function generatePostsLogic(prompt, { llm, count, addImages, onProgress = () => {} }) {
+  const messages = [{ role: "user", content: prompt }];
+  const calls = [];
+  let best = null;
+
+  for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    onProgress("calling_model", { attempt: attempt + 1 });
+    const completion = await complete({ ...llm, messages, count });
+    calls.push({ provider: completion.provider, model: completion.model, ...completion.usage });
+
+    onProgress("validating", { attempt: attempt + 1 });
+    const result = validatePosts(completion.text, { count });
+    if (!best || result.posts.length > best.posts.length) best = { ...result, attempts: attempt + 1 };
+    if (result.posts.length >= count) break;
+
+    messages.push(
+      { role: "assistant", content: completion.text },
+      { role: "user", content: buildRepairPrompt(result, count) }
+    );
   }
 
-  const withNoImages = posts.map((p) => ({ ...p, url: null }));
+  return {
+    posts: best.posts.map((p) => ({ ...p, url: addImages ? generateRandomImg() : null })),
+    errors: best.posts.length >= count ? [] : best.errors,
+    itemErrors: best.posts.length >= count ? [] : best.itemErrors,
+    attempts: calls.length,
+    calls,
+  };
+}
 
-  return withNoImages;
+function sumUsage(calls) {
+  return calls.reduce(
+    (acc, c) => ({
+      ...acc,
+      prompt_tokens: acc.prompt_tokens + c.prompt_tokens,
+      completion_tokens: acc.completion_tokens + c.completion_tokens,
+      total_tokens: acc.total_tokens + c.total_tokens,
+    }),
+    { provider: calls[0].provider, model: calls[0].model, calls: calls.length, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+  );
 }
 
-export async function generatePosts(settings, prompt = null) {
+/**
+ * options:
+ * - template: текст шаблона промпта (null — шаблон по умолчанию)
+ * - variables: переменные шаблона (tone, language, length, count, hashtags, cta)
+ * - prompt: разовые указания из запроса, добавляются к промпту
+ * - examples: примеры стиля канала (use_own_posts), см. selectStyleExamples в style.js
+ * - llm: { provider, model, temperature, baseUrl } — см. resolveLlmOptions в llm.js
+ * - onProgress(stage, data): этапы fetching_sources, calling_model, validating (для фоновых задач)
+ * Returns { posts, sources, usage, calls, errors, itemErrors, attempts, examples }:
+ * - sources: результат загрузки каждой ленты ({ url, ok, items?, error? })
+ * - usage: суммарный расход { provider, model, calls, prompt_tokens, completion_tokens, total_tokens }
+ * - calls: расход каждого вызова модели (для llm_usage)
+ * - errors / itemErrors: почему часть постов отброшена (пусто, если всё получилось)
+ * - examples: id постов, использованных как примеры стиля
+ */
+export async function generatePosts(
+  settings,
+  { template = null, variables = {}, prompt = null, examples = [], llm = resolveLlmOptions(), onProgress = () => {} } = {}
+) {
   const generationSettings = JSON.parse(JSON.stringify(settings));
-  if(prompt) console.log(prompt);
 
-  if(generationSettings.add_images == "1") {
-    return await generatePostsLogic();
-  } else {
-    return await generatePostsLogicNoImages();
-  }
+  onProgress("fetching_sources", {});
+  const { items, sources } = llm.provider === "mock"
+    ? { items: MOCK_NEWS, sources: [{ url: "mock", ok: true, items: MOCK_NEWS.length }] }
+    : await fetchNews(generationSettings);
+  const rendered = renderPrompt({
+    items,
+    template,
+    variables,
+    examples: generationSettings.use_own_posts == "1" ? buildStyleBlock(examples) : "",
+    instructions: prompt,
+  });
+
+  const result = await generatePostsLogic(rendered.prompt, {
+    llm,
+    count: rendered.count,
+    addImages: generationSettings.add_images == "1",
+    onProgress,
+  });
+  return {
+    ...result,
+    sources,
+    usage: sumUsage(result.calls),
+    examples: generationSettings.use_own_posts == "1" ? examples.map((e) => e.id) : [],
+  };
 }
@@ -0,0 +1,80 @@
+// Интерактивные элементы поста: inline-кнопки со ссылками и опросы/викторины.
+// Лимиты — из Bot API (https://core.telegram.org/bots/api#inlinekeyboardmarkup, #sendpoll).
+
+const MAX_BUTTONS_PER_ROW = 8;
+const MAX_BUTTONS = 100;
+const BUTTON_TEXT_MAX = 64;
+
+const POLL_QUESTION_MAX = 300;
+const POLL_OPTION_MAX = 100;
+const POLL_MIN_OPTIONS = 2;
+const POLL_MAX_OPTIONS = 10;
+const POLL_EXPLANATION_MAX = 200;
+
+function optionsError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Validate inline keyboard: массив рядов [[{ text, url }]]; кнопка вне ряда занимает отдельный ряд.
+ * null / [] — кнопок нет. Returns rows or null.
+ */
+export function normalizeButtons(value) {
+  if (value === null || value === undefined) return null;
+  if (!Array.isArray(value)) throw optionsError("buttons должен быть массивом рядов кнопок");
+
+  const rows = value.map((row) => (Array.isArray(row) ? row : [row])).filter((row) => row.length);
+  if (!rows.length) return null;
+  if (rows.flat().length > MAX_BUTTONS) throw optionsError(`Кнопок не может быть больше ${MAX_BUTTONS}`);
+
+  return rows.map((row) => {
+    if (row.length > MAX_BUTTONS_PER_ROW)
+      throw optionsError(`В ряду не может быть больше ${MAX_BUTTONS_PER_ROW} кнопок`);
+    return row.map((button) => {
+      const text = String(button?.text ?? "").trim();
+      const url = String(button?.url ?? "").trim();
+      if (!text || text.length > BUTTON_TEXT_MAX)
+        throw optionsError(`Текст кнопки обязателен и не длиннее ${BUTTON_TEXT_MAX} символов`);
+      if (!/^(https?|tg):\/\/\S+$/i.test(url))
+        throw optionsError(`Кнопка «${text}»: url должен начинаться с http://, https:// или tg://`);
+      return { text, url };
+    });
+  });
+}
+
+/**
+ * Validate poll: { question, options, type: regular|quiz, allows_multiple_answers?, correct_option_id?, explanation? }.
+ * Опросы в каналах всегда анонимные. null — опроса нет.
+ */
+export function normalizePoll(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== "object" || Array.isArray(value)) throw optionsError("poll должен быть объектом");
+
+  const question = String(value.question ?? "").trim();
+  if (!question || question.length > POLL_QUESTION_MAX)
+    throw optionsError(`Вопрос опроса обязателен и не длиннее ${POLL_QUESTION_MAX} символов`);
+
+  const options = Array.isArray(value.options) ? value.options.map((o) => String(o ?? "").trim()) : [];
+  if (options.length < POLL_MIN_OPTIONS || options.length > POLL_MAX_OPTIONS)
+    throw optionsError(`В опросе должно быть от ${POLL_MIN_OPTIONS} до ${POLL_MAX_OPTIONS} вариантов`);
+  if (options.some((o) => !o || o.length > POLL_OPTION_MAX))
+    throw optionsError(`Варианты ответа не могут быть пустыми или длиннее ${POLL_OPTION_MAX} символов`);
+
+  const type = value.type ?? "regular";
+  if (!["regular", "quiz"].includes(type)) throw optionsError("type опроса: regular или quiz");
+
+  if (type === "regular") {
+    return { question, options, type, allows_multiple_answers: !!value.allows_multiple_answers };
+  }
+
+  const correct = Number(value.correct_option_id);
+  if (!Number.isInteger(correct) || correct < 0 || correct >= options.length)
+    throw optionsError("Для викторины нужен correct_option_id — индекс правильного варианта");
+  const explanation = value.explanation ? String(value.explanation).trim() : null;
+  if (explanation && explanation.length > POLL_EXPLANATION_MAX)
+    throw optionsError(`Пояснение к викторине не длиннее ${POLL_EXPLANATION_MAX} символов`);
+
+  return { question, options, type, correct_option_id: correct, ...(explanation ? { explanation } : {}) };
+}
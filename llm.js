@@ -0,0 +1,157 @@
+import fetch from "node-fetch";
+import crypto from "crypto";
+
+// Провайдеры LLM:
+// - openai             — api.openai.com, ключ OPENAI_API_KEY
+// - openai-compatible  — любой сервер с /chat/completions (Ollama, llama.cpp, vLLM…), base URL из настроек или LLM_BASE_URL
+// - mock               — детерминированный ответ без сети, для разработки и тестов
+//
+// Ключ LLM_API_KEY уходит только на LLM_BASE_URL. Свой base URL пользователя (llm_base_url) сервер вызывает
+// от своего имени, поэтому он должен быть LLM_BASE_URL или из списка LLM_ALLOWED_BASE_URLS (через запятую) —
+// иначе через настройки можно было бы отправлять запросы во внутреннюю сеть сервера
+export const PROVIDERS = ["openai", "openai-compatible", "mock"];
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+const DEFAULT_MODEL = { openai: "gpt-4o-mini", "openai-compatible": "llama3", mock: "mock" };
+const REQUEST_TIMEOUT_MS = 120000;
+
+function llmError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function sameBaseUrl(a, b) {
+  const trim = (url) => String(url || "").trim().replace(/\/+$/, "").toLowerCase();
+  return !!trim(a) && trim(a) === trim(b);
+}
+
+/**
+ * Validate a user-supplied base URL (llm_base_url): LLM_BASE_URL или один из LLM_ALLOWED_BASE_URLS.
+ * Бросает ошибку с status 400.
+ */
+export function checkBaseUrl(baseUrl) {
+  const allowed = [process.env.LLM_BASE_URL, ...String(process.env.LLM_ALLOWED_BASE_URLS || "").split(",")];
+  if (!allowed.some((url) => sameBaseUrl(url, baseUrl)))
+    throw llmError("llm_base_url не разрешён на этом сервере (LLM_BASE_URL или LLM_ALLOWED_BASE_URLS)");
+  return baseUrl;
+}
+
+/**
+ * Merge LLM options: запрос > настройки пользователя > переменные окружения.
+ * Each layer: { provider, model, temperature, baseUrl } (пустые значения пропускаются).
+ * Returns validated { provider, model, temperature, baseUrl }.
+ */
+export function resolveLlmOptions(...layers) {
+  const env = {
+    provider: process.env.LLM_PROVIDER,
+    model: process.env.LLM_MODEL,
+    temperature: process.env.LLM_TEMPERATURE,
+    baseUrl: process.env.LLM_BASE_URL,
+  };
+  const present = (v) => v !== undefined && v !== null && v !== "";
+  const provider = [...layers, env].map((l) => l?.provider).find(present) || "openai";
+  if (!PROVIDERS.includes(provider))
+    throw llmError(`provider должен быть одним из: ${PROVIDERS.join(", ")}`);
+
+  // модель/температура/base URL слоя, настроенного под другой провайдер, не подходят
+  const matching = [...layers, env].filter((l) => l && (!present(l.provider) || l.provider === provider));
+  const pick = (key) => matching.map((l) => l[key]).find(present);
+
+  const temperature = Number(pick("temperature") ?? 0.7);
+  if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2)
+    throw llmError("temperature должен быть числом от 0 до 2");
+
+  const baseUrl = provider === "openai" ? OPENAI_BASE_URL : pick("baseUrl") || null;
+  if (provider === "openai-compatible" && !baseUrl)
+    throw llmError("Для openai-compatible нужен base URL (llm_base_url или LLM_BASE_URL)");
+  if (provider === "openai-compatible") checkBaseUrl(baseUrl);
+
+  return {
+    provider,
+    model: String(pick("model") || DEFAULT_MODEL[provider]),
+    temperature,
+    baseUrl,
+  };
+}
+
+async function chatCompletions({ baseUrl, apiKey, model, temperature, messages }) {
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  const res = await fetch(`${baseUrl.replace(/\/+$/, "")}/chat/completions`, {
+    method: "POST",
+    headers,
+    // редирект увёл бы запрос (и ключ) на другой адрес
+    redirect: "error",
+    timeout: REQUEST_TIMEOUT_MS,
+    body: JSON.stringify({ model, messages, temperature }),
+  });
+
+  if (!res.ok) {
+    throw new Error(`LLM (${model}): ${res.status}`);
+  }
+
+  const data = await res.json();
+  return {
+    text: data?.choices?.[0]?.message?.content ?? "",
+    usage: {
+      prompt_tokens: data?.usage?.prompt_tokens ?? 0,
+      completion_tokens: data?.usage?.completion_tokens ?? 0,
+      total_tokens: data?.usage?.total_tokens ?? 0,
+    },
+  };
+}
+
+// грубая оценка токенов для mock-провайдера (~4 символа на токен)
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function mockCompletion({ messages, count = 3 }) {
+  const prompt = messages.map((m) => m.content).join("\n");
+  const hash = crypto.createHash("sha256").update(prompt).digest("hex");
+  const posts = Array.from({ length: count }, (_, i) => ({
+    title: `Тестовый пост ${i + 1} (${hash.slice(i * 6, i * 6 + 6)})`,
+    description: `Текст сгенерирован mock-провайдером без обращения к модели. Промпт: ${prompt.length} символов.`,
+  }));
+  const text = JSON.stringify(posts);
+  const prompt_tokens = estimateTokens(prompt);
+  const completion_tokens = estimateTokens(text);
+  return {
+    text,
+    usage: { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens },
+  };
+}
+
+/**
+ * Single chat completion.
+ * options: результат resolveLlmOptions + messages; count — ожидаемое число постов (нужно только mock).
+ * Returns { text, usage: { prompt_tokens, completion_tokens, total_tokens }, provider, model }
+ */
+export async function complete({ provider, model, temperature, baseUrl, messages, count }) {
+  let result;
+  if (provider === "mock") {
+    result = mockCompletion({ messages, count });
+  } else if (provider === "openai") {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error("OPENAI_API_KEY не задан");
+    }
+    result = await chatCompletions({
+      baseUrl,
+      apiKey: process.env.OPENAI_API_KEY,
+      model,
+      temperature,
+      messages,
+    });
+  } else {
+    result = await chatCompletions({
+      baseUrl,
+      apiKey: sameBaseUrl(baseUrl, process.env.LLM_BASE_URL) ? process.env.LLM_API_KEY : null,
+      model,
+      temperature,
+      messages,
+    });
+  }
+  return { ...result, provider, model };
+}
@@ -0,0 +1,95 @@
+// Вложения постов: допустимые файлы, вид вложения и план отправки в Telegram.
+
+export const MEDIA_KINDS = ["photo", "video", "animation", "document"];
+
+// в альбоме Telegram не больше 10 элементов — столько же разрешаем на пост
+export const MAX_ATTACHMENTS = 10;
+
+// лимит Bot API на загрузку файла
+export const MAX_UPLOAD_BYTES = 50 * 1024 * 1024;
+
+const MIME_KINDS = {
+  "image/jpeg": "photo",
+  "image/png": "photo",
+  "image/webp": "photo",
+  "image/gif": "animation",
+  "video/mp4": "video",
+  "video/quicktime": "video",
+  "video/webm": "video",
+  "application/pdf": "document",
+  "application/zip": "document",
+  "application/msword": "document",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": "document",
+  "application/vnd.ms-excel": "document",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "document",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation": "document",
+  "text/plain": "document",
+  "text/csv": "document",
+  "audio/mpeg": "document",
+};
+
+function mediaError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Kind of attachment by MIME type; null — такой файл загружать нельзя.
+ */
+export function mediaKind(mimetype) {
+  return MIME_KINDS[mimetype] || null;
+}
+
+/**
+ * Kind requested by the user (необязательно) on top of the detected one:
+ * любой файл можно отправить документом, mp4 — анимацией (GIF без звука).
+ */
+export function resolveKind(requested, mimetype) {
+  const detected = mediaKind(mimetype);
+  if (requested === undefined || requested === null || requested === "" || requested === detected) return detected;
+  if (!MEDIA_KINDS.includes(requested))
+    throw mediaError(`kind должен быть одним из: ${MEDIA_KINDS.join(", ")}`);
+  if (requested === "document" || (requested === "animation" && mimetype === "video/mp4")) return requested;
+  throw mediaError(`Файл ${mimetype} нельзя отправить как ${requested}`);
+}
+
+// метод Bot API для одиночного вложения
+export const SEND_METHODS = {
+  photo: "sendPhoto",
+  video: "sendVideo",
+  animation: "sendAnimation",
+  document: "sendDocument",
+};
+
+// фото и видео можно смешивать в одном альбоме, документы — только с документами,
+// анимации в альбомы не входят
+function groupType(kind) {
+  if (kind === "photo" || kind === "video") return "visual";
+  if (kind === "document") return "document";
+  return null;
+}
+
+/**
+ * Split ordered attachments into Telegram messages, сохраняя порядок:
+ * [{ group: [attachments] }] — sendMediaGroup, [{ single: attachment }] — sendPhoto/sendVideo/…
+ */
+export function planMessages(attachments) {
+  const steps = [];
+  let group = [];
+
+  const flush = () => {
+    if (group.length === 1) steps.push({ single: group[0] });
+    else if (group.length) steps.push({ group });
+    group = [];
+  };
+
+  for (const attachment of attachments) {
+    const type = groupType(attachment.kind);
+    if (!type || (group.length && groupType(group[0].kind) !== type) || group.length >= MAX_ATTACHMENTS) flush();
+    if (type) group.push(attachment);
+    else steps.push({ single: attachment });
+  }
+  flush();
+  return steps;
+}
@@ -0,0 +1,545 @@
+// Схема базы — нумерованные миграции. Применённые версии записываются в schema_migrations,
+// каждая миграция выполняется один раз и в транзакции. Миграция 1 — схема первого релиза, каждая
+// следующая таблица или колонка — новая миграция в конце списка; выпущенные миграции не меняются.
+// Таблицы и колонки создаются, только если их ещё нет: базы ранних версий могут уже содержать часть из них.
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// до единой базы данные хранились в двух файлах рядом с сервером
+const LEGACY_DIR = __dirname;
+const LEGACY_TABLES = {
+  "users.db": ["users", "channels", "prompt_templates", "sessions", "api_keys", "workspace_members", "llm_usage"],
+  "posts.db": ["generation_jobs", "posts", "published_messages", "attachments", "slots", "events"],
+};
+
+// схема первого релиза: до единой базы users и posts жили в users.db и posts.db
+const INITIAL_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password TEXT NOT NULL,
+    telegram_token TEXT,
+    channel_id TEXT,
+    createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+    add_images INTEGER DEFAULT 1,
+    use_own_posts INTEGER DEFAULT 0,
+    use_other_channels INTEGER DEFAULT 0,
+    channels_list TEXT,
+    use_sites INTEGER DEFAULT 0,
+    sites_list TEXT,
+    auth_token TEXT UNIQUE
+  );
+
+  CREATE TABLE IF NOT EXISTS posts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    title TEXT NOT NULL,
+    description TEXT,
+    url TEXT,
+    scheduledAt TEXT,
+    sent INTEGER DEFAULT 0
+  );
+`;
+
+async function columnsOf(database, schema, table) {
+  return (await database.all(`PRAGMA ${schema}.table_info(${table})`)).map((c) => c.name);
+}
+
+/**
+ * Add columns the table does not have yet (базы ранних версий могут уже содержать часть из них).
+ * - columns: { name: "TYPE ..." }
+ */
+async function addColumns(database, table, columns) {
+  const existing = await columnsOf(database, "main", table);
+  for (const [name, type] of Object.entries(columns)) {
+    if (!existing.includes(name)) await database.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+  }
+}
+
+// каналы пользователя: несколько пар «бот + канал» на один аккаунт; пост — в выбранные каналы
+async function addChannels(database) {
+  await database.exec(`
+    CREATE TABLE IF NOT EXISTS channels (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      title TEXT,
+      telegram_token TEXT NOT NULL,
+      channel_id TEXT NOT NULL,
+      createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  await addColumns(database, "posts", { channel_ids: "TEXT" });
+}
+
+// повторяющиеся посты и недельные слоты публикации: очередь черновиков занимает ближайший свободный слот
+async function addSlots(database) {
+  await addColumns(database, "posts", { recurrence: "TEXT", queuedAt: "TEXT" });
+  await database.exec(`
+    CREATE TABLE IF NOT EXISTS slots (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      weekday INTEGER NOT NULL,
+      time TEXT NOT NULL,
+      UNIQUE (user_id, weekday, time)
+    );
+  `);
+}
+
+// архив опубликованного: одно сообщение Telegram на каждый канал каждой отправки.
+// channel_ref без внешнего ключа: архив переживает удаление канала
+async function addPublishedMessages(database) {
+  await addColumns(database, "posts", { sentAt: "TEXT" });
+  await database.exec(`
+    CREATE TABLE IF NOT EXISTS published_messages (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      post_id INTEGER NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      channel_ref INTEGER,
+      channel_title TEXT,
+      chat TEXT NOT NULL,
+      message_id INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      text TEXT,
+      sentAt TEXT NOT NULL,
+      editedAt TEXT,
+      deletedAt TEXT,
+      pinned INTEGER DEFAULT 0
+    );
+    CREATE INDEX IF NOT EXISTS published_messages_post_id ON published_messages (post_id);
+  `);
+}
+
+// доставка: pending -> sending -> sent | retrying -> ... -> failed
+async function addDeliveryState(database) {
+  await addColumns(database, "posts", {
+    status: "TEXT DEFAULT 'pending'",
+    attempts: "INTEGER DEFAULT 0",
+    nextAttemptAt: "TEXT",
+    lastError: "TEXT",
+  });
+  await database.exec("CREATE INDEX IF NOT EXISTS posts_due ON posts (status, scheduledAt)");
+}
+
+// шаблоны промптов генерации; template = NULL — встроенный шаблон с переменными пользователя
+const PROMPT_TEMPLATES = `
+  CREATE TABLE IF NOT EXISTS prompt_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    template TEXT,
+    variables TEXT,
+    is_default INTEGER DEFAULT 0,
+    createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+  );
+`;
+
+// провайдер модели пользователя и расход токенов LLM: одна строка на вызов модели
+async function addLlmUsage(database) {
+  await addColumns(database, "users", {
+    llm_provider: "TEXT",
+    llm_model: "TEXT",
+    llm_temperature: "REAL",
+    llm_base_url: "TEXT",
+  });
+  await database.exec(`
+    CREATE TABLE IF NOT EXISTS llm_usage (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      provider TEXT NOT NULL,
+      model TEXT NOT NULL,
+      prompt_tokens INTEGER DEFAULT 0,
+      completion_tokens INTEGER DEFAULT 0,
+      total_tokens INTEGER DEFAULT 0,
+      createdAt TEXT DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX IF NOT EXISTS llm_usage_user_id ON llm_usage (user_id);
+  `);
+}
+
+// фоновые задачи генерации постов; job_id — задача, создавшая черновик
+async function addGenerationJobs(database) {
+  await database.exec(`
+    CREATE TABLE IF NOT EXISTS generation_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      status TEXT NOT NULL,
+      stage TEXT,
+      params TEXT,
+      result TEXT,
+      error TEXT,
+      createdAt TEXT NOT NULL,
+      startedAt TEXT,
+      finishedAt TEXT
+    );
+  `);
+  await addColumns(database, "posts", { job_id: "INTEGER REFERENCES generation_jobs (id) ON DELETE SET NULL" });
+}
+
+// вложения поста (фото, видео, анимации, документы) в порядке position; альбом в архиве — media_group_id
+async function addAttachments(database) {
+  await database.exec(`
+    CREATE TABLE IF NOT EXISTS attachments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      post_id INTEGER NOT NULL REFERENCES posts (id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+      kind TEXT NOT NULL,
+      url TEXT NOT NULL,
+      file TEXT,
+      mime TEXT,
+      size INTEGER,
+      original_name TEXT,
+      position INTEGER NOT NULL,
+      createdAt TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS attachments_post_id ON attachments (post_id);
+  `);
+  await addColumns(database, "published_messages", { media_group_id: "TEXT" });
+}
+
+// inline-кнопки, опрос и параметры отправки поста (см. interactive.js)
+async function addInteractive(database) {
+  await addColumns(database, "posts", {
+    buttons: "TEXT",
+    poll: "TEXT",
+    disable_web_page_preview: "INTEGER DEFAULT 0",
+    disable_notification: "INTEGER DEFAULT 0",
+    protect_content: "INTEGER DEFAULT 0",
+  });
+  await addColumns(database, "published_messages", { reply_markup: "TEXT" });
+}
+
+// согласование постов: настройки пространства и состояние проверки поста
+async function addApproval(database) {
+  await addColumns(database, "users", { require_approval: "INTEGER DEFAULT 0", reviewer_chat_id: "TEXT" });
+  await addColumns(database, "posts", {
+    review_status: "TEXT",
+    review_note: "TEXT",
+    reviewedAt: "TEXT",
+    reviewedBy: "TEXT",
+    review_chat: "TEXT",
+    review_message_id: "INTEGER",
+  });
+}
+
+// участники рабочих пространств: workspace_id — id владельца пространства;
+// status invited — приглашение ещё не принято, active — участник
+const WORKSPACE_MEMBERS = `
+  CREATE TABLE IF NOT EXISTS workspace_members (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    workspace_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    role TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'invited',
+    invited_by INTEGER REFERENCES users (id) ON DELETE SET NULL,
+    createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+    acceptedAt TEXT,
+    UNIQUE (workspace_id, user_id)
+  );
+  CREATE INDEX IF NOT EXISTS workspace_members_user_id ON workspace_members (user_id);
+`;
+
+// сессии входа (токен хранится только хэшем, у каждой сессии свой срок жизни)
+// и API-ключи для скриптов: действуют от имени пользователя в пределах scopes (JSON-массив)
+const SESSIONS = `
+  CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    token_hash TEXT UNIQUE NOT NULL,
+    user_agent TEXT,
+    createdAt TEXT NOT NULL,
+    expiresAt TEXT NOT NULL,
+    lastUsedAt TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    key_hash TEXT UNIQUE NOT NULL,
+    prefix TEXT NOT NULL,
+    scopes TEXT NOT NULL,
+    createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
+    expiresAt TEXT,
+    lastUsedAt TEXT
+  );
+`;
+
+// журнал событий для WebSocket-клиентов (см. events.js); payload — данные события в JSON
+const EVENTS = `
+  CREATE TABLE IF NOT EXISTS events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    createdAt TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS events_user_id ON events (user_id, id);
+`;
+
+// полнотекстовый поиск по title и description; external content — текст хранится только в posts,
+// индекс поддерживают триггеры
+const POSTS_FTS = `
+  CREATE VIRTUAL TABLE IF NOT EXISTS posts_fts USING fts5(
+    title,
+    description,
+    content = 'posts',
+    content_rowid = 'id',
+    tokenize = 'unicode61 remove_diacritics 2'
+  );
+
+  CREATE TRIGGER IF NOT EXISTS posts_fts_insert AFTER INSERT ON posts BEGIN
+    INSERT INTO posts_fts (rowid, title, description) VALUES (new.id, new.title, new.description);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS posts_fts_delete AFTER DELETE ON posts BEGIN
+    INSERT INTO posts_fts (posts_fts, rowid, title, description) VALUES ('delete', old.id, old.title, old.description);
+  END;
+
+  CREATE TRIGGER IF NOT EXISTS posts_fts_update AFTER UPDATE OF title, description ON posts BEGIN
+    INSERT INTO posts_fts (posts_fts, rowid, title, description) VALUES ('delete', old.id, old.title, old.description);
+    INSERT INTO posts_fts (rowid, title, description) VALUES (new.id, new.title, new.description);
+  END;
+
+  INSERT INTO posts_fts (posts_fts) VALUES ('rebuild');
+`;
+
+/**
+ * Copy one table from the attached legacy file: общие колонки, id сохраняются,
+ * счётчик AUTOINCREMENT не меньше прежнего (курсоры событий и ссылки на id остаются верными).
+ * Returns { copied, skipped }
+ */
+async function copyLegacyTable(database, table) {
+  const exists = await database.get("SELECT name FROM legacy.sqlite_master WHERE type = 'table' AND name = ?", table);
+  if (!exists) return { copied: 0, skipped: 0 };
+
+  const target = await columnsOf(database, "main", table);
+  const columns = (await columnsOf(database, "legacy", table)).filter((c) => target.includes(c)).join(", ");
+  const { total } = await database.get(`SELECT COUNT(*) AS total FROM legacy.${table}`);
+  // OR IGNORE: строки, нарушающие NOT NULL и UNIQUE новой схемы, пропускаются
+  const result = await database.run(
+    `INSERT OR IGNORE INTO main.${table} (${columns}) SELECT ${columns} FROM legacy.${table}`
+  );
+
+  const legacySeq = await database.get("SELECT seq FROM legacy.sqlite_sequence WHERE name = ?", table);
+  if (legacySeq) {
+    await database.run(
+      "INSERT INTO main.sqlite_sequence (name, seq) SELECT ?, 0 WHERE NOT EXISTS (SELECT 1 FROM main.sqlite_sequence WHERE name = ?)",
+      [table, table]
+    );
+    await database.run("UPDATE main.sqlite_sequence SET seq = MAX(seq, ?) WHERE name = ?", [legacySeq.seq, table]);
+  }
+  return { copied: result.changes, skipped: total - result.changes };
+}
+
+/**
+ * Import posts.db and users.db of earlier versions. Файлы не меняются и остаются резервной копией.
+ * Строки без владельца (пост удалённого пользователя и т. п.) при импорте отбрасываются.
+ */
+async function importLegacyDatabases(database) {
+  let imported = false;
+  for (const [file, tables] of Object.entries(LEGACY_TABLES)) {
+    const filename = path.join(LEGACY_DIR, file);
+    if (!fs.existsSync(filename)) continue;
+
+    // ATTACH невозможен внутри транзакции — поэтому миграция открывает её сама
+    await database.run("ATTACH DATABASE ? AS legacy", filename);
+    try {
+      await database.exec("BEGIN");
+      try {
+        for (const table of tables) {
+          const { copied, skipped } = await copyLegacyTable(database, table);
+          if (skipped) console.warn(`⚠️ ${file}: ${table} — пропущено строк: ${skipped} (дубликаты или пустые обязательные поля)`);
+          if (copied) console.log(`🗄️ ${file}: ${table} — перенесено строк: ${copied}`);
+        }
+        await database.exec("COMMIT");
+      } catch (err) {
+        await database.exec("ROLLBACK");
+        throw err;
+      }
+    } finally {
+      await database.exec("DETACH DATABASE legacy");
+    }
+    imported = true;
+  }
+  if (!imported) return;
+
+  // внешние ключи выключены на время миграций — удаляем строки, ссылающиеся на отсутствующих владельцев,
+  // пока не останется ни одной (удаление поста оставляет без владельца его вложения)
+  await database.exec("BEGIN");
+  try {
+    let violations = await database.all("PRAGMA foreign_key_check");
+    while (violations.length) {
+      for (const { table, rowid } of violations) await database.run(`DELETE FROM ${table} WHERE rowid = ?`, rowid);
+      console.warn(`⚠️ Удалено строк без владельца: ${violations.length}`);
+      violations = await database.all("PRAGMA foreign_key_check");
+    }
+    await database.exec("COMMIT");
+  } catch (err) {
+    await database.exec("ROLLBACK");
+    throw err;
+  }
+}
+
+// ссылки на ленту календаря (.ics): токен хранится только хэшем; лента работает, пока у user_id
+// есть право read в пространстве workspace_id
+const CALENDAR_FEEDS = `
+  CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    workspace_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    prefix TEXT NOT NULL,
+    createdAt TEXT NOT NULL,
+    lastUsedAt TEXT
+  );
+  CREATE INDEX IF NOT EXISTS calendar_feeds_workspace_id ON calendar_feeds (workspace_id);
+`;
+
+// часовой пояс и тихие часы пользователя (см. timezone.js). Планировщик сравнивает scheduledAt строкой
+// с текущим временем в UTC, поэтому сохранённые раньше значения приводятся к toISOString;
+// время без смещения раньше фактически считалось UTC — так и читаем
+async function addTimezone(database) {
+  await addColumns(database, "users", {
+    timezone: "TEXT DEFAULT 'UTC'",
+    quiet_hours_start: "TEXT",
+    quiet_hours_end: "TEXT",
+    quiet_hours_mode: "TEXT DEFAULT 'hold'",
+  });
+  const posts = await database.all("SELECT id, scheduledAt FROM posts WHERE scheduledAt IS NOT NULL");
+  for (const { id, scheduledAt } of posts) {
+    const text = String(scheduledAt).trim().replace(" ", "T");
+    const date = new Date(/(Z|[+-]\d{2}:?\d{2})$/i.test(text) || !text.includes("T") ? text : `${text}Z`);
+    // нечитаемое время планировщик всё равно не отправил бы — пост становится черновиком
+    if (Number.isNaN(date.getTime())) console.warn(`⚠️ Пост #${id}: нечитаемое scheduledAt «${scheduledAt}» сброшено`);
+    const normalized = Number.isNaN(date.getTime()) ? null : date.toISOString();
+    if (normalized !== scheduledAt) await database.run("UPDATE posts SET scheduledAt = ? WHERE id = ?", [normalized, id]);
+  }
+}
+
+// поиск дублей (см. similarity.js): настройки пространства и пометка поста — самый похожий пост и сходство
+async function addDuplicates(database) {
+  await addColumns(database, "users", { block_duplicates: "INTEGER DEFAULT 0", duplicate_threshold: "REAL" });
+  await addColumns(database, "posts", {
+    duplicate_of: "INTEGER REFERENCES posts (id) ON DELETE SET NULL",
+    duplicate_score: "REAL",
+  });
+}
+
+// владелец поста обязателен: в первом релизе posts.user_id был без ограничений. Добавить их к колонке
+// SQLite не умеет — таблица пересоздаётся с той же схемой, индексами и триггерами, id и счётчик AUTOINCREMENT
+// сохраняются. Посты без владельца (user_id пустой или пользователя уже нет) отбрасываются
+async function requirePostOwner(database) {
+  const keys = await database.all("PRAGMA foreign_key_list(posts)");
+  if (keys.some((key) => key.from === "user_id" && key.table === "users")) return;
+
+  const { sql } = await database.get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'posts'");
+  const dependents = await database.all(
+    "SELECT sql FROM sqlite_master WHERE tbl_name = 'posts' AND type IN ('index', 'trigger') AND sql IS NOT NULL"
+  );
+  const sequence = await database.get("SELECT seq FROM sqlite_sequence WHERE name = 'posts'");
+  const columns = (await columnsOf(database, "main", "posts")).join(", ");
+
+  await database.exec(
+    sql
+      .replace(/^CREATE TABLE (IF NOT EXISTS )?"?posts"?/i, "CREATE TABLE posts_owned")
+      .replace(/\buser_id INTEGER(?=\s*,)/, "user_id INTEGER NOT NULL REFERENCES users (id) ON DELETE CASCADE")
+  );
+  const { total } = await database.get("SELECT COUNT(*) AS total FROM posts");
+  const { changes } = await database.run(
+    `INSERT INTO posts_owned (${columns}) SELECT ${columns} FROM posts WHERE user_id IN (SELECT id FROM users)`
+  );
+  if (changes < total) console.warn(`⚠️ Удалено постов без владельца: ${total - changes}`);
+
+  await database.exec("DROP TABLE posts");
+  await database.exec("ALTER TABLE posts_owned RENAME TO posts");
+  for (const dependent of dependents) await database.exec(dependent.sql);
+  await database.exec("CREATE INDEX IF NOT EXISTS posts_user_id ON posts (user_id)");
+  if (sequence) {
+    await database.run(
+      "INSERT INTO sqlite_sequence (name, seq) SELECT 'posts', 0 WHERE NOT EXISTS (SELECT 1 FROM sqlite_sequence WHERE name = 'posts')"
+    );
+    await database.run("UPDATE sqlite_sequence SET seq = MAX(seq, ?) WHERE name = 'posts'", sequence.seq);
+  }
+  // индекс поиска ссылается на rowid постов: отброшенные посты убираются и из него
+  if (await database.get("SELECT name FROM sqlite_master WHERE name = 'posts_fts'"))
+    await database.exec("INSERT INTO posts_fts (posts_fts) VALUES ('rebuild')");
+}
+
+// transaction: false — миграция сама управляет транзакциями (и должна быть идемпотентной)
+export const MIGRATIONS = [
+  { version: 1, name: "initial schema", up: (database) => database.exec(INITIAL_SCHEMA) },
+  { version: 2, name: "channels", up: addChannels },
+  { version: 3, name: "recurrence and publishing slots", up: addSlots },
+  { version: 4, name: "published messages archive", up: addPublishedMessages },
+  { version: 5, name: "delivery state", up: addDeliveryState },
+  { version: 6, name: "prompt templates", up: (database) => database.exec(PROMPT_TEMPLATES) },
+  { version: 7, name: "llm providers and usage", up: addLlmUsage },
+  { version: 8, name: "style examples", up: (database) => addColumns(database, "posts", { example_mode: "TEXT" }) },
+  { version: 9, name: "generation jobs", up: addGenerationJobs },
+  { version: 10, name: "attachments", up: addAttachments },
+  { version: 11, name: "parse mode", up: (database) => addColumns(database, "users", { parse_mode: "TEXT" }) },
+  { version: 12, name: "buttons, polls and send options", up: addInteractive },
+  { version: 13, name: "approval workflow", up: addApproval },
+  { version: 14, name: "workspaces", up: (database) => database.exec(WORKSPACE_MEMBERS) },
+  { version: 15, name: "sessions and api keys", up: (database) => database.exec(SESSIONS) },
+  { version: 16, name: "events", up: (database) => database.exec(EVENTS) },
+  // импорт — после всех таблиц и колонок старых файлов, иначе их данные не перенесутся
+  { version: 17, name: "import posts.db and users.db", transaction: false, up: importLegacyDatabases },
+  { version: 18, name: "posts full-text search", up: (database) => database.exec(POSTS_FTS) },
+  { version: 19, name: "calendar feeds", up: (database) => database.exec(CALENDAR_FEEDS) },
+  { version: 20, name: "timezone and quiet hours", up: addTimezone },
+  { version: 21, name: "duplicate detection", up: addDuplicates },
+  { version: 22, name: "posts owner constraint", up: requirePostOwner },
+];
+
+/**
+ * Apply pending migrations in version order.
+ * Внешние ключи на время миграций выключены (SQLite не даёт иначе пересоздавать таблицы)
+ * и проверяются после каждой миграции: нарушение откатывает её.
+ * Returns applied versions
+ */
+export async function migrate(database) {
+  await database.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt TEXT NOT NULL
+    )
+  `);
+  const applied = new Set((await database.all("SELECT version FROM schema_migrations")).map((m) => m.version));
+  const pending = MIGRATIONS.filter((m) => !applied.has(m.version)).sort((a, b) => a.version - b.version);
+  if (!pending.length) return [];
+
+  await database.exec("PRAGMA foreign_keys = OFF");
+  try {
+    for (const migration of pending) {
+      const ownTransaction = migration.transaction !== false;
+      if (ownTransaction) await database.exec("BEGIN");
+      try {
+        await migration.up(database);
+        const violations = await database.all("PRAGMA foreign_key_check");
+        if (violations.length)
+          throw new Error(`нарушены внешние ключи: ${[...new Set(violations.map((v) => v.table))].join(", ")}`);
+        await database.run(
+          "INSERT INTO schema_migrations (version, name, appliedAt) VALUES (?, ?, ?)",
+          [migration.version, migration.name, new Date().toISOString()]
+        );
+        if (ownTransaction) await database.exec("COMMIT");
+      } catch (err) {
+        if (ownTransaction) await database.exec("ROLLBACK");
+        err.message = `Миграция ${migration.version} (${migration.name}): ${err.message}`;
+        throw err;
+      }
+      console.log(`🗄️ Применена миграция ${migration.version}: ${migration.name}`);
+    }
+  } finally {
+    await database.exec("PRAGMA foreign_keys = ON");
+  }
+  return pending.map((m) => m.version);
+}
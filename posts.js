@@ -2,16 +2,59 @@
 import TelegramBot from "node-telegram-bot-api";
 import express from "express";
 import cors from "cors";
-import sqlite3 from "sqlite3";
-import { open } from "sqlite";
 import cron from "node-cron";
 import { WebSocketServer } from "ws";
 import multer from "multer";
 import path from "path";
 import fs from "fs";
+import http from "http";
 import { fileURLToPath } from "url";
+import crypto from "crypto";
 import dotenv from "dotenv";
+import { db, transaction } from "./db.js";
 import { generatePosts as generatePostsService } from "./generation.js";
+import { normalizeTemplate, normalizeVariables } from "./prompts.js";
+import { resolveLlmOptions } from "./llm.js";
+import { selectStyleExamples } from "./style.js";
+import { normalizeRecurrence, nextRecurrence, normalizeSlot, slotOccurrences } from "./schedule.js";
+import { MEDIA_KINDS, MAX_ATTACHMENTS, MAX_UPLOAD_BYTES, mediaKind, resolveKind } from "./media.js";
+import { normalizeButtons, normalizePoll } from "./interactive.js";
+import { PARSE_MODES, DEFAULT_PARSE_MODE, CAPTION_LIMIT, MESSAGE_LIMIT, formatPost, buildMessages, renderTokens } from "./formatting.js";
+import { can, workspaceRole, memberWorkspaces, workspaceUsers, getRequesterId, verifyUserOrReject } from "./workspaces.js";
+import { authenticate, scopeAllows, unauthenticated, hashToken } from "./auth.js";
+import { decryptToken } from "./bots.js";
+import { limits, limitByIp, sendRateLimited } from "./ratelimit.js";
+import { recordEvent, eventsSince, latestCursor, normalizeCursor, pruneEvents } from "./events.js";
+import { FTS_MARKERS, normalizePostQuery, normalizeHistoryQuery, renderMatch } from "./search.js";
+import {
+  TRANSFER_FORMATS,
+  EXPORT_SCOPES,
+  MAX_IMPORT_BYTES,
+  detectFormat,
+  readImport,
+  validateImport,
+  buildExport,
+  normalizeBulkAction,
+  listStatus,
+} from "./bulk.js";
+import {
+  FEED_HORIZON_DAYS,
+  normalizeCalendarQuery,
+  expandOccurrences,
+  buildCalendar,
+  generateFeedToken,
+  toICalendar,
+} from "./calendar.js";
+import {
+  DEFAULT_TIMEZONE,
+  parseScheduledAt,
+  toLocalIso,
+  userQuietHours,
+  inQuietHours,
+  quietHoursEnd,
+  checkQuietHours,
+} from "./timezone.js";
+import { DEFAULT_DUPLICATE_THRESHOLD, DUPLICATE_WINDOW_DAYS, findDuplicates, duplicateMessage } from "./similarity.js";
 
 dotenv.config();
 
@@ -22,33 +65,6 @@ const router = express.Router();
 router.use(cors());
 router.use(express.json());
 
-let db;
-let usersDb;
-
-(async () => {
-  db = await open({
-    filename: path.join(__dirname, "posts.db"),
-    driver: sqlite3.Database,
-  });
-
-  usersDb = await open({
-    filename: path.join(__dirname, "users.db"),
-    driver: sqlite3.Database,
-  });
-
-  await db.exec(`
-    CREATE TABLE IF NOT EXISTS posts (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      user_id INTEGER,
-      title TEXT NOT NULL,
-      description TEXT,
-      url TEXT,
-      scheduledAt TEXT,
-      sent INTEGER DEFAULT 0
-    )
-  `);
-})();
-
 const uploadDir = path.join(__dirname, "uploads");
 if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
 
@@ -63,160 +79,745 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage,
   fileFilter: (req, file, cb) => {
-    const allowed = ["image/jpeg", "image/png", "image/webp"];
-    if (!allowed.includes(file.mimetype))
-      return cb(new Error("Only JPEG, PNG or WEBP images allowed"));
+    if (!mediaKind(file.mimetype))
+      return cb(new Error(`Недопустимый тип файла: ${file.mimetype}`));
     cb(null, true);
   },
-  limits: { fileSize: 20 * 1024 * 1024 },
+  limits: { fileSize: MAX_UPLOAD_BYTES },
 });
 
+// ошибки multer (тип, размер, число файлов) — 400 в обычном формате ответа, а не HTML-страница
+function receiveFiles(middleware) {
+  return (req, res, next) =>
+    middleware(req, res, (err) => {
+      if (err) return res.status(400).json({ success: false, error: err.message });
+      next();
+    });
+}
+
+function removeUpload(filename) {
+  if (!filename) return;
+  const filePath = path.join(uploadDir, path.basename(filename));
+  if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+}
+
+// доставка: pending -> sending -> sent | retrying -> ... -> failed
+const MAX_SEND_ATTEMPTS = Number(process.env.MAX_SEND_ATTEMPTS) || 5;
+const RETRY_BASE_SECONDS = Number(process.env.SEND_RETRY_BASE_SECONDS) || 30;
+const RETRY_MAX_SECONDS = 6 * 60 * 60;
+// ошибки Telegram, которые повтор не исправит: неверный запрос, токен, нет прав в чате, чат не найден.
+// 429, 5xx и сетевые ошибки — временные, их повторяем
+const PERMANENT_ERROR_CODES = [400, 401, 403, 404];
+
+// сброс состояния доставки при новом планировании / возврате в очередь
+const RESET_DELIVERY =
+  "sent = 0, status = 'pending', attempts = 0, nextAttemptAt = NULL, lastError = NULL";
+
 let wss;
-const clients = new Set();
+// WebSocket -> { requester, authReq, alive } (см. attachEvents)
+const clients = new Map();
 
-function broadcast(message) {
-  const data = JSON.stringify(message);
-  for (const client of clients) {
-    if (client.readyState === 1) client.send(data);
+/**
+ * Helper: save an event of workspace userId and send it to connections of its owner and members.
+ * Ошибки событий не ломают запрос, который их вызвал, — только пишутся в лог.
+ */
+async function emit(userId, type, data = {}) {
+  try {
+    const event = await recordEvent(db, userId, type, data);
+    if (!clients.size) return;
+    const audience = new Set(await workspaceUsers(db, event.userId));
+    const payload = JSON.stringify(event);
+    for (const [ws, client] of clients) {
+      if (ws.readyState === 1 && audience.has(client.requester.userId)) ws.send(payload);
+    }
+  } catch (err) {
+    console.error(`Ошибка события ${type}:`, err.message);
   }
 }
 
 /**
- * Helper: get requester id by auth token (x-auth-token) OR fallback to numeric userId (x-auth-token/body/query)
- * Returns number or null
- *
- * - First tries auth token (x-auth-token header, body.auth_token, query.auth_token) and looks up usersDb
- * - If token not provided or not found, falls back to numeric userId from body/query/header (legacy)
+ * Helper: emit a post event with the current state of the post (как GET /:id) in post.
  */
-async function getRequesterId(req) {
-  // token first
-  const token =
-    req.headers["x-auth-token"] ||
-    req.headers["x_auth_token"] ||
-    (req.body && req.body.auth_token) ||
-    (req.query && req.query.auth_token);
-
-  if (token) {
-    try {
-      const row = await usersDb.get("SELECT id FROM users WHERE auth_token = ?", token);
-      if (row && row.id) return row.id;
-    } catch (e) {
-      // ignore and fallthrough to legacy checks
-    }
+async function emitPost(type, postId, data = {}) {
+  try {
+    const post = await db.get("SELECT * FROM posts WHERE id = ?", postId);
+    if (!post) return;
+    const attachments = await loadAttachments([post.id]);
+    await emit(post.user_id, type, { postId: post.id, ...data, post: serializePost(post, attachments.get(post.id) || []) });
+  } catch (err) {
+    console.error(`Ошибка события ${type}:`, err.message);
   }
+}
 
-  // legacy: numeric userId in body/query/header
-  if (req.body && req.body.userId !== undefined && req.body.userId !== null) {
-    const n = Number(req.body.userId);
-    return Number.isInteger(n) ? n : null;
+/**
+ * Helper: events after publishPost — post_sent по успешным каналам, send_failed по упавшим
+ * (статус, попытки и время повтора — в post).
+ */
+async function emitDelivery(postId, results) {
+  const sent = results.filter((r) => r.success);
+  if (sent.length) {
+    await emitPost("post_sent", postId, {
+      message_id: sent[0].messageId,
+      messages: sent.map((r) => ({
+        channelId: r.channelId,
+        chat: r.chat,
+        message_id: r.messageId,
+        message_ids: r.messageIds,
+        publishedId: r.publishedId,
+      })),
+    });
+  }
+  if (sent.length < results.length) {
+    await emitPost("send_failed", postId, {
+      error: describeFailures(results),
+      channels: results.filter((r) => !r.success).map((r) => ({ channelId: r.channelId, chat: r.chat, error: r.error })),
+    });
   }
-  if (req.query && req.query.userId !== undefined && req.query.userId !== null) {
-    const n = Number(req.query.userId);
-    return Number.isInteger(n) ? n : null;
+}
+
+/**
+ * Helper: verify access to a post (или другой строки с user_id) in its workspace.
+ * - permission: read | edit | generate | publish | manage (см. workspaces.js)
+ * If token missing -> 400, invalid or expired -> 401
+ * If not owner / member without permission / API key without scope -> 403
+ * Returns true if ok, false if response already sent
+ */
+async function verifyOwnershipOrReject(post, req, res, permission) {
+  return verifyUserOrReject(db, post.user_id, req, res, permission);
+}
+
+/**
+ * Helper: normalize channel_ids from request body.
+ * undefined -> undefined (не менять), null / [] -> null (канал по умолчанию из настроек),
+ * иначе массив id каналов, принадлежащих пользователю. Бросает ошибку с status 400.
+ */
+async function normalizeChannelIds(userId, value) {
+  if (value === undefined) return undefined;
+  if (value === null || (Array.isArray(value) && value.length === 0)) return null;
+
+  const ids = Array.isArray(value) ? value.map(Number) : [Number(value)];
+  if (ids.some((n) => !Number.isInteger(n))) {
+    const err = new Error("channel_ids должен быть массивом id каналов");
+    err.status = 400;
+    throw err;
   }
-  const header = req.headers["x-auth-token"] || req.headers["x_user_id"];
-  if (header !== undefined && header !== null) {
-    const n = Number(header);
-    return Number.isInteger(n) ? n : null;
+
+  const unique = [...new Set(ids)];
+  const rows = await db.all(
+    `SELECT id FROM channels WHERE user_id = ? AND id IN (${unique.map(() => "?").join(", ")})`,
+    [userId, ...unique]
+  );
+  if (rows.length !== unique.length) {
+    const err = new Error("Канал не найден");
+    err.status = 400;
+    throw err;
   }
-  return null;
+  return unique;
+}
+
+/**
+ * Helper: timezone and quiet hours of a workspace (настройки владельца, см. timezone.js).
+ * Returns { timezone, quiet }
+ */
+async function userSchedule(userId) {
+  const user = await db.get(
+    "SELECT timezone, quiet_hours_start, quiet_hours_end, quiet_hours_mode FROM users WHERE id = ?",
+    userId
+  );
+  return { timezone: user?.timezone || DEFAULT_TIMEZONE, quiet: userQuietHours(user) };
+}
+
+/**
+ * Helper: scheduledAt from request body in the workspace timezone -> UTC ISO.
+ * Время в тихих часах в режиме reject — ошибка с status 400.
+ */
+function resolveScheduledAt(value, { timezone, quiet }) {
+  const scheduledAt = parseScheduledAt(value, timezone);
+  checkQuietHours(scheduledAt, quiet, timezone);
+  return scheduledAt;
+}
+
+// время публикации в ответе: UTC и локальное; heldUntil — когда пост уйдёт, если время попало в тихие часы
+function scheduleTimes(scheduledAt, { timezone, quiet }) {
+  const heldUntil = scheduledAt && inQuietHours(scheduledAt, quiet, timezone)
+    ? quietHoursEnd(scheduledAt, quiet, timezone).toISOString()
+    : null;
+  return {
+    scheduledAt,
+    scheduledAtLocal: toLocalIso(scheduledAt, timezone),
+    timezone,
+    heldUntil,
+    heldUntilLocal: toLocalIso(heldUntil, timezone),
+  };
 }
 
 /**
- * Helper: verify ownership of a post.
- * If requesterId missing -> 400
- * If not owner -> 403
- * Returns true if ok (owner), false if response already sent
+ * Helper: near-duplicate check of a workspace (см. similarity.js) — настройки и посты для сравнения:
+ * те, что ещё уйдут (запланированные, в очереди слотов, ждущие повтора доставки), и отправленные
+ * за последние DUPLICATE_WINDOW_DAYS дней; drafts — ещё и черновики (для новых постов).
+ * Returns { block, threshold, posts }
  */
-async function verifyOwnershipOrReject(post, req, res) {
-  const requesterId = await getRequesterId(req);
-  if (requesterId === null) {
-    res.status(400).json({ success: false, error: "user authentication required (provide x-auth-token or auth_token or x-auth-token)" });
-    return false;
+async function duplicateScope(userId, { drafts = false } = {}) {
+  const user = await db.get("SELECT block_duplicates, duplicate_threshold FROM users WHERE id = ?", userId);
+  const since = new Date(Date.now() - DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const posts = await db.all(
+    `SELECT id, title, description, status FROM posts
+     WHERE user_id = ? AND (
+       (status IN ('pending', 'retrying', 'sending') AND (? OR scheduledAt IS NOT NULL OR queuedAt IS NOT NULL))
+       OR (status = 'sent' AND sentAt >= ?)
+     )`,
+    [userId, drafts ? 1 : 0, since]
+  );
+  return {
+    block: !!user?.block_duplicates,
+    threshold: user?.duplicate_threshold ?? DEFAULT_DUPLICATE_THRESHOLD,
+    posts,
+  };
+}
+
+// похожие посты на текст { title, description } без самого поста excludeId
+function duplicatesOf(text, scope, excludeId = null) {
+  const posts = excludeId === null ? scope.posts : scope.posts.filter((p) => p.id !== Number(excludeId));
+  return findDuplicates(text, posts, scope.threshold);
+}
+
+// пометка поста самым похожим постом (пустой список снимает пометку)
+async function markDuplicate(postId, duplicates) {
+  await db.run("UPDATE posts SET duplicate_of = ?, duplicate_score = ? WHERE id = ?", [
+    duplicates[0]?.postId ?? null,
+    duplicates[0]?.score ?? null,
+    postId,
+  ]);
+}
+
+function rejectDuplicates(res, duplicates) {
+  return res.status(409).json({ success: false, error: duplicateMessage(duplicates), duplicates });
+}
+
+function parseChannelIds(post) {
+  try {
+    const ids = post.channel_ids ? JSON.parse(post.channel_ids) : null;
+    return Array.isArray(ids) && ids.length ? ids : null;
+  } catch {
+    return null;
   }
-  if (post.user_id !== requesterId) {
-    res.status(403).json({ success: false, error: "Доступ запрещён" });
-    return false;
+}
+
+function parseRecurrence(post) {
+  try {
+    return post.recurrence ? JSON.parse(post.recurrence) : null;
+  } catch {
+    return null;
   }
-  return true;
 }
 
-// ✅ теперь маршрут просто "/", а не "/posts"
-// создание поста — требует, чтобы requesterId совпадал с userId в теле
-router.post("/", async (req, res) => {
+// JSON-колонки кнопок и опроса; битое значение считаем пустым
+function parseJsonColumn(value) {
   try {
-    const { userId, title, description, url } = req.body;
+    return value ? JSON.parse(value) : null;
+  } catch {
+    return null;
+  }
+}
+
+// флаги отправки поста (колонки INTEGER 0/1)
+const SEND_FLAGS = ["disable_web_page_preview", "disable_notification", "protect_content"];
 
-    const requesterId = await getRequesterId(req);
-    if (requesterId === null) {
-      return res.status(400).json({ success: false, error: "user authentication required (provide x-auth-token or auth_token or x-auth-token)" });
+/**
+ * Helper: buttons, poll и флаги отправки из тела запроса — только переданные поля, в виде колонок posts.
+ * Ошибки проверки — err.status = 400.
+ */
+function normalizePostOptions(body) {
+  const columns = {};
+  if (body.buttons !== undefined) {
+    const rows = normalizeButtons(body.buttons);
+    columns.buttons = rows ? JSON.stringify(rows) : null;
+  }
+  if (body.poll !== undefined) {
+    const poll = normalizePoll(body.poll);
+    columns.poll = poll ? JSON.stringify(poll) : null;
+  }
+  for (const flag of SEND_FLAGS) {
+    if (body[flag] !== undefined) columns[flag] = body[flag] ? 1 : 0;
+  }
+  return columns;
+}
+
+async function savePostOptions(id, columns) {
+  const names = Object.keys(columns);
+  if (!names.length) return;
+  await db.run(
+    `UPDATE posts SET ${names.map((name) => `${name} = ?`).join(", ")} WHERE id = ?`,
+    [...Object.values(columns), id]
+  );
+}
+
+function serializePost(post, attachments) {
+  return {
+    ...post,
+    ...(attachments ? { attachments } : {}),
+    channel_ids: parseChannelIds(post),
+    recurrence: parseRecurrence(post),
+    buttons: parseJsonColumn(post.buttons),
+    poll: parseJsonColumn(post.poll),
+    ...Object.fromEntries(SEND_FLAGS.map((flag) => [flag, !!post[flag]])),
+    queued: !!post.queuedAt,
+    nextRunAt:
+      post.status === "sent" || post.status === "failed" ? null
+      : post.status === "retrying" ? post.nextAttemptAt
+      : post.scheduledAt || null,
+  };
+}
+
+/**
+ * Helper: (re)assign queued drafts of a user to the next free weekly slots.
+ * Очередь — посты с queuedAt в статусе pending, порядок — по времени постановки в очередь.
+ * Слот занят, если на это же время уже запланирован пост не из очереди.
+ * Без слотов посты очереди остаются без scheduledAt до появления слотов.
+ */
+async function fillQueue(userId) {
+  const slots = await db.all("SELECT weekday, time FROM slots WHERE user_id = ?", userId);
+  const queued = await db.all(
+    "SELECT id, scheduledAt FROM posts WHERE user_id = ? AND queuedAt IS NOT NULL AND status = 'pending' ORDER BY queuedAt, id",
+    userId
+  );
+  if (!queued.length) return;
+
+  const now = new Date();
+  const taken = new Set(
+    (await db.all(
+      "SELECT scheduledAt FROM posts WHERE user_id = ? AND queuedAt IS NULL AND scheduledAt > ?",
+      [userId, now.toISOString()]
+    )).map((p) => new Date(p.scheduledAt).getTime())
+  );
+
+  const { timezone } = await userSchedule(userId);
+  const occurrences = slotOccurrences(slots, now, timezone);
+  for (const post of queued) {
+    let slot = occurrences.next();
+    while (!slot.done && taken.has(slot.value.getTime())) slot = occurrences.next();
+    const scheduledAt = slot.done ? null : slot.value.toISOString();
+    if (scheduledAt === post.scheduledAt) continue;
+    await db.run("UPDATE posts SET scheduledAt = ? WHERE id = ?", [scheduledAt, post.id]);
+    await emitPost("post_scheduled", post.id);
+  }
+}
+
+/**
+ * Helper: resolve the channels a post should be published to.
+ * Без channel_ids — канал по умолчанию из настроек пользователя (id: null).
+ * Каналы, удалённые после выбора, возвращаются с missing: true.
+ */
+async function resolveTargets(post) {
+  const ids = parseChannelIds(post);
+  if (!ids) {
+    const user = await db.get(
+      "SELECT telegram_token, channel_id FROM users WHERE id = ?",
+      post.user_id
+    );
+    return user ? [{ id: null, title: null, ...user }] : [];
+  }
+
+  const rows = await db.all(
+    `SELECT id, title, telegram_token, channel_id FROM channels
+     WHERE user_id = ? AND id IN (${ids.map(() => "?").join(", ")})`,
+    [post.user_id, ...ids]
+  );
+  return ids.map((id) => rows.find((r) => r.id === id) || { id, missing: true });
+}
+
+/**
+ * Helper: attachments of posts, grouped by post id (в порядке position).
+ * Returns Map<postId, attachment[]>
+ */
+async function loadAttachments(postIds) {
+  const byPost = new Map();
+  if (!postIds.length) return byPost;
+  const rows = await db.all(
+    `SELECT * FROM attachments WHERE post_id IN (${postIds.map(() => "?").join(", ")})
+     ORDER BY post_id, position`,
+    postIds
+  );
+  for (const row of rows) {
+    if (!byPost.has(row.post_id)) byPost.set(row.post_id, []);
+    byPost.get(row.post_id).push(row);
+  }
+  return byPost;
+}
+
+// свой файл из uploads отправляем потоком, внешнюю ссылку — как есть
+function mediaSource(attachment) {
+  if (attachment.file) {
+    const filePath = path.join(uploadDir, path.basename(attachment.file));
+    if (fs.existsSync(filePath)) return fs.createReadStream(filePath);
+  }
+  return attachment.url;
+}
+
+/**
+ * Helper: what a post publishes — вложения, а если их нет, старое поле url (одно фото).
+ */
+function postMedia(post, attachments = []) {
+  if (attachments.length) return attachments;
+  if (!post.url) return [];
+  return [{ kind: "photo", url: post.url, file: post.url.includes("/uploads/") ? post.url : null }];
+}
+
+// режим разметки пользователя (настройка parse_mode)
+async function userParseMode(userId) {
+  const user = await db.get("SELECT parse_mode FROM users WHERE id = ?", userId);
+  return user?.parse_mode || DEFAULT_PARSE_MODE;
+}
+
+// токены ботов в базе зашифрованы (см. bots.js)
+function botFor(storedToken) {
+  return new TelegramBot(decryptToken(storedToken), { polling: false });
+}
+
+/**
+ * Send a post to one channel — ровно те сообщения, что строит buildMessages (formatting.js).
+ * Returns [{ message, text, markup }] — отправленные сообщения Telegram, их текст/подпись и кнопки.
+ */
+async function sendToChannel(target, post, media, parseMode) {
+  const bot = botFor(target.telegram_token);
+  const sent = [];
+
+  for (const { method, attachment, media: group, ...options } of buildMessages(post, media, { parseMode })) {
+    const markup = options.reply_markup ?? null;
+    if (method === "sendMessage") {
+      const { text, ...rest } = options;
+      sent.push({ message: await bot.sendMessage(target.channel_id, text, rest), text, markup });
+    } else if (method === "sendPoll") {
+      const { question, options: answers, ...rest } = options;
+      sent.push({ message: await bot.sendPoll(target.channel_id, question, answers, rest), text: question, markup });
+    } else if (method === "sendMediaGroup") {
+      const messages = await bot.sendMediaGroup(
+        target.channel_id,
+        group.map(({ attachment: item, ...rest }) => ({ ...rest, media: mediaSource(item) })),
+        options
+      );
+      messages.forEach((message, i) => sent.push({ message, text: group[i]?.caption ?? null, markup: null }));
+    } else {
+      const message = await bot[method](target.channel_id, mediaSource(attachment), options);
+      sent.push({ message, text: options.caption ?? null, markup });
     }
-    if (Number(userId) !== requesterId) {
-      return res.status(403).json({ success: false, error: "Доступ запрещён" });
+  }
+  return sent;
+}
+
+// вид опубликованного сообщения для архива (у анимации Telegram заполняет и document — animation проверяется раньше)
+function messageKind(message) {
+  return MEDIA_KINDS.find((kind) => message[kind]) || (message.poll ? "poll" : "text");
+}
+
+/**
+ * Helper: atomically move a post into "sending" so that cron and a manual send
+ * never publish the same post twice.
+ * - due: время тика cron — пост забирается, только если он всё ещё ждёт отправки к этому времени
+ *   (другой тик мог успеть отправить его или отложить повтор)
+ * Returns the claimed post (строка после захвата) or null
+ */
+async function claimPost(id, { due = null } = {}) {
+  const result = due
+    ? await db.run(
+        `UPDATE posts SET status = 'sending'
+         WHERE id = ? AND status IN ('pending', 'retrying') AND scheduledAt IS NOT NULL AND scheduledAt <= ?
+           AND (nextAttemptAt IS NULL OR nextAttemptAt <= ?)`,
+        [id, due, due]
+      )
+    : await db.run(
+        "UPDATE posts SET status = 'sending' WHERE id = ? AND status IN ('pending', 'retrying', 'failed')",
+        id
+      );
+  return result.changes ? db.get("SELECT * FROM posts WHERE id = ?", id) : null;
+}
+
+function retryDelaySeconds(attempt, results) {
+  const backoff = Math.min(RETRY_BASE_SECONDS * 2 ** (attempt - 1), RETRY_MAX_SECONDS);
+  // Telegram при 429 сообщает, сколько ждать, — раньше этого повторять бессмысленно
+  const retryAfter = Math.max(0, ...results.map((r) => r.retryAfter || 0));
+  return Math.max(backoff, retryAfter);
+}
+
+function describeFailures(results) {
+  return results
+    .filter((r) => !r.success)
+    .map((r) => `${r.chat ?? "канал #" + r.channelId}: ${r.error}`)
+    .join("; ");
+}
+
+/**
+ * Publish a (claimed) post to every selected channel and move it to the next delivery state.
+ * Each delivered message is archived in published_messages.
+ * Returns per-channel results:
+ * [{ channelId, chat, title, success, messageId?, messageIds?, publishedId?, error?, retryAfter?, permanent? }]
+ * - все каналы успешно -> status 'sent' (повторяющийся пост -> 'pending' на следующий запуск)
+ * - часть каналов упала -> в channel_ids остаются только неудачные, чтобы не дублировать отправку
+ * - неудача -> attempts + 1, 'retrying' с экспоненциальной задержкой (учитывая retry_after),
+ *   после MAX_SEND_ATTEMPTS попыток -> 'failed' с последней ошибкой
+ * - все неудачи постоянные (PERMANENT_ERROR_CODES, удалённый канал) -> сразу 'failed'
+ */
+async function publishPost(post) {
+  const targets = await resolveTargets(post);
+  const results = [];
+  if (!targets.length) {
+    results.push({ channelId: null, chat: null, title: null, success: false, error: "Пользователь не найден", permanent: true });
+  }
+
+  const media = postMedia(post, (await loadAttachments([post.id])).get(post.id));
+  const parseMode = await userParseMode(post.user_id);
+
+  for (const target of targets) {
+    const result = { channelId: target.id, chat: target.channel_id ?? null, title: target.title ?? null };
+    if (target.missing) {
+      results.push({ ...result, success: false, error: "Канал не найден", permanent: true });
+      continue;
+    }
+    try {
+      const sent = await sendToChannel(target, serializePost(post), media, parseMode);
+      const sentAt = new Date().toISOString();
+      const publishedIds = [];
+      // каждое сообщение архивируется отдельно (альбом — несколько записей, текст — у сообщения с подписью)
+      await transaction(async () => {
+        for (const { message, text, markup } of sent) {
+          const archived = await db.run(
+            `INSERT INTO published_messages
+               (post_id, user_id, channel_ref, channel_title, chat, message_id, kind, text, sentAt, media_group_id, reply_markup)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              post.id,
+              post.user_id,
+              target.id,
+              target.title,
+              String(message.chat?.id ?? target.channel_id),
+              message.message_id,
+              messageKind(message),
+              text,
+              sentAt,
+              message.media_group_id ?? null,
+              markup ? JSON.stringify(markup) : null,
+            ]
+          );
+          publishedIds.push(archived.lastID);
+        }
+      });
+      results.push({
+        ...result,
+        success: true,
+        messageId: sent[0].message.message_id,
+        messageIds: sent.map((s) => s.message.message_id),
+        publishedId: publishedIds[0],
+      });
+    } catch (err) {
+      results.push({
+        ...result,
+        success: false,
+        error: err.message,
+        retryAfter: err.response?.body?.parameters?.retry_after,
+        permanent: PERMANENT_ERROR_CODES.includes(err.response?.body?.error_code),
+      });
     }
+  }
 
-    const result = await db.run(
-      "INSERT INTO posts (user_id, title, description, url, scheduledAt) VALUES (?, ?, ?, ?, NULL)",
-      [userId, title, description, url]
+  const failed = results.filter((r) => !r.success);
+  const recurrence = parseRecurrence(post);
+
+  if (recurrence && failed.length < results.length) {
+    // повторяющийся пост остаётся в базе и переезжает на следующий запуск
+    const { timezone } = await userSchedule(post.user_id);
+    const next = nextRecurrence(recurrence, new Date(), timezone);
+    await db.run(
+      `UPDATE posts SET scheduledAt = ?, ${RESET_DELIVERY}, lastError = ? WHERE id = ?`,
+      [next ? next.toISOString() : null, failed.length ? describeFailures(results) : null, post.id]
     );
-    broadcast({ type: "posts_updated" });
-    res.json({ success: true, id: result.lastID });
+    return results;
+  }
+
+  if (!failed.length) {
+    await db.run(
+      `UPDATE posts SET status = 'sent', sent = 1, sentAt = ?, queuedAt = NULL,
+         nextAttemptAt = NULL, lastError = NULL WHERE id = ?`,
+      [new Date().toISOString(), post.id]
+    );
+    return results;
+  }
+
+  if (failed.length < results.length) {
+    await db.run("UPDATE posts SET channel_ids = ? WHERE id = ?", [
+      JSON.stringify(failed.map((r) => r.channelId)),
+      post.id,
+    ]);
+  }
+
+  const attempts = (post.attempts || 0) + 1;
+  const lastError = describeFailures(results);
+  if (attempts >= MAX_SEND_ATTEMPTS || failed.every((r) => r.permanent)) {
+    await db.run(
+      "UPDATE posts SET status = 'failed', attempts = ?, nextAttemptAt = NULL, lastError = ? WHERE id = ?",
+      [attempts, lastError, post.id]
+    );
+  } else if (post.scheduledAt) {
+    const delay = retryDelaySeconds(attempts, results);
+    await db.run(
+      "UPDATE posts SET status = 'retrying', attempts = ?, nextAttemptAt = ?, lastError = ? WHERE id = ?",
+      [attempts, new Date(Date.now() + delay * 1000).toISOString(), lastError, post.id]
+    );
+  } else {
+    // ручная отправка незапланированного черновика — автоматически не повторяем
+    await db.run(
+      "UPDATE posts SET status = 'pending', attempts = ?, lastError = ? WHERE id = ?",
+      [attempts, lastError, post.id]
+    );
+  }
+  return results;
+}
+
+// ✅ теперь маршрут просто "/", а не "/posts"
+// создание поста в пространстве userId — владелец или участник с правом edit (queued — ещё и publish)
+router.post("/", async (req, res) => {
+  try {
+    const { userId, title, description, url, channel_ids, queued } = req.body;
+
+    if (!await verifyUserOrReject(db, userId, req, res, "edit")) return;
+    if (queued && !await verifyUserOrReject(db, userId, req, res, "publish")) return;
+
+    const channelIds = await normalizeChannelIds(userId, channel_ids);
+    const options = normalizePostOptions(req.body); // кнопки, опрос, флаги отправки
+
+    // похожий пост уже есть (черновик, запланированный или недавно отправленный) — пометка, а с block_duplicates — 409
+    const scope = await duplicateScope(userId, { drafts: true });
+    const duplicates = duplicatesOf({ title, description }, scope);
+    if (duplicates.length && scope.block) return rejectDuplicates(res, duplicates);
+
+    const id = await transaction(async () => {
+      const result = await db.run(
+        `INSERT INTO posts (user_id, title, description, url, scheduledAt, channel_ids, queuedAt, duplicate_of, duplicate_score)
+         VALUES (?, ?, ?, ?, NULL, ?, ?, ?, ?)`,
+        [
+          userId,
+          title,
+          description,
+          url,
+          channelIds ? JSON.stringify(channelIds) : null,
+          queued ? new Date().toISOString() : null, // сразу в очередь слотов
+          duplicates[0]?.postId ?? null,
+          duplicates[0]?.score ?? null,
+        ]
+      );
+      await savePostOptions(result.lastID, options);
+      return result.lastID;
+    });
+    await emitPost("post_created", id);
+    if (queued) await fillQueue(userId);
+    res.json({ success: true, id, duplicates });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    res.status(err.status || 500).json({ success: false, error: err.message });
   }
 });
 
-// ✅ загрузка изображений — требует user auth (token or legacy userId)
-router.post("/upload", upload.single("image"), async (req, res) => {
+// ✅ загрузка изображений — требует user auth (сессия или API-ключ с posts:write)
+// поле image — как раньше; кроме картинок принимаются видео, GIF и документы (см. media.js)
+router.post("/upload", limitByIp(limits.upload_ip), receiveFiles(upload.single("image")), async (req, res) => {
   try {
-    const requesterId = await getRequesterId(req);
-    if (requesterId === null) {
-      // multer may have parsed multipart fields into req.body
-      return res.status(400).json({ success: false, error: "user authentication required (provide x-auth-token or auth_token or x-auth-token)" });
+    // multer may have parsed multipart fields into req.body
+    const requester = await authenticate(db, req);
+    if (!requester) {
+      removeUpload(req.file?.filename);
+      const { status, error } = unauthenticated(req);
+      return res.status(status).json({ success: false, error });
+    }
+    if (!scopeAllows(requester, "edit")) {
+      removeUpload(req.file?.filename);
+      return res.status(403).json({ success: false, error: "API-ключ не даёт доступа к этому действию" });
+    }
+    const { allowed, retryAfter } = limits.upload_user.hit(requester.userId);
+    if (!allowed) {
+      removeUpload(req.file?.filename);
+      return sendRateLimited(res, retryAfter);
     }
 
     if (!req.file)
       return res.status(400).json({ success: false, error: "Файл не загружен" });
     const imageUrl = `${req.protocol}://${req.get("host")}/uploads/${req.file.filename}`;
-    res.json({ success: true, url: imageUrl.replace(/\\/g, "/") });
+    res.json({ success: true, url: imageUrl.replace(/\\/g, "/"), kind: mediaKind(req.file.mimetype) });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ✅ получение постов пользователя — требует совпадение requesterId === :userId
+// ✅ получение постов пространства — владельцу и участникам
+// статусы фильтра списка (см. search.js) -> условия по состоянию доставки
+const STATUS_CONDITIONS = {
+  draft: "(p.status = 'pending' AND p.scheduledAt IS NULL)",
+  scheduled: "(p.status IN ('pending', 'retrying', 'sending') AND p.scheduledAt IS NOT NULL)",
+  sent: "p.status = 'sent'",
+  failed: "p.status = 'failed'",
+};
+
+// посты без scheduledAt — в конце; при равенстве — новые выше
+const SORT_ORDERS = {
+  scheduledAt: "p.scheduledAt IS NULL, datetime(p.scheduledAt) ASC, p.id DESC",
+  "-scheduledAt": "p.scheduledAt IS NULL, datetime(p.scheduledAt) DESC, p.id DESC",
+  id: "p.id ASC",
+  "-id": "p.id DESC",
+  title: "p.title COLLATE NOCASE ASC, p.id DESC",
+  "-title": "p.title COLLATE NOCASE DESC, p.id DESC",
+  // совпадение в заголовке весит больше, чем в тексте
+  relevance: "bm25(posts_fts, 10.0, 1.0), p.id DESC",
+};
+
+// ✅ посты пространства: фильтры, сортировка, страницы и полнотекстовый поиск (см. search.js).
+// Без status — все, кроме отправленных (они в /history)
 router.get("/user/:userId", async (req, res) => {
   try {
     const { userId } = req.params;
-    const requesterId = await getRequesterId(req);
+    if (!await verifyUserOrReject(db, userId, req, res, "read")) return;
 
-    if (requesterId === null) {
-      return res.status(400).json({
-        success: false,
-        error: "user authentication required (provide x-auth-token or auth_token or x-auth-token)",
-      });
-    }
+    const { statuses, from, to, hasMedia, search, sort, limit, offset } = normalizePostQuery(req.query);
+    const joins = [];
+    const where = ["p.user_id = ?"];
+    const params = [userId];
 
-    if (Number(userId) !== requesterId) {
-      return res.status(403).json({ success: false, error: "Доступ запрещён" });
+    if (search) {
+      joins.push("JOIN posts_fts ON posts_fts.rowid = p.id");
+      where.push("posts_fts MATCH ?");
+      params.push(search);
+    }
+    where.push(statuses ? `(${statuses.map((s) => STATUS_CONDITIONS[s]).join(" OR ")})` : "p.status <> 'sent'");
+    if (from) {
+      where.push("datetime(p.scheduledAt) >= datetime(?)");
+      params.push(from);
+    }
+    if (to) {
+      where.push("datetime(p.scheduledAt) <= datetime(?)");
+      params.push(to);
+    }
+    if (hasMedia !== null) {
+      const media = "(COALESCE(p.url, '') <> '' OR EXISTS (SELECT 1 FROM attachments a WHERE a.post_id = p.id))";
+      where.push(hasMedia ? media : `NOT ${media}`);
     }
 
-    const posts = await db.all(
-      `
-      SELECT *
-      FROM posts
-      WHERE user_id = ?
-      ORDER BY 
-        CASE WHEN scheduledAt IS NULL THEN 1 ELSE 0 END,  -- сначала те, где scheduledAt есть
-        datetime(scheduledAt) ASC,                        -- сортировка по времени публикации
-        id DESC                                           -- потом обычные по дате добавления
-      `,
-      userId
+    const source = `FROM posts p ${joins.join(" ")} WHERE ${where.join(" AND ")}`;
+    const { total } = await db.get(`SELECT COUNT(*) AS total ${source}`, params);
+
+    const [start, end] = FTS_MARKERS;
+    const matchColumns = search
+      ? `, highlight(posts_fts, 0, '${start}', '${end}') AS match_title,
+           snippet(posts_fts, 1, '${start}', '${end}', '…', 24) AS match_snippet`
+      : "";
+    const rows = await db.all(
+      `SELECT p.* ${matchColumns} ${source} ORDER BY ${SORT_ORDERS[sort]} LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
     );
 
-    res.json(posts);
+    const attachments = await loadAttachments(rows.map((p) => p.id));
+    const items = rows.map(({ match_title, match_snippet, ...post }) => ({
+      ...serializePost(post, attachments.get(post.id) || []),
+      ...(search ? { match: { title: renderMatch(match_title), snippet: renderMatch(match_snippet) } } : {}),
+    }));
+    res.json({ success: true, total, limit, offset, items });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    res.status(err.status || 500).json({ success: false, error: err.message });
   }
 });
 
@@ -227,8 +828,9 @@ router.get("/:id", async (req, res) => {
     if (!post)
       return res.status(404).json({ success: false, error: "Пост не найден" });
 
-    if (!await verifyOwnershipOrReject(post, req, res)) return;
-    res.json(post);
+    if (!await verifyOwnershipOrReject(post, req, res, "read")) return;
+    const attachments = await loadAttachments([post.id]);
+    res.json(serializePost(post, attachments.get(post.id) || []));
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -238,12 +840,26 @@ router.get("/:id", async (req, res) => {
 router.put("/:id", async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, url, scheduledAt } = req.body;
+    const { title, description, url, scheduledAt, channel_ids } = req.body;
     const post = await db.get("SELECT * FROM posts WHERE id = ?", id);
     if (!post)
       return res.status(404).json({ success: false, error: "Пост не найден" });
 
-    if (!await verifyOwnershipOrReject(post, req, res)) return;
+    if (!await verifyOwnershipOrReject(post, req, res, "edit")) return;
+    // время публикации меняет только тот, кто может публиковать
+    if (scheduledAt && !await verifyOwnershipOrReject(post, req, res, "publish")) return;
+
+    const channelIds = await normalizeChannelIds(post.user_id, channel_ids);
+    const options = normalizePostOptions(req.body);
+    const schedule = scheduledAt ? await userSchedule(post.user_id) : null;
+    const newScheduledAt = scheduledAt ? resolveScheduledAt(scheduledAt, schedule) : null;
+
+    // новый текст или время — проверка на дубли; блокируется только планирование
+    const scope = scheduledAt || title !== undefined || description !== undefined ? await duplicateScope(post.user_id) : null;
+    const duplicates = scope
+      ? duplicatesOf({ title: title ?? post.title, description: description ?? post.description }, scope, post.id)
+      : [];
+    if (scheduledAt && duplicates.length && scope.block) return rejectDuplicates(res, duplicates);
 
     if (url && url !== post.url && post.url?.includes("/uploads/")) {
       const oldFilename = path.basename(post.url);
@@ -251,21 +867,36 @@ router.put("/:id", async (req, res) => {
       if (fs.existsSync(oldPath)) fs.unlinkSync(oldPath);
     }
 
-    await db.run(
-      `UPDATE posts SET title = ?, description = ?, url = ?, scheduledAt = ? WHERE id = ?`,
-      [
-        title ?? post.title,
-        description ?? post.description,
-        url === undefined ? post.url : url, // если undefined — оставляем старое, если null — пишем null
-        scheduledAt ?? post.scheduledAt,
-        id,
-      ]
-    );
+    const contentChanged = ["title", "description", "url", "buttons", "poll"].some((key) => req.body[key] !== undefined);
+    await transaction(async () => {
+      await db.run(
+        `UPDATE posts SET title = ?, description = ?, url = ?, scheduledAt = ?, channel_ids = ?, queuedAt = ?
+           ${scheduledAt ? `, ${RESET_DELIVERY}` : ""} WHERE id = ?`,
+        [
+          title ?? post.title,
+          description ?? post.description,
+          url === undefined ? post.url : url, // если undefined — оставляем старое, если null — пишем null
+          newScheduledAt ?? post.scheduledAt,
+          channelIds === undefined ? post.channel_ids : channelIds && JSON.stringify(channelIds),
+          scheduledAt ? null : post.queuedAt, // явное время убирает пост из очереди слотов
+          id,
+        ]
+      );
+      await savePostOptions(id, options);
+      if (contentChanged) await resetReview(id);
+      if (scope) await markDuplicate(id, duplicates);
+    });
+    await emitPost(scheduledAt ? "post_scheduled" : "post_updated", id);
+    if (scheduledAt && post.queuedAt) await fillQueue(post.user_id);
 
-    broadcast({ type: "posts_updated" });
-    res.json({ success: true, message: "✅ Пост обновлён" });
+    res.json({
+      success: true,
+      message: "✅ Пост обновлён",
+      ...(newScheduledAt ? scheduleTimes(newScheduledAt, schedule) : {}),
+      ...(scope ? { duplicates } : {}),
+    });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    res.status(err.status || 500).json({ success: false, error: err.message });
   }
 });
 
@@ -277,23 +908,23 @@ router.delete("/:id", async (req, res) => {
     if (!post)
       return res.status(404).json({ success: false, error: "Пост не найден" });
 
-    if (!await verifyOwnershipOrReject(post, req, res)) return;
+    if (!await verifyOwnershipOrReject(post, req, res, "edit")) return;
 
-    if (post.url?.includes("/uploads/")) {
-      const filename = path.basename(post.url);
-      const filePath = path.join(uploadDir, filename);
-      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-    }
+    if (post.url?.includes("/uploads/")) removeUpload(post.url);
+    const attachments = await db.all("SELECT file FROM attachments WHERE post_id = ?", id);
+    attachments.forEach((a) => removeUpload(a.file));
 
+    // вложения и архив опубликованного удаляются каскадом
     await db.run("DELETE FROM posts WHERE id = ?", id);
-    broadcast({ type: "posts_updated" });
+    await emit(post.user_id, "post_deleted", { postId: post.id });
+    if (post.queuedAt) await fillQueue(post.user_id);
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ✅ удалить только изображение у поста (проверка владения)
+// ✅ удалить только изображение у поста (старое поле url; вложения — /:id/attachments/:attachmentId)
 router.delete("/:id/image", async (req, res) => {
   try {
     const { id } = req.params;
@@ -301,226 +932,1878 @@ router.delete("/:id/image", async (req, res) => {
     if (!post)
       return res.status(404).json({ success: false, error: "Пост не найден" });
 
-    if (!await verifyOwnershipOrReject(post, req, res)) return;
+    if (!await verifyOwnershipOrReject(post, req, res, "edit")) return;
 
-    if (post.url?.includes("/uploads/")) {
-      const filename = path.basename(post.url);
-      const filePath = path.join(uploadDir, filename);
-      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
-    }
+    if (post.url?.includes("/uploads/")) removeUpload(post.url);
 
     await db.run("UPDATE posts SET url = NULL WHERE id = ?", id);
-    broadcast({ type: "posts_updated" });
+    await emitPost("post_updated", post.id);
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ✅ планирование (проверка владения)
-router.post("/schedulePost/:id", async (req, res) => {
+// ✅ вложения поста: фото, видео, анимации, документы (проверка владения)
+router.get("/:id/attachments", async (req, res) => {
   try {
-    const { id } = req.params;
-    const { scheduledAt } = req.body;
-    const post = await db.get("SELECT * FROM posts WHERE id = ?", id);
+    const post = await db.get("SELECT * FROM posts WHERE id = ?", req.params.id);
     if (!post)
       return res.status(404).json({ success: false, error: "Пост не найден" });
 
-    if (!await verifyOwnershipOrReject(post, req, res)) return;
+    if (!await verifyOwnershipOrReject(post, req, res, "read")) return;
 
-    await db.run("UPDATE posts SET scheduledAt = ?, sent = 0 WHERE id = ?", [
-      scheduledAt,
-      id,
-    ]);
-    broadcast({ type: "posts_updated" });
-    res.json({ success: true, message: "📅 Отправка запланирована" });
+    const attachments = await loadAttachments([post.id]);
+    res.json({ success: true, attachments: attachments.get(post.id) || [] });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-router.delete("/schedulePost/:id", async (req, res) => {
+// файлы — multipart-поле files (до MAX_ATTACHMENTS за раз), либо JSON { url, kind } для внешней ссылки;
+// kind необязателен: по умолчанию определяется по типу файла
+router.post("/:id/attachments", limitByIp(limits.upload_ip), receiveFiles(upload.array("files", MAX_ATTACHMENTS)), async (req, res) => {
+  const files = req.files || [];
   try {
-    const { id } = req.params;
-    const post = await db.get("SELECT * FROM posts WHERE id = ?", id);
+    const post = await db.get("SELECT * FROM posts WHERE id = ?", req.params.id);
+    if (!post) {
+      files.forEach((f) => removeUpload(f.filename));
+      return res.status(404).json({ success: false, error: "Пост не найден" });
+    }
+
+    if (!await verifyOwnershipOrReject(post, req, res, "edit")) {
+      files.forEach((f) => removeUpload(f.filename));
+      return;
+    }
+    if (files.length) {
+      const { allowed, retryAfter } = limits.upload_user.hit(await getRequesterId(db, req));
+      if (!allowed) {
+        files.forEach((f) => removeUpload(f.filename));
+        return sendRateLimited(res, retryAfter);
+      }
+    }
+
+    const { kind, url } = req.body;
+    const items = files.length
+      ? files.map((f) => ({
+          kind: resolveKind(kind, f.mimetype),
+          url: `${req.protocol}://${req.get("host")}/uploads/${f.filename}`,
+          file: f.filename,
+          mime: f.mimetype,
+          size: f.size,
+          original_name: f.originalname,
+        }))
+      : url
+        ? [{ kind: kind || "photo", url: String(url), file: null, mime: null, size: null, original_name: null }]
+        : [];
+    if (!items.length)
+      return res.status(400).json({ success: false, error: "Файл не загружен" });
+    if (!files.length && !MEDIA_KINDS.includes(items[0].kind))
+      return res.status(400).json({ success: false, error: `kind должен быть одним из: ${MEDIA_KINDS.join(", ")}` });
+
+    const { count, last } = await db.get(
+      "SELECT COUNT(*) AS count, MAX(position) AS last FROM attachments WHERE post_id = ?",
+      post.id
+    );
+    if (count + items.length > MAX_ATTACHMENTS) {
+      files.forEach((f) => removeUpload(f.filename));
+      return res.status(400).json({ success: false, error: `У поста может быть не больше ${MAX_ATTACHMENTS} вложений` });
+    }
+
+    let position = last ?? -1;
+    const createdAt = new Date().toISOString();
+    await transaction(async () => {
+      for (const item of items) {
+        await db.run(
+          `INSERT INTO attachments (post_id, user_id, kind, url, file, mime, size, original_name, position, createdAt)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [post.id, post.user_id, item.kind, item.url, item.file, item.mime, item.size, item.original_name, ++position, createdAt]
+        );
+      }
+      await resetReview(post.id);
+    });
+    const attachments = await loadAttachments([post.id]);
+    await emitPost("post_updated", post.id);
+    res.json({ success: true, attachments: attachments.get(post.id) });
+  } catch (err) {
+    files.forEach((f) => removeUpload(f.filename));
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// новый порядок: ids — все вложения поста в нужном порядке
+router.put("/:id/attachments/order", async (req, res) => {
+  try {
+    const post = await db.get("SELECT * FROM posts WHERE id = ?", req.params.id);
     if (!post)
       return res.status(404).json({ success: false, error: "Пост не найден" });
 
-    if (!await verifyOwnershipOrReject(post, req, res)) return;
+    if (!await verifyOwnershipOrReject(post, req, res, "edit")) return;
+
+    const ids = Array.isArray(req.body.ids) ? req.body.ids.map(Number) : null;
+    const current = (await loadAttachments([post.id])).get(post.id) || [];
+    const same =
+      ids &&
+      ids.length === current.length &&
+      new Set(ids).size === ids.length &&
+      current.every((a) => ids.includes(a.id));
+    if (!same)
+      return res.status(400).json({ success: false, error: "ids должен содержать все вложения поста ровно по одному разу" });
+
+    await transaction(async () => {
+      for (const [position, attachmentId] of ids.entries()) {
+        await db.run("UPDATE attachments SET position = ? WHERE id = ?", [position, attachmentId]);
+      }
+      await resetReview(post.id);
+    });
 
-    await db.run("UPDATE posts SET scheduledAt = NULL WHERE id = ?", id);
-    broadcast({ type: "posts_updated" });
-    res.json({ success: true, message: "⏹️ Отправка отменена" });
+    const attachments = await loadAttachments([post.id]);
+    await emitPost("post_updated", post.id);
+    res.json({ success: true, attachments: attachments.get(post.id) || [] });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ✅ отправка поста вручную (проверка владения)
-router.post("/sendPost/:id", async (req, res) => {
+// удаление вложения: файл из uploads удаляется, остальные вложения сдвигаются
+router.delete("/:id/attachments/:attachmentId", async (req, res) => {
   try {
-    const { id } = req.params;
+    const { id, attachmentId } = req.params;
     const post = await db.get("SELECT * FROM posts WHERE id = ?", id);
     if (!post)
       return res.status(404).json({ success: false, error: "Пост не найден" });
 
-    if (!await verifyOwnershipOrReject(post, req, res)) return;
+    if (!await verifyOwnershipOrReject(post, req, res, "edit")) return;
 
-    const user = await usersDb.get(
-      "SELECT telegram_token, channel_id FROM users WHERE id = ?",
-      post.user_id
+    const attachment = await db.get(
+      "SELECT * FROM attachments WHERE id = ? AND post_id = ?",
+      [attachmentId, id]
     );
-    if (!user)
-      return res
-        .status(400)
-        .json({ success: false, error: "Пользователь не найден" });
-
-    const bot = new TelegramBot(user.telegram_token, { polling: false });
-    const caption = `*${post.title}*\n\n${post.description || ""}`;
-
-    if (post.url?.includes("/uploads/")) {
-      const filePath = path.join(uploadDir, path.basename(post.url));
-      if (fs.existsSync(filePath)) {
-        await bot.sendPhoto(user.channel_id, fs.createReadStream(filePath), {
-          caption,
-          parse_mode: "Markdown",
-        });
-        fs.unlinkSync(filePath);
-      } else {
-        await bot.sendPhoto(user.channel_id, post.url, {
-          caption,
-          parse_mode: "Markdown",
-        });
-      }
-    } else if (post.url) {
-      await bot.sendPhoto(user.channel_id, post.url, {
-        caption,
-        parse_mode: "Markdown",
-      });
-    } else {
-      await bot.sendMessage(user.channel_id, caption, {
-        parse_mode: "Markdown",
-      });
-    }
-
-    await db.run("DELETE FROM posts WHERE id = ?", id);
-    broadcast({ type: "posts_updated" });
-    res.json({ success: true, message: "📤 Пост отправлен и удалён" });
+    if (!attachment)
+      return res.status(404).json({ success: false, error: "Вложение не найдено" });
+
+    await transaction(async () => {
+      await db.run("DELETE FROM attachments WHERE id = ?", attachment.id);
+      await db.run(
+        "UPDATE attachments SET position = position - 1 WHERE post_id = ? AND position > ?",
+        [id, attachment.position]
+      );
+      await resetReview(post.id);
+    });
+    removeUpload(attachment.file);
+    await emitPost("post_updated", post.id);
+    res.json({ success: true });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// ✅ генерация постов (главный эндпоинт) — доступен только владельцу userId/token
-router.post("/generate-posts/:userId", async (req, res) => {
+// ✅ предпросмотр: ровно те сообщения, которые уйдут в каждый канал при отправке
+// (parse_mode в теле — необязательно, иначе из настроек пользователя)
+router.post("/:id/preview", async (req, res) => {
   try {
-    const { userId } = req.params;
-    const { prompt } = req.body; // <–– получаем prompt из тела запроса (необязательный)
-    const requesterId = await getRequesterId(req);
+    const post = await db.get("SELECT * FROM posts WHERE id = ?", req.params.id);
+    if (!post)
+      return res.status(404).json({ success: false, error: "Пост не найден" });
 
-    if (requesterId === null) {
-      return res.status(400).json({
-        success: false,
-        error: "user authentication required (provide x-auth-token or auth_token or x-auth-token)",
-      });
-    }
+    if (!await verifyOwnershipOrReject(post, req, res, "read")) return;
 
-    if (Number(userId) !== requesterId) {
-      return res.status(403).json({ success: false, error: "Доступ запрещён" });
-    }
+    const parseMode = req.body.parse_mode || await userParseMode(post.user_id);
+    if (!PARSE_MODES.includes(parseMode))
+      return res.status(400).json({ success: false, error: `parse_mode должен быть одним из: ${PARSE_MODES.join(", ")}` });
 
-    // получаем настройки пользователя
-    const settings = await usersDb.get(
-      `SELECT add_images, use_own_posts, use_other_channels AS use_channels, channels_list, use_sites, sites_list AS site_list
-       FROM users WHERE id = ?`,
-      userId
+    const media = postMedia(post, (await loadAttachments([post.id])).get(post.id));
+    // вместо файла — его ссылка, остальное как в запросе к Bot API
+    const messages = buildMessages(serializePost(post), media, { parseMode }).map(({ attachment, media: group, ...message }) => ({
+      ...message,
+      ...(attachment ? { media: attachment.url } : {}),
+      ...(group ? { media: group.map(({ attachment: item, ...rest }) => ({ ...rest, media: item.url })) } : {}),
+    }));
+
+    res.json({ success: true, parse_mode: parseMode, messages });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ планирование (проверка владения)
+router.post("/schedulePost/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { scheduledAt } = req.body;
+    const post = await db.get("SELECT * FROM posts WHERE id = ?", id);
+    if (!post)
+      return res.status(404).json({ success: false, error: "Пост не найден" });
+
+    if (!await verifyOwnershipOrReject(post, req, res, "publish")) return;
+
+    // время без смещения — в часовом поясе пространства; в базе — UTC
+    const schedule = await userSchedule(post.user_id);
+    const utc = resolveScheduledAt(scheduledAt, schedule);
+    const scope = await duplicateScope(post.user_id);
+    const duplicates = duplicatesOf(post, scope, post.id);
+    if (duplicates.length && scope.block) return rejectDuplicates(res, duplicates);
+
+    await transaction(async () => {
+      await db.run(`UPDATE posts SET scheduledAt = ?, ${RESET_DELIVERY}, queuedAt = NULL WHERE id = ?`, [utc, id]);
+      await markDuplicate(post.id, duplicates);
+    });
+    await emitPost("post_scheduled", post.id);
+    if (post.queuedAt) await fillQueue(post.user_id);
+    res.json({ success: true, message: "📅 Отправка запланирована", ...scheduleTimes(utc, schedule), duplicates });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+router.delete("/schedulePost/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const post = await db.get("SELECT * FROM posts WHERE id = ?", id);
+    if (!post)
+      return res.status(404).json({ success: false, error: "Пост не найден" });
+
+    if (!await verifyOwnershipOrReject(post, req, res, "publish")) return;
+
+    // отмена снимает и повтор, и место в очереди слотов
+    await db.run(
+      "UPDATE posts SET scheduledAt = NULL, recurrence = NULL, queuedAt = NULL WHERE id = ?",
+      id
+    );
+    await emitPost("post_updated", post.id);
+    if (post.queuedAt) await fillQueue(post.user_id);
+    res.json({ success: true, message: "⏹️ Отправка отменена" });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ правило повтора поста (проверка владения)
+router.get("/:id/recurrence", async (req, res) => {
+  try {
+    const post = await db.get("SELECT * FROM posts WHERE id = ?", req.params.id);
+    if (!post)
+      return res.status(404).json({ success: false, error: "Пост не найден" });
+
+    if (!await verifyOwnershipOrReject(post, req, res, "read")) return;
+
+    res.json({
+      success: true,
+      recurrence: parseRecurrence(post),
+      nextRunAt: post.scheduledAt || null,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// создание/замена правила — scheduledAt сразу переносится на ближайший запуск
+router.put("/:id/recurrence", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const post = await db.get("SELECT * FROM posts WHERE id = ?", id);
+    if (!post)
+      return res.status(404).json({ success: false, error: "Пост не найден" });
+
+    if (!await verifyOwnershipOrReject(post, req, res, "publish")) return;
+
+    const { timezone } = await userSchedule(post.user_id);
+    const recurrence = normalizeRecurrence(req.body.recurrence ?? req.body, timezone);
+    const next = nextRecurrence(recurrence, new Date(), timezone);
+    if (!next)
+      return res.status(400).json({ success: false, error: "У правила нет будущих запусков" });
+
+    await db.run(
+      `UPDATE posts SET recurrence = ?, scheduledAt = ?, ${RESET_DELIVERY}, queuedAt = NULL WHERE id = ?`,
+      [JSON.stringify(recurrence), next.toISOString(), id]
+    );
+    await emitPost("post_scheduled", post.id);
+    if (post.queuedAt) await fillQueue(post.user_id);
+    res.json({ success: true, recurrence, nextRunAt: next.toISOString() });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// удаление правила — уже запланированный ближайший запуск остаётся разовым
+router.delete("/:id/recurrence", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const post = await db.get("SELECT * FROM posts WHERE id = ?", id);
+    if (!post)
+      return res.status(404).json({ success: false, error: "Пост не найден" });
+
+    if (!await verifyOwnershipOrReject(post, req, res, "publish")) return;
+
+    await db.run("UPDATE posts SET recurrence = NULL WHERE id = ?", id);
+    await emitPost("post_updated", post.id);
+    res.json({ success: true, message: "⏹️ Повтор отключён" });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ недельные слоты публикации пользователя (день и время — местные, в часовом поясе пространства)
+router.get("/slots/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "read")) return;
+
+    const slots = await db.all(
+      "SELECT id, weekday, time FROM slots WHERE user_id = ? ORDER BY weekday, time",
+      userId
+    );
+    res.json({ success: true, slots });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.post("/slots/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "publish")) return;
+
+    const { weekday, time } = normalizeSlot(req.body);
+    const existing = await db.get(
+      "SELECT id FROM slots WHERE user_id = ? AND weekday = ? AND time = ?",
+      [userId, weekday, time]
+    );
+    if (existing)
+      return res.status(400).json({ success: false, error: "Такой слот уже существует" });
+
+    const result = await db.run(
+      "INSERT INTO slots (user_id, weekday, time) VALUES (?, ?, ?)",
+      [userId, weekday, time]
+    );
+    await fillQueue(Number(userId));
+    res.json({ success: true, id: result.lastID });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+router.delete("/slots/:userId/:slotId", async (req, res) => {
+  try {
+    const { userId, slotId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "publish")) return;
+
+    const result = await db.run("DELETE FROM slots WHERE id = ? AND user_id = ?", [slotId, userId]);
+    if (!result.changes)
+      return res.status(404).json({ success: false, error: "Слот не найден" });
+
+    await fillQueue(Number(userId));
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ постановка черновика в очередь слотов (проверка владения)
+router.post("/queue/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const post = await db.get("SELECT * FROM posts WHERE id = ?", id);
+    if (!post)
+      return res.status(404).json({ success: false, error: "Пост не найден" });
+
+    if (!await verifyOwnershipOrReject(post, req, res, "publish")) return;
+
+    if (post.recurrence)
+      return res.status(400).json({ success: false, error: "Повторяющийся пост нельзя поставить в очередь" });
+    if (post.status === "sending")
+      return res.status(409).json({ success: false, error: "Пост уже отправляется" });
+
+    const scope = await duplicateScope(post.user_id);
+    const duplicates = duplicatesOf(post, scope, post.id);
+    if (!post.queuedAt) {
+      if (duplicates.length && scope.block) return rejectDuplicates(res, duplicates);
+      await transaction(async () => {
+        await db.run(`UPDATE posts SET queuedAt = ?, ${RESET_DELIVERY} WHERE id = ?`, [new Date().toISOString(), id]);
+        await markDuplicate(post.id, duplicates);
+      });
+      await emitPost("post_updated", post.id);
+      await fillQueue(post.user_id);
+    }
+
+    const updated = await db.get("SELECT scheduledAt FROM posts WHERE id = ?", id);
+    res.json({ success: true, nextRunAt: updated.scheduledAt || null, duplicates });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.delete("/queue/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const post = await db.get("SELECT * FROM posts WHERE id = ?", id);
+    if (!post)
+      return res.status(404).json({ success: false, error: "Пост не найден" });
+
+    if (!await verifyOwnershipOrReject(post, req, res, "publish")) return;
+
+    if (post.queuedAt) {
+      await db.run("UPDATE posts SET queuedAt = NULL, scheduledAt = NULL WHERE id = ?", id);
+      await emitPost("post_updated", post.id);
+      await fillQueue(post.user_id);
+    }
+    res.json({ success: true, message: "⏹️ Пост убран из очереди" });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ отправка поста вручную (проверка владения)
+router.post("/sendPost/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const post = await db.get("SELECT * FROM posts WHERE id = ?", id);
+    if (!post)
+      return res.status(404).json({ success: false, error: "Пост не найден" });
+
+    if (!await verifyOwnershipOrReject(post, req, res, "publish")) return;
+
+    if (post.review_status !== "approved" && await requiresApproval(post.user_id))
+      return res.status(409).json({ success: false, error: "Пост ещё не одобрен редактором" });
+
+    const claimed = await claimPost(post.id);
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        error: post.status === "sent" ? "Пост уже отправлен" : "Пост уже отправляется",
+      });
+    }
+
+    const results = await publishPost(claimed);
+    await emitDelivery(post.id, results);
+
+    const sentCount = results.filter((r) => r.success).length;
+    if (sentCount === results.length)
+      return res.json({ success: true, message: "📤 Пост отправлен", results });
+
+    res.status(502).json({
+      success: false,
+      error: sentCount
+        ? "Пост отправлен не во все каналы — неудачные остались в очереди"
+        : "Не удалось отправить пост",
+      results,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ посты, доставка которых окончательно не удалась (status = 'failed')
+router.get("/failed/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "read")) return;
+
+    const posts = await db.all(
+      "SELECT * FROM posts WHERE user_id = ? AND status = 'failed' ORDER BY id DESC",
+      userId
+    );
+    res.json({ success: true, posts: posts.map((p) => serializePost(p)) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ вернуть пост в очередь отправки: счётчик попыток сбрасывается,
+// scheduledAt из тела (или прежний; в прошлом — отправка на ближайшем тике)
+router.post("/requeue/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const post = await db.get("SELECT * FROM posts WHERE id = ?", id);
+    if (!post)
+      return res.status(404).json({ success: false, error: "Пост не найден" });
+
+    if (!await verifyOwnershipOrReject(post, req, res, "publish")) return;
+
+    if (!["failed", "retrying"].includes(post.status))
+      return res.status(400).json({ success: false, error: "Пост не в статусе failed или retrying" });
+
+    const schedule = await userSchedule(post.user_id);
+    const scheduledAt = req.body.scheduledAt
+      ? resolveScheduledAt(req.body.scheduledAt, schedule)
+      : post.scheduledAt ?? new Date().toISOString();
+    await db.run(`UPDATE posts SET scheduledAt = ?, ${RESET_DELIVERY} WHERE id = ?`, [scheduledAt, id]);
+    await emitPost("post_scheduled", post.id);
+    res.json({ success: true, message: "🔁 Пост возвращён в очередь", ...scheduleTimes(scheduledAt, schedule) });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ вернуть в очередь все failed-посты пользователя
+router.post("/failed/:userId/requeue", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "publish")) return;
+
+    const failed = await db.all("SELECT id FROM posts WHERE user_id = ? AND status = 'failed'", userId);
+    const result = await db.run(
+      `UPDATE posts SET scheduledAt = COALESCE(scheduledAt, ?), ${RESET_DELIVERY}
+       WHERE user_id = ? AND status = 'failed'`,
+      [new Date().toISOString(), userId]
+    );
+    for (const post of failed) await emitPost("post_scheduled", post.id);
+    res.json({ success: true, requeued: result.changes });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// файл импорта читается в память: он разбирается целиком, а картинки из zip сохраняются только после проверки
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMPORT_BYTES } });
+
+// ✅ импорт постов: файл (поле file) CSV, JSON или zip с Markdown, либо JSON-массив в теле (см. bulk.js).
+// Право edit, для постов с будущим scheduledAt — ещё и publish. Отправленные и с прошедшим временем
+// становятся черновиками (warnings), так что файл /export принимается обратно. Сначала проверяются все записи:
+// ?dryRun=true — только отчёт; если есть ошибки, не создаётся ни один пост (400 с тем же отчётом).
+// Записи, похожие на посты пространства, помечаются (duplicates), а с block_duplicates — ошибка записи
+router.post("/import/:userId", limitByIp(limits.upload_ip), receiveFiles(importUpload.single("file")), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "edit")) return;
+
+    let records;
+    if (req.file) {
+      records = readImport(req.file.buffer, detectFormat(req.query.format, req.file.originalname, req.file.mimetype));
+    } else if (Array.isArray(req.body)) {
+      records = readImport(req.body, "json");
+    } else {
+      return res.status(400).json({ success: false, error: "Передайте файл в поле file или JSON-массив постов" });
+    }
+
+    const report = validateImport(records, {
+      ...(await userSchedule(userId)),
+      duplicates: await duplicateScope(userId, { drafts: true }),
+    });
+    // прошедшее время и отправленные посты импортируются черновиками — publish нужен только для будущих
+    if (report.items.some((item) => item.scheduledAt) && !await verifyUserOrReject(db, userId, req, res, "publish")) return;
+    if (req.query.dryRun === "true" || req.query.dryRun === "1")
+      return res.json({ success: true, dryRun: true, ...report });
+    if (report.invalid)
+      return res.status(400).json({
+        success: false,
+        error: `Импорт отменён: ошибки в записях (${report.invalid}), ни один пост не создан`,
+        dryRun: false,
+        ...report,
+      });
+
+    // картинки из архива — в uploads, как при обычной загрузке; если транзакция не прошла — удаляем
+    const saved = [];
+    const urls = records.map((record) => {
+      if (!record.file) return record.image;
+      const filename = `image-${Date.now()}-${Math.round(Math.random() * 1e9)}${record.file.ext}`;
+      fs.writeFileSync(path.join(uploadDir, filename), record.file.data);
+      saved.push(filename);
+      return `${req.protocol}://${req.get("host")}/uploads/${filename}`;
+    });
+
+    let ids;
+    try {
+      ids = await transaction(async () => {
+        const created = [];
+        for (const [i, record] of records.entries()) {
+          const [closest] = report.items[i].duplicates;
+          const result = await db.run(
+            `INSERT INTO posts (user_id, title, description, url, scheduledAt, duplicate_of, duplicate_score)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [
+              userId,
+              record.title,
+              record.description,
+              urls[i],
+              report.items[i].scheduledAt, // уже в UTC (см. validateImport)
+              closest?.postId ?? null,
+              closest?.score ?? null,
+            ]
+          );
+          created.push(result.lastID);
+        }
+        return created;
+      });
+    } catch (err) {
+      saved.forEach(removeUpload);
+      throw err;
+    }
+
+    for (const id of ids) await emitPost("post_created", id);
+    res.json({
+      success: true,
+      dryRun: false,
+      ...report,
+      items: report.items.map((item, i) => ({ ...item, id: ids[i] })),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ экспорт постов пространства в файл: ?format=json|csv|zip (Markdown с front-matter; по умолчанию json),
+// ?scope=queue (не отправленные) | history (отправленные) | all (по умолчанию). Файл снова принимает /import:
+// отправленные посты и посты с прошедшим временем возвращаются черновиками
+router.get("/export/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "read")) return;
+
+    const { format = "json", scope = "all" } = req.query;
+    if (!TRANSFER_FORMATS.includes(format))
+      return res.status(400).json({ success: false, error: `format должен быть одним из: ${TRANSFER_FORMATS.join(", ")}` });
+    if (!EXPORT_SCOPES.includes(scope))
+      return res.status(400).json({ success: false, error: `scope должен быть одним из: ${EXPORT_SCOPES.join(", ")}` });
+
+    const scopes = { queue: "AND p.status <> 'sent'", history: "AND p.status = 'sent'", all: "" };
+    const posts = await db.all(
+      `SELECT p.* FROM posts p WHERE p.user_id = ? ${scopes[scope]} ORDER BY ${SORT_ORDERS.scheduledAt}`,
+      userId
+    );
+
+    // свои загрузки кладём в zip рядом с .md, чтобы архив переносился без сервера
+    const readUpload = (url) => {
+      if (!url.includes("/uploads/")) return null;
+      const filePath = path.join(uploadDir, path.basename(url));
+      return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+    };
+    const { body, contentType } = buildExport(posts, format, { readUpload });
+    res.attachment(`posts-${userId}-${scope}.${format}`).type(contentType).send(body);
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ действие над списком постов пространства (см. bulk.js): schedule (scheduledAt), unschedule, shift (offset) —
+// право publish, delete — edit. Всё или ничего: чужой или несуществующий пост -> 404, отправляющийся -> 409.
+// shift пропускает посты без времени публикации и отправленные (skipped).
+// schedule помечает почти-дубли (duplicates), а с block_duplicates не планирует ни одного поста (409)
+router.post("/bulk/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, req.body?.action === "delete" ? "edit" : "publish")) return;
+
+    const schedule = await userSchedule(userId);
+    const { action, ids, scheduledAt, offset } = normalizeBulkAction(req.body, schedule.timezone);
+    if (scheduledAt) checkQuietHours(scheduledAt, schedule.quiet, schedule.timezone);
+    const posts = await db.all(
+      `SELECT * FROM posts WHERE user_id = ? AND id IN (${ids.map(() => "?").join(", ")})`,
+      [userId, ...ids]
+    );
+    const found = new Set(posts.map((p) => p.id));
+    const missing = ids.filter((id) => !found.has(id));
+    if (missing.length)
+      return res.status(404).json({ success: false, error: `Посты не найдены: ${missing.join(", ")}` });
+    const sending = posts.filter((p) => p.status === "sending").map((p) => p.id);
+    if (sending.length)
+      return res.status(409).json({ success: false, error: `Посты уже отправляются: ${sending.join(", ")}` });
+
+    const targets = action === "shift" ? posts.filter((p) => p.scheduledAt && p.status !== "sent") : posts;
+    const skipped = posts.filter((p) => !targets.includes(p)).map((p) => p.id);
+
+    const shifted = new Map(
+      action === "shift"
+        ? targets.map((p) => [p.id, new Date(new Date(p.scheduledAt).getTime() + offset * 1000)])
+        : []
+    );
+    const past = targets.filter((p) => shifted.has(p.id) && !(shifted.get(p.id) > new Date())).map((p) => p.id);
+    if (past.length)
+      return res.status(400).json({ success: false, error: `Сдвиг переносит в прошлое посты: ${past.join(", ")}` });
+    // планирование проверяется на дубли: с уже запланированными и друг с другом
+    const scope = action === "schedule" ? await duplicateScope(userId) : null;
+    if (scope) scope.posts.push(...targets.filter((p) => !scope.posts.some((c) => c.id === p.id)));
+    const duplicates = scope
+      ? targets.map((p) => ({ id: p.id, duplicates: duplicatesOf(p, scope, p.id) })).filter((d) => d.duplicates.length)
+      : [];
+    if (duplicates.length && scope.block)
+      return res.status(409).json({
+        success: false,
+        error: `Похожие посты уже есть у постов: ${duplicates.map((d) => d.id).join(", ")}`,
+        duplicates,
+      });
+    const quiet = schedule.quiet?.mode === "reject"
+      ? targets.filter((p) => shifted.has(p.id) && inQuietHours(shifted.get(p.id), schedule.quiet, schedule.timezone)).map((p) => p.id)
+      : [];
+    if (quiet.length)
+      return res.status(400).json({
+        success: false,
+        error: `Сдвиг переносит в тихие часы ${schedule.quiet.start}–${schedule.quiet.end} посты: ${quiet.join(", ")}`,
+      });
+
+    const files = [];
+    if (action === "delete") {
+      const attachments = await db.all(
+        `SELECT file FROM attachments WHERE post_id IN (${ids.map(() => "?").join(", ")})`,
+        ids
+      );
+      files.push(...posts.filter((p) => p.url?.includes("/uploads/")).map((p) => p.url), ...attachments.map((a) => a.file));
+    }
+
+    await transaction(async () => {
+      for (const post of targets) {
+        if (action === "schedule") {
+          await db.run(`UPDATE posts SET scheduledAt = ?, ${RESET_DELIVERY}, queuedAt = NULL WHERE id = ?`, [scheduledAt, post.id]);
+          await markDuplicate(post.id, duplicates.find((d) => d.id === post.id)?.duplicates ?? []);
+        } else if (action === "unschedule") {
+          await db.run("UPDATE posts SET scheduledAt = NULL, recurrence = NULL, queuedAt = NULL WHERE id = ?", post.id);
+        } else if (action === "shift") {
+          await db.run("UPDATE posts SET scheduledAt = ?, queuedAt = NULL WHERE id = ?", [
+            shifted.get(post.id).toISOString(),
+            post.id,
+          ]);
+        } else {
+          // вложения и архив опубликованного удаляются каскадом
+          await db.run("DELETE FROM posts WHERE id = ?", post.id);
+        }
+      }
+    });
+    files.forEach(removeUpload);
+
+    for (const post of targets) {
+      if (action === "delete") await emit(post.user_id, "post_deleted", { postId: post.id });
+      else await emitPost(action === "unschedule" ? "post_updated" : "post_scheduled", post.id);
+    }
+    if (targets.some((p) => p.queuedAt)) await fillQueue(Number(userId));
+    res.json({ success: true, action, ids: targets.map((p) => p.id), skipped, ...(scope ? { duplicates } : {}) });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ проверка на почти-дубли до создания или планирования (см. similarity.js) — владельцу и участникам.
+// Новый текст { title, description } сравнивается и с черновиками; postId — существующий пост пространства
+// (сравнивается без него самого, title и description по умолчанию — из поста)
+router.post("/duplicates/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "read")) return;
+
+    const { postId, title, description } = req.body;
+    const post = postId === undefined || postId === null
+      ? null
+      : await db.get("SELECT * FROM posts WHERE id = ? AND user_id = ?", [postId, userId]);
+    if (postId !== undefined && postId !== null && !post)
+      return res.status(404).json({ success: false, error: "Пост не найден" });
+
+    const text = { title: title ?? post?.title, description: description ?? post?.description };
+    if (!text.title && !text.description)
+      return res.status(400).json({ success: false, error: "Передайте title, description или postId" });
+
+    const scope = await duplicateScope(userId, { drafts: !post });
+    res.json({
+      success: true,
+      threshold: scope.threshold,
+      block: scope.block,
+      duplicates: duplicatesOf(text, scope, post?.id ?? null),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// время поста в календаре: отправленный — когда ушёл, ждущий повтора доставки — время попытки
+function calendarTime(post) {
+  if (post.status === "sent") return post.sentAt || post.scheduledAt;
+  if (post.status === "retrying") return post.nextAttemptAt || post.scheduledAt;
+  return post.scheduledAt;
+}
+
+/**
+ * Helper: posts of a workspace with a publication time, с полями at и recurrence для expandOccurrences.
+ * upcoming — только те, что ещё будут отправлены (для ленты .ics)
+ */
+async function calendarPosts(userId, { upcoming = false } = {}) {
+  const posts = await db.all(
+    `SELECT * FROM posts WHERE user_id = ? AND scheduledAt IS NOT NULL
+     ${upcoming ? "AND status NOT IN ('sent', 'failed')" : ""}`,
+    userId
+  );
+  return posts.map((post) => ({
+    ...post,
+    at: calendarTime(post),
+    // отправленный пост больше не повторится, даже если правило осталось
+    recurrence: post.status === "sent" ? null : parseRecurrence(post),
+  }));
+}
+
+// ✅ календарь публикаций пространства (см. calendar.js): ?from&to — дни YYYY-MM-DD (в часовом поясе пространства, включительно),
+// ?groupBy=day|week|month. Посты по группам, число постов по дням и пустые промежутки (gaps);
+// повторяющийся пост показывается каждым запуском
+router.get("/calendar/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "read")) return;
+
+    const { timezone } = await userSchedule(userId);
+    const range = normalizeCalendarQuery(req.query, new Date(), timezone);
+    const entries = expandOccurrences(await calendarPosts(userId), range.from, range.to, timezone);
+    const { groups, days, gaps } = buildCalendar(entries, range, ({ post, at, recurring }) => ({
+      postId: post.id,
+      title: post.title,
+      at: at.toISOString(),
+      atLocal: toLocalIso(at, timezone),
+      status: listStatus(post),
+      recurring,
+      queued: !!post.queuedAt,
+    }));
+    res.json({
+      success: true,
+      from: days[0].date,
+      to: days[days.length - 1].date,
+      groupBy: range.groupBy,
+      timezone,
+      total: entries.length,
+      groups,
+      days,
+      gaps,
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+function serializeFeed(row) {
+  return { id: row.id, name: row.name, prefix: row.prefix, createdAt: row.createdAt, lastUsedAt: row.lastUsedAt };
+}
+
+function feedUrl(req, token) {
+  return `${req.protocol}://${req.get("host")}${req.baseUrl}/calendar/feed/${token}.ics`;
+}
+
+// ✅ ссылки на ленту .ics пространства, выпущенные запрашивающим (токен не возвращается — только префикс)
+router.get("/calendar/:userId/feeds", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "read")) return;
+
+    const feeds = await db.all(
+      "SELECT * FROM calendar_feeds WHERE workspace_id = ? AND user_id = ? ORDER BY id",
+      [userId, await getRequesterId(db, req)]
+    );
+    res.json({ success: true, feeds: feeds.map(serializeFeed) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ новая ссылка на ленту .ics (только чтение, без авторизации — доступ по токену в ссылке).
+// Ссылка показывается один раз и работает, пока у выпустившего есть право read в пространстве
+router.post("/calendar/:userId/feeds", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "read")) return;
+
+    const name = String(req.body.name ?? "").trim() || "Календарь публикаций";
+    const { token, prefix } = generateFeedToken();
+    const createdAt = new Date().toISOString();
+    const result = await db.run(
+      "INSERT INTO calendar_feeds (workspace_id, user_id, name, token_hash, prefix, createdAt) VALUES (?, ?, ?, ?, ?, ?)",
+      [userId, await getRequesterId(db, req), name, hashToken(token), prefix, createdAt]
+    );
+    res.json({ success: true, id: result.lastID, name, prefix, createdAt, url: feedUrl(req, token) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ отзыв ссылки: свою может отозвать любой участник, владелец пространства — любую
+router.delete("/calendar/:userId/feeds/:feedId", async (req, res) => {
+  try {
+    const { userId, feedId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "read")) return;
+
+    const requesterId = await getRequesterId(db, req);
+    const result = await db.run(
+      "DELETE FROM calendar_feeds WHERE id = ? AND workspace_id = ? AND (user_id = ? OR workspace_id = ?)",
+      [feedId, userId, requesterId, requesterId]
+    );
+    if (!result.changes) return res.status(404).json({ success: false, error: "Лента не найдена" });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ лента iCalendar для подписки в календаре: предстоящие посты на FEED_HORIZON_DAYS дней вперёд.
+// Без авторизации — токен в ссылке; отозванная ссылка или потерянный доступ -> 404
+router.get("/calendar/feed/:token", async (req, res) => {
+  try {
+    const token = req.params.token.replace(/\.ics$/, "");
+    const feed = await db.get("SELECT * FROM calendar_feeds WHERE token_hash = ?", hashToken(token));
+    const role = feed && (await workspaceRole(db, feed.workspace_id, feed.user_id));
+    if (!feed || !can(role, "read"))
+      return res.status(404).json({ success: false, error: "Лента не найдена" });
+
+    if (!feed.lastUsedAt || Date.now() - new Date(feed.lastUsedAt).getTime() > 60 * 1000)
+      await db.run("UPDATE calendar_feeds SET lastUsedAt = ? WHERE id = ?", [new Date().toISOString(), feed.id]);
+
+    const now = new Date();
+    const until = new Date(now.getTime() + FEED_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+    // посты с прошедшим временем ещё не отправлены (ближайший тик) — тоже предстоящие
+    const posts = await calendarPosts(feed.workspace_id, { upcoming: true });
+    const { timezone } = await userSchedule(feed.workspace_id);
+    const entries = expandOccurrences(posts, new Date(0), until, timezone);
+    const owner = await db.get("SELECT username FROM users WHERE id = ?", feed.workspace_id);
+
+    res.type("text/calendar; charset=utf-8").send(
+      toICalendar(entries, { name: `${feed.name} — ${owner?.username ?? feed.workspace_id}`, host: req.hostname, now })
+    );
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// согласование: NULL (черновик) -> pending_review -> approved | rejected;
+// изменение содержимого поста возвращает его в черновики
+const REVIEW_ACTIONS = { a: "approve", r: "reject", h: "later_hour", d: "later_day" };
+
+async function requiresApproval(userId) {
+  const user = await db.get("SELECT require_approval FROM users WHERE id = ?", userId);
+  return !!user?.require_approval;
+}
+
+async function resetReview(postId) {
+  await db.run(
+    `UPDATE posts SET review_status = NULL, review_note = NULL, reviewedAt = NULL, reviewedBy = NULL
+     WHERE id = ? AND review_status IS NOT NULL`,
+    postId
+  );
+}
+
+// секрет вебхука бота ревью: Telegram присылает его в X-Telegram-Bot-Api-Secret-Token.
+// Считается от расшифрованного токена, чтобы не меняться при ротации ключа шифрования
+function reviewWebhookSecret(storedToken) {
+  return crypto.createHash("sha256").update(`review:${decryptToken(storedToken)}`).digest("hex");
+}
+
+// сравнение секрета за постоянное время: по времени ответа нельзя подбирать его посимвольно
+function reviewSecretMatches(secret, storedToken) {
+  const expected = Buffer.from(reviewWebhookSecret(storedToken));
+  const actual = Buffer.from(String(secret));
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+function reviewKeyboard(postId) {
+  return {
+    inline_keyboard: [
+      [
+        { text: "✅ Одобрить", callback_data: `rv:a:${postId}` },
+        { text: "❌ Отклонить", callback_data: `rv:r:${postId}` },
+      ],
+      [
+        { text: "⏰ +1 час", callback_data: `rv:h:${postId}` },
+        { text: "⏰ +1 день", callback_data: `rv:d:${postId}` },
+      ],
+    ],
+  };
+}
+
+/**
+ * Helper: apply an editorial decision (approve / reject), убрать кнопки у сообщения ревьюера
+ * и отправить событие post_review. Returns the updated post.
+ */
+async function applyReview(post, decision, { note = null, by }) {
+  const status = decision === "approve" ? "approved" : "rejected";
+  await db.run(
+    "UPDATE posts SET review_status = ?, review_note = ?, reviewedAt = ?, reviewedBy = ? WHERE id = ?",
+    [status, note, new Date().toISOString(), by, post.id]
+  );
+
+  if (post.review_chat && post.review_message_id) {
+    try {
+      const user = await db.get("SELECT telegram_token FROM users WHERE id = ?", post.user_id);
+      const bot = botFor(user.telegram_token);
+      await bot.editMessageReplyMarkup(
+        { inline_keyboard: [] },
+        { chat_id: post.review_chat, message_id: post.review_message_id }
+      );
+    } catch (err) {
+      console.error(`Не удалось убрать кнопки ревью у поста #${post.id}:`, err.message);
+    }
+  }
+
+  await emitPost("post_review", post.id, { review_status: status, note, by });
+  return db.get("SELECT * FROM posts WHERE id = ?", post.id);
+}
+
+/**
+ * Helper: load a post under review by :id and check ownership.
+ * Returns the post or null if response already sent
+ */
+async function getReviewPostOrReject(req, res, permission) {
+  const post = await db.get("SELECT * FROM posts WHERE id = ?", req.params.id);
+  if (!post) {
+    res.status(404).json({ success: false, error: "Пост не найден" });
+    return null;
+  }
+  if (!await verifyOwnershipOrReject(post, req, res, permission)) return null;
+  return post;
+}
+
+// ✅ посты, ожидающие согласования
+router.get("/review/user/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "read")) return;
+
+    const posts = await db.all(
+      "SELECT * FROM posts WHERE user_id = ? AND review_status = 'pending_review' ORDER BY id DESC",
+      userId
+    );
+    res.json({ success: true, posts: posts.map((p) => serializePost(p)) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ отправить черновик на согласование: бот присылает превью в чат ревьюера с кнопками
+router.post("/review/:id/submit", async (req, res) => {
+  try {
+    const post = await getReviewPostOrReject(req, res, "edit");
+    if (!post) return;
+
+    if (post.status === "sent")
+      return res.status(409).json({ success: false, error: "Пост уже отправлен" });
+    if (post.review_status === "pending_review")
+      return res.status(409).json({ success: false, error: "Пост уже на согласовании" });
+
+    const user = await db.get(
+      "SELECT telegram_token, reviewer_chat_id, parse_mode FROM users WHERE id = ?",
+      post.user_id
+    );
+    if (!user?.reviewer_chat_id)
+      return res.status(400).json({ success: false, error: "Не указан чат ревьюера (reviewer_chat_id в настройках)" });
+
+    // превью — одно сообщение: заголовок поста, начало текста и время публикации в часовом поясе пространства
+    const parseMode = user.parse_mode || DEFAULT_PARSE_MODE;
+    const { timezone } = await userSchedule(post.user_id);
+    const when = post.scheduledAt ? `, публикация ${toLocalIso(post.scheduledAt, timezone)} (${timezone})` : "";
+    const header = renderTokens([{ text: `📝 На согласование — пост #${post.id}${when}\n\n` }], parseMode);
+    const description = String(post.description ?? "");
+    const [body] = formatPost(
+      { title: post.title, description: description.length > 3500 ? `${description.slice(0, 3500)}…` : description },
+      { parseMode }
+    ).texts;
+
+    const bot = botFor(user.telegram_token);
+    const message = await bot.sendMessage(user.reviewer_chat_id, header + body, {
+      parse_mode: parseMode,
+      reply_markup: reviewKeyboard(post.id),
+    });
+
+    await db.run(
+      `UPDATE posts SET review_status = 'pending_review', review_note = NULL, reviewedAt = NULL, reviewedBy = NULL,
+         review_chat = ?, review_message_id = ? WHERE id = ?`,
+      [String(message.chat?.id ?? user.reviewer_chat_id), message.message_id, post.id]
+    );
+    await emitPost("post_review", post.id, { review_status: "pending_review" });
+    res.json({ success: true, message: "📝 Пост отправлен на согласование" });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ решение из приложения (то же, что кнопки в Telegram); reject принимает reason
+router.post("/review/:id/:decision(approve|reject)", async (req, res) => {
+  try {
+    const post = await getReviewPostOrReject(req, res, "publish");
+    if (!post) return;
+
+    if (post.review_status !== "pending_review")
+      return res.status(409).json({ success: false, error: "Пост не ожидает согласования" });
+
+    const reviewer = await db.get("SELECT username FROM users WHERE id = ?", await getRequesterId(db, req));
+    const updated = await applyReview(post, req.params.decision, {
+      note: req.params.decision === "reject" ? req.body.reason || null : null,
+      by: reviewer?.username || "app",
+    });
+    res.json({ success: true, post: serializePost(updated) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ подключить вебхук бота пользователя для кнопок согласования
+// baseUrl — публичный адрес API (иначе PUBLIC_URL или адрес запроса); Telegram принимает только https
+router.post("/review/setup/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "manage")) return;
+
+    const user = await db.get("SELECT telegram_token FROM users WHERE id = ?", userId);
+    if (!user?.telegram_token)
+      return res.status(400).json({ success: false, error: "У пользователя не задан telegram_token" });
+
+    const baseUrl = (req.body.baseUrl || process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`).replace(/\/+$/, "");
+    const url = `${baseUrl}/api/posts/review/webhook/${userId}`;
+
+    const bot = botFor(user.telegram_token);
+    await bot.setWebHook(url, {
+      secret_token: reviewWebhookSecret(user.telegram_token),
+      allowed_updates: JSON.stringify(["callback_query"]),
+    });
+    res.json({ success: true, url });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ вебхук Telegram: нажатия кнопок в чате ревьюера.
+// Подлинность — по секрету вебхука и чату ревьюера; Telegram всегда получает 200, иначе будет повторять запрос
+router.post("/review/webhook/:userId", async (req, res) => {
+  try {
+    const user = await db.get(
+      "SELECT id, telegram_token, reviewer_chat_id FROM users WHERE id = ?",
+      req.params.userId
+    );
+    const secret = req.get("x-telegram-bot-api-secret-token");
+    if (!user?.telegram_token || !secret || !reviewSecretMatches(secret, user.telegram_token))
+      return res.status(403).json({ success: false, error: "Доступ запрещён" });
+
+    const query = req.body?.callback_query;
+    const [prefix, code, postId] = String(query?.data ?? "").split(":");
+    if (!query || prefix !== "rv" || !REVIEW_ACTIONS[code]) return res.json({ success: true });
+
+    const bot = botFor(user.telegram_token);
+    const answer = (text) => bot.answerCallbackQuery(query.id, { text }).catch(() => {});
+
+    const chat = query.message?.chat;
+    const fromReviewerChat =
+      chat && (String(chat.id) === String(user.reviewer_chat_id) || `@${chat.username}` === user.reviewer_chat_id);
+    const post = await db.get("SELECT * FROM posts WHERE id = ? AND user_id = ?", [Number(postId), user.id]);
+    if (!fromReviewerChat || !post) {
+      await answer("Пост не найден");
+      return res.json({ success: true });
+    }
+    if (post.review_status !== "pending_review") {
+      await answer("Пост уже не ждёт согласования");
+      return res.json({ success: true });
+    }
+
+    const by = query.from?.username ? `@${query.from.username}` : `tg:${query.from?.id}`;
+    const action = REVIEW_ACTIONS[code];
+    if (action === "approve" || action === "reject") {
+      await applyReview(post, action, { by });
+      await answer(action === "approve" ? "✅ Одобрено" : "❌ Отклонено");
+      return res.json({ success: true });
+    }
+
+    // перенос публикации: от запланированного времени (или от текущего, если оно прошло); решение ещё впереди.
+    // Кнопка не может вернуть ошибку, поэтому время в тихих часах сдвигается на их конец в обоих режимах —
+    // как и в cron, где такой пост ждёт конца окна
+    const schedule = await userSchedule(post.user_id);
+    const base = Math.max(Date.now(), post.scheduledAt ? new Date(post.scheduledAt).getTime() : 0);
+    const scheduledAt = quietHoursEnd(
+      new Date(base + (action === "later_hour" ? 3600 : 86400) * 1000),
+      schedule.quiet,
+      schedule.timezone
+    ).toISOString();
+    await db.run("UPDATE posts SET scheduledAt = ?, queuedAt = NULL WHERE id = ?", [scheduledAt, post.id]);
+    if (post.queuedAt) await fillQueue(post.user_id);
+
+    await emitPost("post_scheduled", post.id, { by });
+    await answer(`⏰ Перенесено на ${toLocalIso(scheduledAt, schedule.timezone)}`);
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Ошибка вебхука согласования:", err);
+    res.json({ success: true });
+  }
+});
+
+/**
+ * Helper: bot of the channel a published message was sent through.
+ * channel_ref = null — канал по умолчанию из настроек пользователя.
+ */
+async function botForPublished(message) {
+  const source = message.channel_ref === null
+    ? await db.get("SELECT telegram_token FROM users WHERE id = ?", message.user_id)
+    : await db.get(
+        "SELECT telegram_token FROM channels WHERE id = ? AND user_id = ?",
+        [message.channel_ref, message.user_id]
+      );
+  if (!source) {
+    const err = new Error("Канал не найден");
+    err.status = 404;
+    throw err;
+  }
+  return botFor(source.telegram_token);
+}
+
+/**
+ * Helper: load a published message by :id and check ownership.
+ * Returns the row or null if response already sent
+ */
+async function getPublishedOrReject(req, res) {
+  const message = await db.get("SELECT * FROM published_messages WHERE id = ?", req.params.id);
+  if (!message) {
+    res.status(404).json({ success: false, error: "Сообщение не найдено" });
+    return null;
+  }
+  // правка, удаление и закрепление сообщений в канале — право publish
+  if (!await verifyOwnershipOrReject(message, req, res, "publish")) return null;
+  if (message.deletedAt) {
+    res.status(400).json({ success: false, error: "Сообщение уже удалено из канала" });
+    return null;
+  }
+  return message;
+}
+
+// ✅ история публикаций — владельцу и участникам пространства
+// фильтры (см. normalizeHistoryQuery в search.js): postId, channelId, chat, from/to (sentAt), q (поиск по тексту),
+// includeDeleted, limit/offset; неверные значения — 400
+router.get("/history/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "read")) return;
+
+    const { postId, channelId, chat, from, to, text, includeDeleted, limit, offset } = normalizeHistoryQuery(req.query);
+    const where = ["user_id = ?"];
+    const params = [userId];
+
+    if (postId !== null) {
+      where.push("post_id = ?");
+      params.push(postId);
+    }
+    if (channelId !== null) {
+      // channelId=default — канал по умолчанию из настроек
+      if (channelId === "default") where.push("channel_ref IS NULL");
+      else {
+        where.push("channel_ref = ?");
+        params.push(channelId);
+      }
+    }
+    if (chat) {
+      where.push("chat = ?");
+      params.push(chat);
+    }
+    if (from) {
+      where.push("sentAt >= ?");
+      params.push(from);
+    }
+    if (to) {
+      where.push("sentAt <= ?");
+      params.push(to);
+    }
+    if (text) {
+      where.push("text LIKE ?");
+      params.push(`%${text}%`);
+    }
+    if (!includeDeleted) where.push("deletedAt IS NULL");
+
+    const { total } = await db.get(
+      `SELECT COUNT(*) AS total FROM published_messages WHERE ${where.join(" AND ")}`,
+      params
+    );
+    const items = await db.all(
+      `SELECT * FROM published_messages WHERE ${where.join(" AND ")}
+       ORDER BY sentAt DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      total,
+      limit,
+      offset,
+      items: items.map((m) => ({ ...m, pinned: !!m.pinned })),
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ редактирование опубликованного сообщения (editMessageText / editMessageCaption для медиа)
+router.put("/published/:id", async (req, res) => {
+  try {
+    const message = await getPublishedOrReject(req, res);
+    if (!message) return;
+    if (message.kind === "poll")
+      return res.status(400).json({ success: false, error: "Опрос нельзя изменить" });
+
+    const post = await db.get("SELECT title, description FROM posts WHERE id = ?", message.post_id);
+    const title = req.body.title ?? post?.title;
+    if (!title)
+      return res.status(400).json({ success: false, error: "title обязателен" });
+
+    // новый текст должен уместиться в это же сообщение: подпись — до 1024 символов, текст — до 4096
+    const parseMode = await userParseMode(message.user_id);
+    const media = message.kind !== "text";
+    const formatted = formatPost(
+      { title, description: req.body.description ?? post?.description },
+      { parseMode, withMedia: media }
     );
+    const text = media ? formatted.caption : formatted.texts[0];
+    if (media ? formatted.texts.length : formatted.texts.length > 1)
+      return res.status(400).json({
+        success: false,
+        error: `Текст не помещается в одно сообщение (лимит ${media ? CAPTION_LIMIT : MESSAGE_LIMIT} символов)`,
+      });
+
+    const bot = await botForPublished(message);
+    const options = { chat_id: message.chat, message_id: message.message_id, parse_mode: parseMode };
+    // без reply_markup Telegram убирает кнопки у изменённого сообщения
+    if (message.reply_markup) options.reply_markup = JSON.parse(message.reply_markup);
+
+    if (message.kind === "text") await bot.editMessageText(text, options);
+    else await bot.editMessageCaption(text, options);
+
+    const editedAt = new Date().toISOString();
+    await db.run("UPDATE published_messages SET text = ?, editedAt = ? WHERE id = ?", [
+      text,
+      editedAt,
+      message.id,
+    ]);
+    res.json({ success: true, message: "✏️ Сообщение изменено", editedAt });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ удаление опубликованного сообщения из канала (запись в архиве остаётся)
+router.delete("/published/:id", async (req, res) => {
+  try {
+    const message = await getPublishedOrReject(req, res);
+    if (!message) return;
+
+    const bot = await botForPublished(message);
+    await bot.deleteMessage(message.chat, message.message_id);
+
+    await db.run("UPDATE published_messages SET deletedAt = ?, pinned = 0 WHERE id = ?", [
+      new Date().toISOString(),
+      message.id,
+    ]);
+    res.json({ success: true, message: "🗑️ Сообщение удалено из канала" });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ закрепить / открепить опубликованное сообщение
+router.post("/published/:id/pin", async (req, res) => {
+  try {
+    const message = await getPublishedOrReject(req, res);
+    if (!message) return;
+
+    const bot = await botForPublished(message);
+    await bot.pinChatMessage(message.chat, message.message_id, {
+      disable_notification: !!req.body.disable_notification,
+    });
+
+    await db.run("UPDATE published_messages SET pinned = 1 WHERE id = ?", message.id);
+    res.json({ success: true, message: "📌 Сообщение закреплено" });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+router.delete("/published/:id/pin", async (req, res) => {
+  try {
+    const message = await getPublishedOrReject(req, res);
+    if (!message) return;
+
+    const bot = await botForPublished(message);
+    await bot.unpinChatMessage(message.chat, { message_id: message.message_id });
+
+    await db.run("UPDATE published_messages SET pinned = 0 WHERE id = ?", message.id);
+    res.json({ success: true, message: "📍 Сообщение откреплено" });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * Helper: style examples for use_own_posts — опубликованные и написанные пользователем посты,
+ * с учётом закреплённых/исключённых (example_mode). Черновики генерации (job_id) — не образец стиля,
+ * пока их не отправили или не закрепили: иначе модель подражала бы своим же прошлым ответам.
+ */
+async function loadStyleExamples(userId) {
+  const candidates = await db.all(
+    `SELECT id, title, description, status, example_mode FROM posts
+     WHERE user_id = ? AND COALESCE(example_mode, '') != 'excluded'
+       AND (job_id IS NULL OR status = 'sent' OR example_mode = 'pinned')
+     ORDER BY CASE WHEN example_mode = 'pinned' THEN 0 ELSE 1 END, id DESC
+     LIMIT 200`,
+    userId
+  );
+  return selectStyleExamples(candidates);
+}
+
+// ✅ какие посты сейчас пойдут в промпт как примеры стиля (use_own_posts)
+router.get("/examples/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "read")) return;
+
+    res.json({ success: true, examples: await loadStyleExamples(userId) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ закрепить / исключить пост как пример стиля: mode = pinned | excluded | auto
+router.put("/:id/example", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { mode } = req.body;
+    const post = await db.get("SELECT * FROM posts WHERE id = ?", id);
+    if (!post)
+      return res.status(404).json({ success: false, error: "Пост не найден" });
+
+    if (!await verifyOwnershipOrReject(post, req, res, "edit")) return;
+
+    if (!["pinned", "excluded", "auto"].includes(mode))
+      return res.status(400).json({ success: false, error: "mode должен быть одним из: pinned, excluded, auto" });
+
+    await db.run("UPDATE posts SET example_mode = ? WHERE id = ?", [mode === "auto" ? null : mode, id]);
+    res.json({ success: true, example_mode: mode === "auto" ? null : mode });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// фоновая генерация: queued -> running -> done | failed, queued | running -> cancelled (/cancel);
+// одновременно выполняется не больше GENERATION_CONCURRENCY задач
+const GENERATION_CONCURRENCY = Number(process.env.GENERATION_CONCURRENCY) || 2;
+const pendingJobs = [];
+let runningJobs = 0;
+
+function enqueueJob(run) {
+  pendingJobs.push(run);
+  drainJobs();
+}
+
+function drainJobs() {
+  while (runningJobs < GENERATION_CONCURRENCY && pendingJobs.length) {
+    const run = pendingJobs.shift();
+    runningJobs++;
+    run()
+      .catch((err) => console.error("Ошибка задачи генерации:", err))
+      .finally(() => {
+        runningJobs--;
+        drainJobs();
+      });
+  }
+}
 
-    // передаём prompt в generatePostsService
-    const posts = await generatePostsService(settings || {}, prompt);
+function serializeJob(job) {
+  return {
+    ...job,
+    params: job.params ? JSON.parse(job.params) : null,
+    result: job.result ? JSON.parse(job.result) : null,
+  };
+}
+
+/**
+ * Helper: run one generation job — прогресс пишется в generation_jobs и отправляется событиями
+ * (generation_progress, затем generation_done или generation_failed).
+ * Отменённая задача не запускается, а если уже выполнялась — её результат отбрасывается.
+ */
+async function runGenerationJob(jobId, { userId, settings, options, saveDrafts }) {
+  const progress = async (stage, data = {}) => {
+    const { changes } = await db.run("UPDATE generation_jobs SET stage = ? WHERE id = ? AND status = 'running'", [stage, jobId]);
+    if (changes) await emit(userId, "generation_progress", { jobId, stage, ...data });
+  };
+  const cancelled = async () =>
+    (await db.get("SELECT status FROM generation_jobs WHERE id = ?", jobId))?.status === "cancelled";
+
+  // задачу отменили, пока она ждала очереди
+  const started = await db.run(
+    "UPDATE generation_jobs SET status = 'running', startedAt = ? WHERE id = ? AND status = 'queued'",
+    [new Date().toISOString(), jobId]
+  );
+  if (!started.changes) return;
+  let progressWrites = Promise.resolve();
+
+  try {
+    const { posts, sources, usage, calls, errors, itemErrors, attempts, examples } = await generatePostsService(settings, {
+      ...options,
+      examples: settings.use_own_posts == "1" ? await loadStyleExamples(userId) : [],
+      // генерация не ждёт записи прогресса, но записи идут по порядку
+      onProgress: (stage, data) => {
+        progressWrites = progressWrites
+          .then(() => progress(stage, data))
+          .catch((err) => console.error("Ошибка записи прогресса:", err));
+      },
+    });
+    await progressWrites;
+
+    for (const call of calls) {
+      await db.run(
+        `INSERT INTO llm_usage (user_id, provider, model, prompt_tokens, completion_tokens, total_tokens)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [userId, call.provider, call.model, call.prompt_tokens, call.completion_tokens, call.total_tokens]
+      );
+    }
+
+    // ни одного валидного поста даже после переспросов — задача завершается с причинами
+    if (!posts.length) {
+      const err = new Error("Модель не вернула ни одного корректного поста");
+      err.details = { errors, itemErrors, attempts, sources, usage };
+      throw err;
+    }
 
     const formatted = posts.map((p, i) => ({
-      id: p.id,
       title: p.title || `Пост #${i + 1}`,
       description: p.description || "Описание отсутствует",
       url: p.url || null,
     }));
 
-    res.json({
-      success: true,
-      userId,
-      posts: formatted,
+    // одни и те же новости попадают в генерацию раз за разом — помечаем почти-дубли постов пространства
+    const scope = await duplicateScope(userId, { drafts: true });
+    for (const post of formatted) post.duplicates = duplicatesOf(post, scope);
+
+    // сохраняем как черновики (без даты публикации), если об этом попросили;
+    // почти-дубли ищутся и среди уже сохранённых постов этой генерации, с block_duplicates они не сохраняются (skipped).
+    // Черновики и итог задачи пишутся одной транзакцией: отменённая к этому моменту задача ничего не сохраняет
+    if (saveDrafts) await progress("saving");
+    const result = { posts: formatted, sources, usage, attempts, errors, itemErrors, examples };
+    const finished = await transaction(async () => {
+      if (await cancelled()) return false;
+      if (saveDrafts) {
+        for (const post of formatted) {
+          post.duplicates = duplicatesOf(post, scope);
+          if (post.duplicates.length && scope.block) {
+            post.skipped = true;
+            continue;
+          }
+          const saved = await db.run(
+            `INSERT INTO posts (user_id, title, description, url, scheduledAt, job_id, duplicate_of, duplicate_score)
+             VALUES (?, ?, ?, ?, NULL, ?, ?, ?)`,
+            [userId, post.title, post.description, post.url, jobId, post.duplicates[0]?.postId ?? null, post.duplicates[0]?.score ?? null]
+          );
+          post.id = saved.lastID;
+          scope.posts.push({ id: post.id, title: post.title, description: post.description, status: "pending" });
+        }
+      }
+      await db.run(
+        "UPDATE generation_jobs SET status = 'done', stage = NULL, result = ?, finishedAt = ? WHERE id = ?",
+        [JSON.stringify(result), new Date().toISOString(), jobId]
+      );
+      return true;
     });
+    if (!finished) return;
+
+    for (const post of formatted) if (post.id) await emitPost("post_created", post.id);
+    await emit(userId, "generation_done", {
+      jobId,
+      posts: formatted.length,
+      saved: saveDrafts,
+      duplicates: formatted.filter((p) => p.duplicates.length).length,
+    });
+  } catch (err) {
+    await progressWrites;
+    console.error(`Ошибка генерации (задача ${jobId}):`, err);
+    const details = err.details || (err.sources ? { sources: err.sources } : null);
+    const { changes } = await db.run(
+      "UPDATE generation_jobs SET status = 'failed', error = ?, result = ?, finishedAt = ? WHERE id = ? AND status = 'running'",
+      [err.message, details ? JSON.stringify(details) : null, new Date().toISOString(), jobId]
+    );
+    if (changes) await emit(userId, "generation_failed", { jobId, error: err.message });
+  }
+}
+
+// ✅ генерация постов (главный эндпоинт) — владельцу userId и редакторам пространства.
+// Запрос сразу возвращает id задачи, результат — в /generation-jobs/:jobId
+router.post("/generate-posts/:userId", limitByIp(limits.generate_ip), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    // всё необязательно: prompt — разовые указания, templateId — сохранённый шаблон,
+    // template — разовый текст шаблона, variables — переопределение переменных шаблона
+    // provider, model, temperature — модель для этого вызова (иначе из настроек пользователя)
+    // save_drafts — сразу сохранить сгенерированные посты черновиками
+    const { prompt, templateId, template, variables, provider, model, temperature, save_drafts } = req.body;
+    if (!await verifyUserOrReject(db, userId, req, res, "generate")) return;
+    // квота генераций — на пространство: модель вызывается за его счёт, кто бы ни запускал
+    const { allowed, retryAfter } = limits.generate_user.hit(Number(userId));
+    if (!allowed) return sendRateLimited(res, retryAfter);
+
+    // получаем настройки пользователя
+    const settings = await db.get(
+      `SELECT add_images, use_own_posts, use_other_channels AS use_channels, channels_list, use_sites, sites_list AS site_list,
+         llm_provider, llm_model, llm_temperature, llm_base_url
+       FROM users WHERE id = ?`,
+      userId
+    );
+
+    // шаблон: явный templateId, иначе шаблон пользователя по умолчанию (если есть)
+    const stored = templateId !== undefined
+      ? await db.get("SELECT * FROM prompt_templates WHERE id = ? AND user_id = ?", [templateId, userId])
+      : await db.get("SELECT * FROM prompt_templates WHERE user_id = ? AND is_default = 1", userId);
+    if (templateId !== undefined && !stored)
+      return res.status(404).json({ success: false, error: "Шаблон не найден" });
+
+    // ошибки параметров (шаблон, переменные, модель) — сразу 400, а не упавшая задача
+    const llm = resolveLlmOptions(
+      { provider, model, temperature },
+      {
+        provider: settings?.llm_provider,
+        model: settings?.llm_model,
+        temperature: settings?.llm_temperature,
+        baseUrl: settings?.llm_base_url,
+      }
+    );
+    const options = {
+      template: template ? normalizeTemplate(template) : stored?.template || null,
+      variables: {
+        ...(stored?.variables ? JSON.parse(stored.variables) : {}),
+        ...normalizeVariables(variables || {}),
+      },
+      prompt,
+      llm,
+    };
+    const saveDrafts = Boolean(save_drafts);
+
+    const params = { prompt: prompt || null, templateId: stored?.id ?? null, variables: options.variables, llm, save_drafts: saveDrafts };
+    const job = await db.run(
+      "INSERT INTO generation_jobs (user_id, status, params, createdAt) VALUES (?, 'queued', ?, ?)",
+      [userId, JSON.stringify(params), new Date().toISOString()]
+    );
+    const jobId = job.lastID;
+
+    enqueueJob(() => runGenerationJob(jobId, { userId: Number(userId), settings: settings || {}, options, saveDrafts }));
+    await emit(userId, "generation_progress", { jobId, stage: "queued" });
+
+    res.status(202).json({ success: true, jobId, status: "queued" });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ задачи генерации пользователя (свежие первыми, без результатов)
+router.get("/generation-jobs/user/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "read")) return;
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 20, 1), 100);
+    const jobs = await db.all(
+      `SELECT id, user_id, status, stage, error, createdAt, startedAt, finishedAt FROM generation_jobs
+       WHERE user_id = ? ORDER BY id DESC LIMIT ?`,
+      [userId, limit]
+    );
+    res.json({ success: true, jobs });
   } catch (err) {
-    console.error("Ошибка в /generate-posts:", err);
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-function attachEvents(server) {
-  if (wss) return;
-  wss = new WebSocketServer({ server });
-  wss.on("connection", (ws) => {
-    clients.add(ws);
-    ws.on("close", () => clients.delete(ws));
-  });
+// ✅ статус и результат задачи генерации
+router.get("/generation-jobs/:jobId", async (req, res) => {
+  try {
+    const job = await db.get("SELECT * FROM generation_jobs WHERE id = ?", req.params.jobId);
+    if (!job)
+      return res.status(404).json({ success: false, error: "Задача не найдена" });
 
-  cron.schedule("*/10 * * * * *", async () => {
+    if (!await verifyUserOrReject(db, job.user_id, req, res, "read")) return;
+
+    res.json({ success: true, job: serializeJob(job) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ отмена задачи генерации (право generate): задача в очереди не запустится, у выполняющейся
+// результат отбрасывается — черновики не сохраняются (вызов модели не прерывается, его расход учитывается)
+router.post("/generation-jobs/:jobId/cancel", async (req, res) => {
+  try {
+    const job = await db.get("SELECT * FROM generation_jobs WHERE id = ?", req.params.jobId);
+    if (!job)
+      return res.status(404).json({ success: false, error: "Задача не найдена" });
+
+    if (!await verifyUserOrReject(db, job.user_id, req, res, "generate")) return;
+
+    const { changes } = await db.run(
+      "UPDATE generation_jobs SET status = 'cancelled', finishedAt = ? WHERE id = ? AND status IN ('queued', 'running')",
+      [new Date().toISOString(), job.id]
+    );
+    if (!changes)
+      return res.status(409).json({ success: false, error: "Задача уже завершена" });
+
+    await emit(job.user_id, "generation_cancelled", { jobId: job.id });
+    const updated = await db.get("SELECT * FROM generation_jobs WHERE id = ?", job.id);
+    res.json({ success: true, job: serializeJob(updated) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// WebSocket: handshake авторизуется токеном (?auth_token=, x-auth-token или Authorization: Bearer),
+// ?since=<id события> досылает пропущенное. Раз в WS_HEARTBEAT_SECONDS сервер пингует клиентов,
+// отключает не ответивших и перепроверяет токен: после выхода или истечения сессии — close 4001.
+const HEARTBEAT_SECONDS = Number(process.env.WS_HEARTBEAT_SECONDS) || 30;
+
+function sendEvent(ws, message) {
+  if (ws.readyState === 1) ws.send(JSON.stringify(message));
+}
+
+function rejectUpgrade(socket, status, error) {
+  const body = JSON.stringify({ success: false, error });
+  socket.end(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+      "Content-Type: application/json; charset=utf-8\r\n" +
+      `Content-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`
+  );
+}
+
+/**
+ * Helper: send the connection's missed events after the cursor, затем replay_done с новым курсором.
+ * Если догнать нельзя (события удалены по сроку или их слишком много) — resync_required:
+ * клиент перечитывает данные через REST и продолжает с cursor.
+ */
+async function replayEvents(ws, client, since) {
+  const workspaces = await memberWorkspaces(db, client.requester.userId);
+  const { events, complete, cursor } = await eventsSince(db, workspaces, since);
+  if (!complete) return sendEvent(ws, { type: "resync_required", cursor });
+  events.forEach((event) => sendEvent(ws, event));
+  sendEvent(ws, { type: "replay_done", cursor: Math.max(cursor, events.at(-1)?.id ?? 0) });
+}
+
+function handleConnection(ws, { requester, authReq, since }) {
+  const client = { requester, authReq, alive: true };
+  clients.set(ws, client);
+  ws.on("pong", () => (client.alive = true));
+  ws.on("close", () => clients.delete(ws));
+
+  // сообщения клиента: { type: "ping" } (браузеры не умеют отправлять ping-кадры) и { type: "resume", since }
+  ws.on("message", async (raw) => {
+    client.alive = true;
     try {
-      const now = new Date().toISOString();
-      const posts = await db.all(
-        "SELECT * FROM posts WHERE sent = 0 AND scheduledAt IS NOT NULL AND scheduledAt <= ?",
-        now
-      );
+      const message = JSON.parse(raw);
+      if (message.type === "ping") sendEvent(ws, { type: "pong", cursor: await latestCursor(db) });
+      else if (message.type === "resume") await replayEvents(ws, client, normalizeCursor(message.since) ?? 0);
+      else sendEvent(ws, { type: "error", error: "Неизвестный тип сообщения" });
+    } catch (err) {
+      sendEvent(ws, { type: "error", error: err.message });
+    }
+  });
+
+  (async () => {
+    const workspaces = await memberWorkspaces(db, requester.userId);
+    sendEvent(ws, { type: "ready", userId: requester.userId, workspaces, cursor: await latestCursor(db) });
+    if (since !== null) await replayEvents(ws, client, since);
+  })().catch((err) => sendEvent(ws, { type: "error", error: err.message }));
+}
 
-      for (const post of posts) {
-        const user = await usersDb.get(
-          "SELECT telegram_token, channel_id FROM users WHERE id = ?",
-          post.user_id
+/**
+ * Publish due posts — тик cron раз в 10 секунд: запланированные посты, время которых пришло,
+ * и повторы, чья задержка истекла. Параллельные тики и ручная отправка не публикуют пост дважды (claimPost).
+ */
+async function publishDuePosts() {
+  try {
+    const now = new Date().toISOString();
+    const posts = await db.all(
+      `SELECT * FROM posts
+       WHERE status IN ('pending', 'retrying') AND scheduledAt IS NOT NULL AND scheduledAt <= ?
+         AND (nextAttemptAt IS NULL OR nextAttemptAt <= ?)`,
+      [now, now]
+    );
+
+    // у пользователей с согласованием уходят только одобренные посты
+    const strict = new Set(
+      (await db.all("SELECT id FROM users WHERE require_approval = 1")).map((u) => u.id)
+    );
+    // в тихие часы посты пространства ждут конца окна (ручная /sendPost — без ограничения)
+    const quiet = new Set(
+      (await db.all(
+        `SELECT id, timezone, quiet_hours_start, quiet_hours_end, quiet_hours_mode FROM users
+         WHERE quiet_hours_start IS NOT NULL AND quiet_hours_end IS NOT NULL`
+      ))
+        .filter((u) => inQuietHours(now, userQuietHours(u), u.timezone || DEFAULT_TIMEZONE))
+        .map((u) => u.id)
+    );
+
+    for (const due of posts) {
+      if (strict.has(due.user_id) && due.review_status !== "approved") continue;
+      if (quiet.has(due.user_id)) continue;
+      // пост мог забрать параллельный тик или ручная отправка — работаем со строкой после захвата
+      const post = await claimPost(due.id, { due: now });
+      if (!post) continue;
+
+      const results = await publishPost(post);
+      const failed = results.filter((r) => !r.success);
+      if (failed.length) {
+        const { status, attempts, nextAttemptAt } = await db.get(
+          "SELECT status, attempts, nextAttemptAt FROM posts WHERE id = ?",
+          post.id
         );
-        if (!user) continue;
-
-        const bot = new TelegramBot(user.telegram_token, { polling: false });
-        const caption = `*${post.title}*\n\n${post.description || ""}`;
-
-        try {
-          if (post.url?.includes("/uploads/")) {
-            const filePath = path.join(uploadDir, path.basename(post.url));
-            if (fs.existsSync(filePath)) {
-              await bot.sendPhoto(user.channel_id, fs.createReadStream(filePath), {
-                caption,
-                parse_mode: "Markdown",
-              });
-              fs.unlinkSync(filePath);
-            } else {
-              await bot.sendPhoto(user.channel_id, post.url, {
-                caption,
-                parse_mode: "Markdown",
-              });
-            }
-          } else if (post.url) {
-            await bot.sendPhoto(user.channel_id, post.url, {
-              caption,
-              parse_mode: "Markdown",
-            });
-          } else {
-            await bot.sendMessage(user.channel_id, caption, {
-              parse_mode: "Markdown",
-            });
-          }
+        console.error(
+          `Ошибка при автоотправке поста #${post.id} (попытка ${attempts}, ${status}` +
+            `${nextAttemptAt ? `, повтор в ${nextAttemptAt}` : ""}): ${describeFailures(results)}`
+        );
+      }
+      await emitDelivery(post.id, results);
+    }
+  } catch (err) {
+    console.error("Ошибка CRON:", err.message);
+  }
+}
 
-          await db.run("DELETE FROM posts WHERE id = ?", post.id);
-        } catch (err) {
-          console.error(`Ошибка при автоотправке поста #${post.id}:`, err.message);
-        }
+/**
+ * Start WebSocket events and the publishing cron. Вызывается после openDatabase():
+ * сначала восстанавливает состояние, прерванное перезапуском сервера.
+ */
+async function attachEvents(server) {
+  if (wss) return;
+
+  // отправка, прерванная перезапуском, уходит на повтор
+  await db.run("UPDATE posts SET status = 'retrying' WHERE status = 'sending'");
+  // задачи генерации живут в памяти процесса: незавершённые до перезапуска уже не выполнятся
+  await db.run(
+    "UPDATE generation_jobs SET status = 'failed', error = 'Прервано перезапуском сервера', finishedAt = ? WHERE status IN ('queued', 'running')",
+    new Date().toISOString()
+  );
+  await pruneEvents(db);
+
+  wss = new WebSocketServer({ noServer: true });
+
+  server.on("upgrade", async (request, socket, head) => {
+    try {
+      // у handshake нет тела — токен и курсор берутся из заголовков и query, как в REST
+      const url = new URL(request.url, "http://localhost");
+      const authReq = { headers: request.headers, query: Object.fromEntries(url.searchParams), body: null };
+      const since = normalizeCursor(url.searchParams.get("since"));
+
+      const requester = await authenticate(db, authReq);
+      if (!requester) {
+        const { status, error } = unauthenticated(authReq);
+        return rejectUpgrade(socket, status, error);
       }
+      if (!scopeAllows(requester, "read"))
+        return rejectUpgrade(socket, 403, "API-ключ не даёт доступа к этому действию");
 
-      if (posts.length) broadcast({ type: "posts_updated" });
+      wss.handleUpgrade(request, socket, head, (ws) => handleConnection(ws, { requester, authReq, since }));
     } catch (err) {
-      console.error("Ошибка CRON:", err.message);
+      rejectUpgrade(socket, err.status || 500, err.message);
+    }
+  });
+
+  const heartbeat = setInterval(async () => {
+    for (const [ws, client] of clients) {
+      if (!client.alive) {
+        ws.terminate();
+        clients.delete(ws);
+        continue;
+      }
+      client.alive = false;
+      ws.ping();
+      try {
+        client.authReq.requester = null;
+        if (!await authenticate(db, client.authReq)) ws.close(4001, "Токен недействителен или сессия истекла");
+      } catch (err) {
+        console.error("Ошибка проверки WebSocket-сессии:", err.message);
+      }
     }
+  }, HEARTBEAT_SECONDS * 1000);
+  heartbeat.unref();
+
+  // журнал событий чистится раз в час
+  cron.schedule("0 * * * *", () => {
+    pruneEvents(db).catch((err) => console.error("Ошибка очистки событий:", err.message));
   });
+
+  cron.schedule("*/10 * * * * *", publishDuePosts);
 }
 
 export default router;
-export { attachEvents };
+export { attachEvents, publishDuePosts };
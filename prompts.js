@@ -0,0 +1,135 @@
+// Шаблоны промптов генерации: переменные {{name}} подставляются из настроек шаблона и запроса.
+// Строка шаблона, в которой все переменные оказались пустыми, удаляется целиком.
+
+export const TEMPLATE_VARIABLES = ["news", "examples", "tone", "language", "length", "count", "hashtags", "cta"];
+
+export const DEFAULT_TEMPLATE = `На основе этих новостей:
+{{news}}
+
+{{examples}}
+
+Сгенерируй массив из {{count}} новых постов в формате JSON. У каждого поста должны быть:
+- title
+- description ({{length}})
+Тон: {{tone}}.
+В конце каждого поста добавь хэштеги: {{hashtags}}
+Заверши каждый пост призывом к действию: {{cta}}
+Только массив из {{count}} постов, ничего лишнего, на языке: {{language}}.
+Важно: не используй обёртку \`\`\`json, никаких дополнительных комментариев или текста — только чистый JSON-массив.`;
+
+const DEFAULT_VARIABLES = { tone: "", language: "русский", length: "long", count: 3, hashtags: [], cta: "" };
+
+const LENGTHS = {
+  short: "короткий, до 400 символов",
+  medium: "средний, 400–800 символов",
+  long: "длинный, как полноценный новостной пост в Telegram",
+};
+
+const MAX_TEMPLATE_LENGTH = 8000;
+export const MAX_POSTS_COUNT = 10;
+
+function promptError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Validate template variables from request body (все поля необязательны).
+ * Returns only the provided fields in stored form.
+ */
+export function normalizeVariables(input = {}) {
+  if (!input || typeof input !== "object") throw promptError("variables должен быть объектом");
+
+  const vars = {};
+  if (input.tone !== undefined) vars.tone = String(input.tone ?? "").trim();
+  if (input.language !== undefined) vars.language = String(input.language ?? "").trim();
+  if (input.cta !== undefined) vars.cta = String(input.cta ?? "").trim();
+
+  if (input.length !== undefined) {
+    const n = Number(input.length);
+    if (!LENGTHS[input.length] && !(Number.isInteger(n) && n > 0))
+      throw promptError("length: short, medium, long или число символов");
+    vars.length = LENGTHS[input.length] ? input.length : n;
+  }
+
+  if (input.count !== undefined) {
+    const n = Number(input.count);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_POSTS_COUNT)
+      throw promptError(`count должен быть числом от 1 до ${MAX_POSTS_COUNT}`);
+    vars.count = n;
+  }
+
+  if (input.hashtags !== undefined) {
+    const list = Array.isArray(input.hashtags) ? input.hashtags : String(input.hashtags ?? "").split(/[\s,]+/);
+    vars.hashtags = list
+      .map((tag) => String(tag).trim().replace(/^#*/, ""))
+      .filter(Boolean)
+      .map((tag) => `#${tag}`);
+  }
+
+  return vars;
+}
+
+/**
+ * Validate template text: только известные переменные, {{news}} обязателен.
+ */
+export function normalizeTemplate(text) {
+  const template = String(text ?? "").trim();
+  if (!template) throw promptError("template не может быть пустым");
+  if (template.length > MAX_TEMPLATE_LENGTH)
+    throw promptError(`template длиннее ${MAX_TEMPLATE_LENGTH} символов`);
+
+  const unknown = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+    .map((m) => m[1])
+    .filter((name) => !TEMPLATE_VARIABLES.includes(name));
+  if (unknown.length)
+    throw promptError(`Неизвестные переменные: ${[...new Set(unknown)].join(", ")}`);
+  if (!/\{\{\s*news\s*\}\}/.test(template))
+    throw promptError("В шаблоне нужна переменная {{news}}");
+
+  return template;
+}
+
+function newsBlock(items = []) {
+  return items
+    .slice(0, 6)
+    .map((it) => `${it.title}\n${it.description || ""}`)
+    .join("\n\n");
+}
+
+/**
+ * Render the final prompt.
+ * - template: текст шаблона (по умолчанию DEFAULT_TEMPLATE)
+ * - variables: значения переменных поверх значений по умолчанию
+ * - examples: блок примеров стиля канала (см. style.js); если в шаблоне нет {{examples}}, добавляется в конец
+ * - instructions: разовые указания из запроса, добавляются в конец
+ * Returns { prompt, count }
+ */
+export function renderPrompt({ items, template, variables = {}, examples = "", instructions } = {}) {
+  const vars = { ...DEFAULT_VARIABLES, ...variables };
+  const values = {
+    news: newsBlock(items),
+    examples,
+    tone: vars.tone,
+    language: vars.language,
+    length: LENGTHS[vars.length] || `около ${vars.length} символов`,
+    count: String(vars.count),
+    hashtags: vars.hashtags.join(" "),
+    cta: vars.cta,
+  };
+
+  const lines = (template || DEFAULT_TEMPLATE).split("\n").flatMap((line) => {
+    const names = [...line.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map((m) => m[1]);
+    if (names.length && names.every((name) => !values[name])) return [];
+    return [line.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => values[name] ?? "")];
+  });
+
+  let prompt = lines.join("\n").replace(/\n{3,}/g, "\n\n");
+  if (examples && !/\{\{\s*examples\s*\}\}/.test(template || DEFAULT_TEMPLATE))
+    prompt += `\n\n${examples}`;
+  if (instructions && String(instructions).trim())
+    prompt += `\n\nДополнительные указания: ${String(instructions).trim()}`;
+
+  return { prompt, count: vars.count };
+}
@@ -0,0 +1,154 @@
+// Ограничение частоты запросов (в памяти процесса) и защита входа от перебора паролей.
+//
+// Лимиты задаются как «число/окно»: 20/15m, 5/1h, 30s-окна тоже допустимы; 0 или off — без ограничения.
+// Переопределяются переменными окружения RATE_LIMIT_<ИМЯ>, например RATE_LIMIT_LOGIN_IP=10/15m.
+// Лимиты по IP — middleware перед маршрутом; лимиты по пользователю проверяются в обработчике
+// после авторизации, чтобы чужие неавторизованные запросы не расходовали его квоту.
+
+const DEFAULT_LIMITS = {
+  login_ip: "20/15m",
+  register_ip: "5/1h",
+  upload_ip: "120/10m",
+  upload_user: "60/10m",
+  generate_ip: "30/1h",
+  generate_user: "20/1h",
+};
+
+// блокировка входа: после порога неудач подряд — пауза, удваивающаяся с каждой следующей неудачей;
+// успешный вход сбрасывает счётчики. Счётчиков два:
+// - по паре IP + логин (LOGIN_LOCKOUT_*): строгий, перебор с одного адреса быстро упирается в паузу,
+//   а владелец аккаунта с другого адреса входит как обычно;
+// - по логину со всех адресов (LOGIN_ACCOUNT_LOCKOUT_*): против перебора, распределённого по многим IP.
+//   Компромисс: такой перебор задерживает вход и самому владельцу, поэтому порог у счётчика выше,
+//   а пауза короче и ограничена 15 минутами — перебор замедляется, но аккаунт не блокируется надолго
+const LOCKOUTS = {
+  ip: {
+    threshold: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5,
+    baseSeconds: Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 30,
+    maxSeconds: 60 * 60,
+  },
+  account: {
+    threshold: Number(process.env.LOGIN_ACCOUNT_LOCKOUT_THRESHOLD) || 20,
+    baseSeconds: Number(process.env.LOGIN_ACCOUNT_LOCKOUT_BASE_SECONDS) || 5,
+    maxSeconds: 15 * 60,
+  },
+};
+// счётчик неудач забывается через сутки без попыток
+const FAILURES_TTL_MS = 24 * 60 * 60 * 1000;
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+function parseLimit(value) {
+  if (value === "0" || value === "off") return null;
+  const m = /^(\d+)\s*\/\s*(\d+)\s*([smh])$/.exec(String(value).trim());
+  if (!m) throw new Error(`Неверный формат лимита «${value}» (ожидается, например, 20/15m)`);
+  return { max: Number(m[1]), windowMs: Number(m[2]) * UNITS[m[3]] };
+}
+
+/**
+ * Fixed-window limiter. hit(key) считает запрос и returns { allowed, retryAfter } (секунды).
+ * config = null — лимит выключен.
+ */
+export function createLimiter(name, config) {
+  const windows = new Map();
+
+  return {
+    name,
+    hit(key) {
+      if (!config || key === null || key === undefined) return { allowed: true, retryAfter: 0 };
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + config.windowMs };
+        windows.set(key, entry);
+      }
+      entry.count++;
+      if (entry.count <= config.max) return { allowed: true, retryAfter: 0 };
+      return { allowed: false, retryAfter: Math.ceil((entry.resetAt - now) / 1000) };
+    },
+    sweep(now = Date.now()) {
+      for (const [key, entry] of windows) if (entry.resetAt <= now) windows.delete(key);
+    },
+  };
+}
+
+export const limits = Object.fromEntries(
+  Object.entries(DEFAULT_LIMITS).map(([name, fallback]) => [
+    name,
+    createLimiter(name, parseLimit(process.env[`RATE_LIMIT_${name.toUpperCase()}`] || fallback)),
+  ])
+);
+
+/**
+ * 429 with Retry-After.
+ */
+export function sendRateLimited(res, retryAfter, error = `Слишком много запросов, повторите через ${retryAfter} с`) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ success: false, error, retryAfter });
+}
+
+/**
+ * Middleware: лимит по IP клиента (req.ip; за прокси нужен TRUST_PROXY, см. server.js).
+ */
+export function limitByIp(limiter) {
+  return (req, res, next) => {
+    const { allowed, retryAfter } = limiter.hit(req.ip);
+    if (!allowed) return sendRateLimited(res, retryAfter);
+    next();
+  };
+}
+
+const loginFailures = new Map();
+
+// ключи счётчиков неудач входа: { ip: "IP|логин", account: "*|логин" }
+function lockoutKeys(ip, username) {
+  const login = String(username ?? "").trim().toLowerCase();
+  return { ip: `${ip ?? ""}|${login}`, account: `*|${login}` };
+}
+
+/**
+ * Seconds until the account can try to log in again from this IP (0 — можно):
+ * наибольшая из пауз по IP + логину и по логину.
+ * Работает и для несуществующих логинов, чтобы по блокировке нельзя было узнать, есть ли пользователь.
+ */
+export function loginLockout(ip, username) {
+  const now = Date.now();
+  const waits = Object.values(lockoutKeys(ip, username)).map((key) => {
+    const entry = loginFailures.get(key);
+    return entry && entry.lockedUntil > now ? Math.ceil((entry.lockedUntil - now) / 1000) : 0;
+  });
+  return Math.max(...waits);
+}
+
+/**
+ * Record a failed login. Returns seconds of lockout it caused (0 — ещё без блокировки).
+ */
+export function recordLoginFailure(ip, username) {
+  const now = Date.now();
+  let lockSeconds = 0;
+  for (const [kind, key] of Object.entries(lockoutKeys(ip, username))) {
+    const { threshold, baseSeconds, maxSeconds } = LOCKOUTS[kind];
+    const entry = loginFailures.get(key) || { failures: 0, lockedUntil: 0, lastFailureAt: 0 };
+    entry.failures++;
+    entry.lastFailureAt = now;
+    if (entry.failures >= threshold) {
+      const seconds = Math.min(baseSeconds * 2 ** (entry.failures - threshold), maxSeconds);
+      entry.lockedUntil = now + seconds * 1000;
+      lockSeconds = Math.max(lockSeconds, seconds);
+    }
+    loginFailures.set(key, entry);
+  }
+  return lockSeconds;
+}
+
+export function recordLoginSuccess(ip, username) {
+  Object.values(lockoutKeys(ip, username)).forEach((key) => loginFailures.delete(key));
+}
+
+// устаревшие окна и счётчики неудач убираются раз в минуту, чтобы память не росла
+setInterval(() => {
+  const now = Date.now();
+  Object.values(limits).forEach((limiter) => limiter.sweep(now));
+  for (const [key, entry] of loginFailures)
+    if (entry.lockedUntil <= now && now - entry.lastFailureAt > FAILURES_TTL_MS) loginFailures.delete(key);
+}, 60 * 1000).unref();
@@ -0,0 +1,122 @@
+import cronParser from "cron-parser";
+import rrulePkg from "rrule";
+import { DEFAULT_TIMEZONE, toWallClock, fromWallClock } from "./timezone.js";
+
+const { rrulestr } = rrulePkg;
+
+// Время в правилах и слотах — местное время пользователя (timezone, см. timezone.js): «ежедневно в 09:00»
+// остаётся 09:00 и после перехода на летнее время. Правила считаются по wall-clock датам,
+// результат — момент в UTC, как scheduledAt.
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function scheduleError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function timeToCron(time) {
+  const match = TIME_RE.exec(time || "");
+  if (!match) throw scheduleError("time должен быть в формате HH:MM");
+  return `${Number(match[2])} ${Number(match[1])}`;
+}
+
+/**
+ * Validate a recurrence rule from request body and bring it to the stored form:
+ * - { type: "daily", time: "09:00" }
+ * - { type: "weekdays", time: "09:00" }        (пн–пт)
+ * - { type: "cron", expression: "0 9 * * 1,3,5" }
+ * - { type: "rrule", rule: "FREQ=WEEKLY;BYDAY=MO;BYHOUR=9;BYMINUTE=0" }
+ * Для RRULE без DTSTART подставляется текущая минута, чтобы время не «плыло» по секундам;
+ * DTSTART, как и BYHOUR/BYMINUTE, — местное время в timezone.
+ */
+export function normalizeRecurrence(input, timezone = DEFAULT_TIMEZONE) {
+  if (!input || typeof input !== "object")
+    throw scheduleError("recurrence должен быть объектом");
+
+  switch (input.type) {
+    case "daily":
+    case "weekdays":
+      timeToCron(input.time);
+      return { type: input.type, time: input.time };
+    case "cron":
+      try {
+        cronParser.parseExpression(String(input.expression || ""), { utc: true });
+      } catch (e) {
+        throw scheduleError(`Некорректное cron-выражение: ${e.message}`);
+      }
+      return { type: "cron", expression: String(input.expression).trim() };
+    case "rrule": {
+      const dtstart = toWallClock(new Date(), timezone);
+      dtstart.setUTCSeconds(0, 0);
+      let rule;
+      try {
+        rule = rrulestr(String(input.rule || "").trim(), { dtstart });
+      } catch (e) {
+        throw scheduleError(`Некорректное RRULE: ${e.message}`);
+      }
+      return { type: "rrule", rule: rule.toString() };
+    }
+    default:
+      throw scheduleError("type должен быть одним из: daily, weekdays, cron, rrule");
+  }
+}
+
+/**
+ * Next occurrence of a (normalized) recurrence strictly after `after`, по местному времени в timezone.
+ * Returns Date or null when the rule has no more runs.
+ */
+export function nextRecurrence(recurrence, after = new Date(), timezone = DEFAULT_TIMEZONE) {
+  const wallAfter = toWallClock(after, timezone);
+  let wall;
+  if (recurrence.type === "rrule") {
+    wall = rrulestr(recurrence.rule).after(wallAfter);
+  } else {
+    const expression =
+      recurrence.type === "daily" ? `${timeToCron(recurrence.time)} * * *`
+      : recurrence.type === "weekdays" ? `${timeToCron(recurrence.time)} * * 1-5`
+      : recurrence.expression;
+    try {
+      wall = cronParser.parseExpression(expression, { utc: true, currentDate: wallAfter }).next().toDate();
+    } catch {
+      return null;
+    }
+  }
+  return wall ? fromWallClock(wall, timezone) : null;
+}
+
+/**
+ * Validate a weekly publishing slot: weekday 0–6 (0 — воскресенье), time HH:MM.
+ */
+export function normalizeSlot({ weekday, time } = {}) {
+  const day = Number(weekday);
+  if (!Number.isInteger(day) || day < 0 || day > 6)
+    throw scheduleError("weekday должен быть числом от 0 (вс) до 6 (сб)");
+  timeToCron(time);
+  return { weekday: day, time };
+}
+
+/**
+ * Generator of slot occurrences (Date) strictly after `after`, in chronological order.
+ * День недели и время слота — местные в timezone.
+ */
+export function* slotOccurrences(slots, after = new Date(), timezone = DEFAULT_TIMEZONE) {
+  if (!slots.length) return;
+
+  const wallAfter = toWallClock(after, timezone);
+  const day = new Date(Date.UTC(wallAfter.getUTCFullYear(), wallAfter.getUTCMonth(), wallAfter.getUTCDate()));
+  for (;;) {
+    const times = slots
+      .filter((s) => s.weekday === day.getUTCDay())
+      .map((s) => {
+        const [h, m] = s.time.split(":").map(Number);
+        return fromWallClock(day.getTime() + (h * 60 + m) * 60 * 1000, timezone);
+      })
+      .sort((a, b) => a - b);
+
+    for (const t of times) {
+      if (t > after) yield t;
+    }
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+}
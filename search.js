@@ -0,0 +1,126 @@
+// Параметры списка постов: фильтры, сортировка, постраничный вывод и полнотекстовый поиск (FTS5).
+
+// draft — без даты публикации, scheduled — ждёт отправки по времени, sent — отправлен, failed — доставка не удалась
+export const POST_STATUSES = ["draft", "scheduled", "sent", "failed"];
+
+// "-" — по убыванию; relevance — только вместе с q (по умолчанию при поиске)
+export const POST_SORTS = ["scheduledAt", "-scheduledAt", "id", "-id", "title", "-title", "relevance"];
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+// границы совпадений в highlight/snippet: управляющие символы не встречаются в тексте постов,
+// поэтому текст можно безопасно экранировать и только потом заменить их на <mark>
+const MATCH_START = "\u0002";
+const MATCH_END = "\u0003";
+export const FTS_MARKERS = [MATCH_START, MATCH_END];
+
+function queryError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw queryError(`${name} должен быть датой в формате ISO 8601`);
+  return date.toISOString();
+}
+
+function parseBoolean(value, name) {
+  if (value === "true" || value === "1") return true;
+  if (value === "false" || value === "0") return false;
+  throw queryError(`${name} должен быть true или false`);
+}
+
+/**
+ * FTS5 query from user input: каждое слово — префиксный поиск, все слова обязательны.
+ * Операторы FTS5 и кавычки из ввода не попадают в запрос. Returns string or null (слов нет)
+ */
+export function ftsQuery(text) {
+  const words = String(text).match(/[\p{L}\p{N}_]+/gu);
+  return words ? words.map((word) => `"${word}"*`).join(" ") : null;
+}
+
+/**
+ * Validate list query params (?status=draft,scheduled&from&to&hasMedia&q&sort&limit&offset).
+ * Бросает ошибку с status 400.
+ * Returns { statuses, from, to, hasMedia, search, sort, limit, offset }
+ */
+export function normalizePostQuery(query = {}) {
+  const statuses = query.status
+    ? [...new Set(String(query.status).split(",").map((s) => s.trim()).filter(Boolean))]
+    : null;
+  if (statuses?.some((s) => !POST_STATUSES.includes(s)))
+    throw queryError(`status должен быть списком из: ${POST_STATUSES.join(", ")}`);
+
+  const from = query.from ? parseDate(query.from, "from") : null;
+  const to = query.to ? parseDate(query.to, "to") : null;
+  if (from && to && from > to) throw queryError("from должен быть не позже to");
+
+  const hasMedia = query.hasMedia === undefined || query.hasMedia === "" ? null : parseBoolean(query.hasMedia, "hasMedia");
+
+  let search = null;
+  if (query.q !== undefined && String(query.q).trim()) {
+    search = ftsQuery(query.q);
+    if (!search) throw queryError("q должен содержать хотя бы одно слово");
+  }
+
+  const sort = query.sort || (search ? "relevance" : "scheduledAt");
+  if (!POST_SORTS.includes(sort)) throw queryError(`sort должен быть одним из: ${POST_SORTS.join(", ")}`);
+  if (sort === "relevance" && !search) throw queryError("sort=relevance доступен только вместе с q");
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+
+  return { statuses, from, to, hasMedia, search, sort, limit, offset };
+}
+
+function parseId(value, name) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) throw queryError(`${name} должен быть id`);
+  return id;
+}
+
+/**
+ * Validate publishing history query params (?postId&channelId&chat&from&to&q&includeDeleted&limit&offset).
+ * channelId — id канала или default (канал по умолчанию из настроек). Бросает ошибку с status 400.
+ * Returns { postId, channelId, chat, from, to, text, includeDeleted, limit, offset }
+ */
+export function normalizeHistoryQuery(query = {}) {
+  const postId = query.postId !== undefined ? parseId(query.postId, "postId") : null;
+  const channelId = query.channelId === undefined ? null
+    : query.channelId === "default" ? "default"
+    : parseId(query.channelId, "channelId");
+
+  const from = query.from ? parseDate(query.from, "from") : null;
+  const to = query.to ? parseDate(query.to, "to") : null;
+  if (from && to && from > to) throw queryError("from должен быть не позже to");
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+
+  return {
+    postId,
+    channelId,
+    chat: query.chat ? String(query.chat) : null,
+    from,
+    to,
+    text: query.q ? String(query.q) : null,
+    includeDeleted: query.includeDeleted === "true",
+    limit,
+    offset,
+  };
+}
+
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+/**
+ * Render FTS5 highlight/snippet output as HTML-safe text with <mark>…</mark> around matches.
+ */
+export function renderMatch(text) {
+  if (text === null || text === undefined) return null;
+  return escapeHtml(String(text)).split(MATCH_START).join("<mark>").split(MATCH_END).join("</mark>");
+}
@@ -7,12 +7,18 @@ import YAML from "yamljs";
 import path from "path";
 import { fileURLToPath } from "url";
 
+import { db, openDatabase } from "./db.js";
+import { reencryptTokens } from "./bots.js";
 import usersRouter from "./users.js";
 import postsRouter, { attachEvents as attachPostsEvents } from "./posts.js";
 
 dotenv.config();
 
 const app = express();
+// за прокси (Render, nginx) IP клиента берётся из X-Forwarded-For — нужно для лимитов по IP
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
 app.use(cors());
 app.use(express.json());
 
@@ -31,7 +37,16 @@ app.use("/api/posts", postsRouter);
 const PORT = process.env.PORT || 4000;
 const server = http.createServer(app);
 
-attachPostsEvents(server);
+// запросы принимаются только после миграций базы
+try {
+  await openDatabase();
+  // токены ботов: открытые шифруются, зашифрованные прежним ключом — перешифровываются текущим
+  await reencryptTokens(db);
+  await attachPostsEvents(server);
+} catch (err) {
+  console.error("❌ Не удалось подготовить базу данных:", err);
+  process.exit(1);
+}
 
 server.listen(PORT, () =>
   console.log(`🚀 Server running on http://localhost:${PORT}\n📘 Swagger UI: http://localhost:${PORT}/api-docs`)
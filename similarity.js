@@ -0,0 +1,92 @@
+// Поиск дублей и почти-дублей постов — локально, без внешних сервисов.
+//
+// Текст (заголовок + описание) нормализуется: нижний регистр, ё -> е, без разметки, ссылок и знаков
+// препинания. Каждое слово укорачивается до STEM_LENGTH букв — грубая основа, одинаковая у разных форм
+// слова («ставку», «ставки» -> «ставк»). Сходство двух постов — косинусная мера их множеств основ
+// (общие основы / √(произведение размеров), 0…1): в отличие от Жаккара она не топит короткий пост рядом
+// с длинным. Пересказ той же новости другими словами набирает 0.6–0.7, посты на разные темы — меньше 0.3.
+
+export const DEFAULT_DUPLICATE_THRESHOLD = 0.6;
+// опубликованные посты сравниваются за последние DUPLICATE_WINDOW_DAYS дней
+export const DUPLICATE_WINDOW_DAYS = Number(process.env.DUPLICATE_WINDOW_DAYS) || 30;
+// в ответе — не больше стольких похожих постов, самые похожие первыми
+export const MAX_DUPLICATES = 5;
+
+const STEM_LENGTH = 5;
+
+function similarityError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Normalized text of a post for comparison (title и description).
+ */
+export function normalizeText({ title, description } = {}) {
+  return `${title ?? ""} ${description ?? ""}`
+    .toLowerCase()
+    .replace(/ё/g, "е")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/https?:\/\/\S+/g, " ")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Set of word stems of a post. Короткие слова (предлоги, союзы) пропускаются, числа — нет.
+ */
+export function fingerprint(post) {
+  return new Set(
+    normalizeText(post)
+      .split(" ")
+      .filter((word) => word.length > 2 || /\d/.test(word))
+      .map((word) => word.slice(0, STEM_LENGTH))
+  );
+}
+
+/**
+ * Cosine similarity of two fingerprints (0…1).
+ */
+export function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let common = 0;
+  for (const stem of small) if (large.has(stem)) common++;
+  return common / Math.sqrt(a.size * b.size);
+}
+
+/**
+ * Posts similar to the candidate ({ title, description }) among posts (строки posts).
+ * Returns [{ postId, score, title, status }] — score не ниже threshold, самые похожие первыми
+ */
+export function findDuplicates(candidate, posts, threshold = DEFAULT_DUPLICATE_THRESHOLD) {
+  const own = fingerprint(candidate);
+  return posts
+    .map((post) => ({ post, score: similarity(own, fingerprint(post)) }))
+    .filter(({ score }) => score >= threshold)
+    .sort((a, b) => b.score - a.score || b.post.id - a.post.id)
+    .slice(0, MAX_DUPLICATES)
+    .map(({ post, score }) => ({
+      postId: post.id,
+      score: Math.round(score * 1000) / 1000,
+      title: post.title,
+      status: post.status,
+    }));
+}
+
+/**
+ * Validate duplicate_threshold from settings: число от 0.3 до 1. Бросает ошибку с status 400.
+ */
+export function normalizeThreshold(value) {
+  const threshold = Number(value);
+  if (!(threshold >= 0.3 && threshold <= 1)) throw similarityError("duplicate_threshold должен быть числом от 0.3 до 1");
+  return threshold;
+}
+
+/**
+ * Error text for a blocked near-duplicate (настройка block_duplicates).
+ */
+export function duplicateMessage([closest]) {
+  return `Похожий пост уже есть: #${closest.postId} «${closest.title}» (сходство ${closest.score})`;
+}
@@ -0,0 +1,93 @@
+// Примеры стиля канала (use_own_posts): отбор представительных постов пользователя для few-shot.
+
+export const STYLE_TOKEN_BUDGET = Number(process.env.STYLE_EXAMPLES_TOKEN_BUDGET) || 1500;
+export const MAX_STYLE_EXAMPLES = 5;
+
+const EMOJI_RE = /\p{Extended_Pictographic}/gu;
+const HASHTAG_RE = /(^|\s)#[\p{L}\d_]+/gu;
+
+// грубая оценка токенов (~4 символа на токен), как у mock-провайдера
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+function exampleText(post) {
+  return `${post.title}\n${post.description || ""}`.trim();
+}
+
+function features(post) {
+  const text = exampleText(post);
+  return {
+    length: text.length,
+    emoji: (text.match(EMOJI_RE) || []).length,
+    hashtags: (text.match(HASHTAG_RE) || []).length,
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Pick representative examples.
+ * - posts: кандидаты [{ id, title, description, example_mode, status }], свежие первыми
+ * - закреплённые (example_mode = 'pinned') идут первыми, исключённые ('excluded') не берутся
+ * - остальные ранжируются по близости к «типичному» посту канала (медианы длины,
+ *   числа эмодзи и хэштегов); опубликованные предпочтительнее черновиков
+ * - суммарный размер ограничен бюджетом токенов
+ * Returns [{ id, title, description, pinned, tokens }]
+ */
+export function selectStyleExamples(posts, { budgetTokens = STYLE_TOKEN_BUDGET, maxExamples = MAX_STYLE_EXAMPLES } = {}) {
+  const candidates = posts.filter((p) => p.example_mode !== "excluded" && p.title && p.description);
+  if (!candidates.length) return [];
+
+  const stats = candidates.map(features);
+  const typical = {
+    length: median(stats.map((f) => f.length)),
+    emoji: median(stats.map((f) => f.emoji)),
+    hashtags: median(stats.map((f) => f.hashtags)),
+  };
+
+  const scored = candidates.map((post, i) => {
+    const f = stats[i];
+    const distance =
+      Math.abs(f.length - typical.length) / Math.max(typical.length, 1) +
+      Math.abs(f.emoji - typical.emoji) / Math.max(typical.emoji, 1) +
+      Math.abs(f.hashtags - typical.hashtags) / Math.max(typical.hashtags, 1) +
+      (post.status === "sent" ? 0 : 0.5);
+    return { post, distance, order: i };
+  });
+
+  const pinned = scored.filter((s) => s.post.example_mode === "pinned");
+  const auto = scored
+    .filter((s) => s.post.example_mode !== "pinned")
+    .sort((a, b) => a.distance - b.distance || a.order - b.order);
+
+  const selected = [];
+  let used = 0;
+  for (const { post } of [...pinned, ...auto]) {
+    if (selected.length >= maxExamples) break;
+    const tokens = estimateTokens(exampleText(post));
+    if (used + tokens > budgetTokens) continue;
+    used += tokens;
+    selected.push({
+      id: post.id,
+      title: post.title,
+      description: post.description,
+      pinned: post.example_mode === "pinned",
+      tokens,
+    });
+  }
+  return selected;
+}
+
+/**
+ * Prompt block with examples; пустая строка, если примеров нет.
+ */
+export function buildStyleBlock(examples = []) {
+  if (!examples.length) return "";
+  const list = examples.map((e, i) => `Пример ${i + 1}:\n${exampleText(e)}`).join("\n\n");
+  return `Примеры постов этого канала — повторяй их тон, длину, манеру использовать эмодзи и хэштеги, но не копируй содержание:\n\n${list}`;
+}
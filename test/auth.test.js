@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { credentials, unauthenticated, generateApiKey, hashToken, normalizeScopes, scopeAllows, API_KEY_PREFIX } from "../auth.js";
+
+const request = ({ headers = {}, body, query } = {}) => ({ headers, body, query });
+
+test("credentials prefer the Bearer header over other sources", () => {
+  assert.equal(credentials(request({ headers: { authorization: "Bearer abc", "x-auth-token": "def" } })), "abc");
+  assert.equal(credentials(request({ headers: { "x-auth-token": "def" } })), "def");
+  assert.equal(credentials(request({ query: { auth_token: "ghi" } })), "ghi");
+  assert.equal(credentials(request()), null);
+});
+
+test("unauthenticated answers 400 without a token and 401 with an unknown one", () => {
+  assert.equal(unauthenticated(request()).status, 400);
+  assert.equal(unauthenticated(request({ headers: { authorization: "Bearer stale" } })).status, 401);
+});
+
+test("generateApiKey returns a prefixed key and its hash", () => {
+  const { key, hash, prefix } = generateApiKey();
+  assert.ok(key.startsWith(API_KEY_PREFIX));
+  assert.ok(key.startsWith(prefix));
+  assert.equal(hash, hashToken(key));
+  assert.notEqual(generateApiKey().key, key);
+});
+
+test("API key scopes limit permissions; sessions are limited by role only", () => {
+  assert.deepEqual(normalizeScopes(["posts:read", "posts:read"]), ["posts:read"]);
+  assert.throws(() => normalizeScopes([]), { status: 400 });
+  assert.throws(() => normalizeScopes(["admin"]), { status: 400 });
+
+  const key = { scopes: ["posts:read", "generate"] };
+  assert.ok(scopeAllows(key, "read"));
+  assert.ok(scopeAllows(key, "generate"));
+  assert.equal(scopeAllows(key, "edit"), false);
+  assert.equal(scopeAllows(key, "manage"), false);
+  assert.equal(scopeAllows({ scopes: null }, "manage"), true);
+});
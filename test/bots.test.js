@@ -0,0 +1,51 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import TelegramBot from "node-telegram-bot-api";
+
+// ключи читаются при загрузке модуля
+process.env.TOKEN_ENCRYPTION_KEY = "test-key";
+const { encryptToken, decryptToken, maskToken, isMaskedToken, verifyBot } = await import("../bots.js");
+
+const original = {};
+for (const method of ["getMe", "getChat", "getChatMember"]) original[method] = TelegramBot.prototype[method];
+after(() => Object.assign(TelegramBot.prototype, original));
+
+test("tokens are encrypted, decrypted and masked", () => {
+  const token = "123456:AAbbCCddEEffGGhh";
+  const stored = encryptToken(token);
+  assert.ok(stored.startsWith("enc:"));
+  assert.notEqual(encryptToken(token), stored);
+  assert.equal(decryptToken(stored), token);
+  assert.equal(decryptToken(token), token); // старые записи открытым текстом
+  assert.equal(maskToken(stored), "123456:…GGhh");
+  assert.ok(isMaskedToken(maskToken(stored)));
+  assert.throws(() => decryptToken(stored.replace(/^enc:[^:]+/, "enc:00000000")));
+});
+
+test("verifyBot requires the bot to be an admin that can post", async () => {
+  TelegramBot.prototype.getMe = async () => ({ id: 1, username: "apbot" });
+  TelegramBot.prototype.getChat = async () => ({ id: -100, title: "Канал", type: "channel" });
+  TelegramBot.prototype.getChatMember = async () => ({ status: "administrator", can_post_messages: true });
+  assert.deepEqual(await verifyBot("1:A", "@c"), {
+    bot: { id: 1, username: "apbot" },
+    chat: { id: -100, title: "Канал", username: null, type: "channel" },
+    status: "administrator",
+  });
+
+  TelegramBot.prototype.getChatMember = async () => ({ status: "administrator", can_post_messages: false });
+  await assert.rejects(verifyBot("1:A", "@c"), { status: 400 });
+});
+
+test("verifyBot turns Telegram failures into status 400", async () => {
+  TelegramBot.prototype.getMe = async () => ({ id: 1, username: "apbot" });
+  TelegramBot.prototype.getChat = async () => ({ id: -100, type: "channel" });
+  TelegramBot.prototype.getChatMember = async () => {
+    throw new Error("ETELEGRAM: 400 Bad Request: member list is inaccessible");
+  };
+  await assert.rejects(verifyBot("1:A", "@c"), { status: 400, message: /member list is inaccessible/ });
+
+  TelegramBot.prototype.getChat = async () => {
+    throw new Error("ETELEGRAM: 400 Bad Request: chat not found");
+  };
+  await assert.rejects(verifyBot("1:A", "@c"), { status: 400, message: /chat not found/ });
+});
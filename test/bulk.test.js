@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import AdmZip from "adm-zip";
+import { parseCsv, toCsv, detectFormat, readImport, validateImport, buildExport, parseOffset, normalizeBulkAction } from "../bulk.js";
+
+const now = new Date("2030-01-01T00:00:00Z");
+
+// заявленный в заголовках zip размер записей заменяется на size (архив-бомба «притворяется» маленьким)
+function withDeclaredSize(buffer, size) {
+  for (let i = 0; i < buffer.length - 4; i++) {
+    const signature = buffer.readUInt32LE(i);
+    if (signature === 0x04034b50) buffer.writeUInt32LE(size, i + 22);
+    if (signature === 0x02014b50) buffer.writeUInt32LE(size, i + 24);
+  }
+  return buffer;
+}
+
+test("parseCsv handles BOM, quotes and the semicolon delimiter", () => {
+  assert.deepEqual(parseCsv('﻿title,description\r\n"А, б","строка 1\nстрока 2 ""цитата"""\r\n\r\n'), [
+    ["title", "description"],
+    ["А, б", 'строка 1\nстрока 2 "цитата"'],
+  ]);
+  assert.deepEqual(parseCsv("title;scheduledAt\nПост;2030-01-05 10:00"), [["title", "scheduledAt"], ["Пост", "2030-01-05 10:00"]]);
+  assert.throws(() => parseCsv('title\n"без конца'), { status: 400 });
+  assert.deepEqual(parseCsv(toCsv([["a;b", 'c"d']])), [["a;b", 'c"d']]);
+});
+
+test("detectFormat uses the explicit format, then the extension, then the MIME type", () => {
+  assert.equal(detectFormat("json", "posts.csv"), "json");
+  assert.equal(detectFormat(undefined, "Posts.CSV"), "csv");
+  assert.equal(detectFormat(undefined, "upload", "application/x-zip-compressed"), "zip");
+  assert.throws(() => detectFormat("xml"), { status: 400 });
+  assert.throws(() => detectFormat(undefined, "posts.txt", "text/plain"), { status: 400 });
+});
+
+test("validateImport reports per-record errors and reads times in the user's timezone", () => {
+  const records = readImport(
+    Buffer.from("title,scheduledAt,image,description\nАнонс,2030-01-05 10:00,,\n,,,текст\nСтарый,2020-01-01T00:00:00Z,,\nКартинка,,ftp://x/a.png,\n"),
+    "csv"
+  );
+  const { total, valid, invalid, items } = validateImport(records, { timezone: "Europe/Moscow", now });
+  assert.deepEqual([total, valid, invalid], [4, 2, 2]);
+  assert.equal(items[0].scheduledAt, "2030-01-05T07:00:00.000Z");
+  assert.equal(items[0].scheduledAtLocal, "2030-01-05T10:00:00+03:00");
+  assert.deepEqual(items[1].errors, ["title обязателен"]);
+  assert.equal(items[3].errors.length, 1);
+  // прошедшее время — не ошибка: пост станет черновиком
+  assert.deepEqual([items[2].errors, items[2].scheduledAt], [[], null]);
+  assert.deepEqual(items[2].warnings, ["scheduledAt уже прошло — пост импортируется черновиком"]);
+});
+
+test("exported posts import back, sent ones as drafts", () => {
+  const posts = [
+    { id: 1, title: "Отправлен", scheduledAt: "2029-12-01T10:00:00.000Z", status: "sent", sentAt: "2029-12-01T10:00:01.000Z" },
+    { id: 2, title: "Вручную", scheduledAt: null, status: "sent", sentAt: "2029-12-02T08:00:00.000Z" },
+    { id: 3, title: "В очереди", scheduledAt: "2030-02-01T10:00:00.000Z", status: "pending" },
+  ];
+  for (const format of ["csv", "json", "zip"]) {
+    const { body } = buildExport(posts, format);
+    const { valid, items } = validateImport(readImport(Buffer.from(body), format), { now });
+    assert.equal(valid, 3, format);
+    assert.deepEqual(items.map((i) => i.scheduledAt), [null, null, "2030-02-01T10:00:00.000Z"], format);
+    assert.deepEqual(items.map((i) => i.warnings.length), [1, 1, 0], format);
+  }
+});
+
+test("CSV export escapes values a spreadsheet would run as formulas", () => {
+  const posts = [{ id: 1, title: "=HYPERLINK(\"http://evil\")", description: "-1+2", url: "@SUM(A1)", scheduledAt: null }];
+  const { body } = buildExport(posts, "csv");
+  const [, row] = parseCsv(body);
+  assert.deepEqual(row.slice(1, 4), ["'=HYPERLINK(\"http://evil\")", "'-1+2", "'@SUM(A1)"]);
+  assert.equal(toCsv([["+7 999", "обычный"]]), "'+7 999,обычный\r\n");
+
+  // импорт убирает апостроф — текст возвращается как был
+  const [record] = readImport(Buffer.from(body), "csv");
+  assert.deepEqual([record.title, record.description, record.image], ['=HYPERLINK("http://evil")', "-1+2", "@SUM(A1)"]);
+});
+
+test("zip export round-trips through import with images from the archive", () => {
+  const posts = [{ id: 7, title: "Пост", description: "Текст", url: "/uploads/cover.png", scheduledAt: "2030-01-05T10:00:00.000Z" }];
+  const { body } = buildExport(posts, "zip", { readUpload: () => Buffer.from("png") });
+  const [record] = readImport(body, "zip");
+  assert.equal(record.title, "Пост");
+  assert.equal(record.description, "Текст");
+  assert.equal(record.file.mimetype, "image/png");
+  assert.equal(record.file.data.toString(), "png");
+});
+
+test("zip import limits the bytes actually unpacked, not the declared size", () => {
+  const zip = new AdmZip();
+  zip.addFile("post.md", Buffer.alloc(100 * 1024 * 1024 + 1, "a"));
+  const bomb = withDeclaredSize(zip.toBuffer(), 0);
+  assert.throws(() => readImport(bomb, "zip"), { status: 400, message: /слишком большой/ });
+});
+
+test("parseOffset and normalizeBulkAction validate bulk actions", () => {
+  assert.equal(parseOffset("90m"), 5400);
+  assert.equal(parseOffset("-2h"), -7200);
+  assert.equal(parseOffset(30), 30);
+  assert.throws(() => parseOffset("0h"), { status: 400 });
+  assert.throws(() => parseOffset("1w"), { status: 400 });
+
+  assert.deepEqual(normalizeBulkAction({ action: "shift", ids: [3, "3", 4], offset: "1d" }), {
+    action: "shift",
+    ids: [3, 4],
+    scheduledAt: null,
+    offset: 86400,
+  });
+  assert.throws(() => normalizeBulkAction({ action: "archive", ids: [1] }), { status: 400 });
+  assert.throws(() => normalizeBulkAction({ action: "delete", ids: [0] }), { status: 400 });
+  assert.throws(() => normalizeBulkAction({ action: "schedule", ids: [1], scheduledAt: "2000-01-01T00:00:00Z" }), { status: 400 });
+});
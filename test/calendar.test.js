@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeCalendarQuery, expandOccurrences, buildCalendar, toICalendar, generateFeedToken, FEED_TOKEN_PREFIX } from "../calendar.js";
+
+const now = new Date("2030-01-01T12:00:00Z");
+
+test("normalizeCalendarQuery turns inclusive days into a half-open range", () => {
+  const { from, to, groupBy } = normalizeCalendarQuery({ from: "2030-01-06", to: "2030-01-12", groupBy: "week" }, now);
+  assert.equal(from.toISOString(), "2030-01-06T00:00:00.000Z");
+  assert.equal(to.toISOString(), "2030-01-13T00:00:00.000Z");
+  assert.equal(groupBy, "week");
+  assert.equal(normalizeCalendarQuery({}, now).to.toISOString(), "2030-02-01T00:00:00.000Z");
+  for (const query of [{ groupBy: "year" }, { from: "2030-02-01", to: "2030-01-01" }, { from: "вчера" }, { from: "2030-01-01", to: "2031-06-01" }])
+    assert.throws(() => normalizeCalendarQuery(query, now), { status: 400 });
+});
+
+test("expandOccurrences repeats recurring posts inside the range", () => {
+  const posts = [
+    { id: 1, at: "2030-01-02T09:00:00Z", recurrence: { type: "daily", time: "09:00" } },
+    { id: 2, at: "2030-01-03T10:00:00Z" },
+    { id: 3, at: "2030-02-01T10:00:00Z" },
+  ];
+  const entries = expandOccurrences(posts, new Date("2030-01-02T00:00:00Z"), new Date("2030-01-05T00:00:00Z"));
+  assert.deepEqual(
+    entries.map((e) => [e.post.id, e.at.toISOString(), e.recurring]),
+    [
+      [1, "2030-01-02T09:00:00.000Z", false],
+      [1, "2030-01-03T09:00:00.000Z", true],
+      [2, "2030-01-03T10:00:00.000Z", false],
+      [1, "2030-01-04T09:00:00.000Z", true],
+    ]
+  );
+});
+
+test("buildCalendar groups entries, counts days and finds empty stretches", () => {
+  const range = normalizeCalendarQuery({ from: "2030-01-01", to: "2030-01-10", groupBy: "week" }, now);
+  const entries = [{ post: { id: 1 }, at: new Date("2030-01-02T09:00:00Z") }, { post: { id: 2 }, at: new Date("2030-01-08T23:30:00Z") }];
+  const { groups, days, gaps } = buildCalendar(entries, range, (entry) => entry.post.id);
+
+  // 2030-01-01 — вторник: первая неделя обрезана по началу диапазона
+  assert.deepEqual(
+    groups.map((g) => [g.key, g.start, g.end, g.items]),
+    [
+      ["2029-12-31", "2030-01-01", "2030-01-06", [1]],
+      ["2030-01-07", "2030-01-07", "2030-01-10", [2]],
+    ]
+  );
+  assert.equal(days.length, 10);
+  assert.deepEqual(gaps, [
+    { from: "2030-01-01", to: "2030-01-01", days: 1 },
+    { from: "2030-01-03", to: "2030-01-07", days: 5 },
+    { from: "2030-01-09", to: "2030-01-10", days: 2 },
+  ]);
+});
+
+test("toICalendar escapes text, folds long lines and gives recurring runs their own UID", () => {
+  const post = { id: 5, title: "Итоги; дня, часть 1", description: "строка\nвторая " + "х".repeat(60), recurrence: { type: "daily", time: "09:00" } };
+  const ics = toICalendar([{ post, at: new Date("2030-01-02T09:00:00Z") }], { name: "Канал", now });
+  assert.match(ics, /\r\nUID:post-5-20300102T090000Z@apgram\r\n/);
+  assert.match(ics, /\r\nDTSTART:20300102T090000Z\r\nDTEND:20300102T091500Z\r\n/);
+  assert.ok(ics.includes("\r\nSUMMARY:Итоги\\; дня\\, часть 1\r\n"));
+  assert.ok(ics.split("\r\n").every((line) => Buffer.byteLength(line) <= 75));
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+});
+
+test("feed tokens carry the prefix", () => {
+  const { token, prefix } = generateFeedToken();
+  assert.ok(token.startsWith(prefix) && prefix.startsWith(FEED_TOKEN_PREFIX));
+});
+
+test("calendar days follow the user's timezone", () => {
+  const range = normalizeCalendarQuery({ from: "2030-01-01", to: "2030-01-02" }, now, "Europe/Moscow");
+  assert.equal(range.from.toISOString(), "2029-12-31T21:00:00.000Z");
+  assert.equal(range.to.toISOString(), "2030-01-02T21:00:00.000Z");
+  // сегодня по умолчанию — по местной дате: 23:30 UTC 1 января — уже 2 января в Москве
+  assert.equal(normalizeCalendarQuery({}, new Date("2030-01-01T23:30:00Z"), "Europe/Moscow").from.toISOString(), "2030-01-01T21:00:00.000Z");
+
+  const entries = [{ post: { id: 1 }, at: new Date("2029-12-31T22:00:00Z") }, { post: { id: 2 }, at: new Date("2030-01-01T22:30:00Z") }];
+  const { groups, days, gaps } = buildCalendar(entries, range, (entry) => entry.post.id);
+  assert.deepEqual(groups.map((g) => [g.key, g.items]), [["2030-01-01", [1]], ["2030-01-02", [2]]]);
+  assert.deepEqual(days, [{ date: "2030-01-01", count: 1 }, { date: "2030-01-02", count: 1 }]);
+  assert.deepEqual(gaps, []);
+});
+
+test("calendar months and DST days keep local boundaries", () => {
+  const range = normalizeCalendarQuery({ from: "2030-03-30", to: "2030-04-01", groupBy: "month" }, now, "Europe/Berlin");
+  // после перехода на летнее время 31 марта: 2 апреля по Берлину начинается в 22:00 UTC
+  assert.equal(range.to.toISOString(), "2030-04-01T22:00:00.000Z");
+  const entries = [{ post: { id: 1 }, at: new Date("2030-03-31T22:30:00Z") }];
+  const { groups, days } = buildCalendar(entries, range, (entry) => entry.post.id);
+  assert.deepEqual(groups.map((g) => [g.key, g.start, g.end, g.count]), [["2030-03", "2030-03-30", "2030-03-31", 0], ["2030-04", "2030-04-01", "2030-04-01", 1]]);
+  assert.deepEqual(days.map((d) => d.date), ["2030-03-30", "2030-03-31", "2030-04-01"]);
+
+  const daily = [{ id: 3, at: "2030-03-30T08:00:00Z", recurrence: { type: "daily", time: "09:00" } }];
+  assert.deepEqual(
+    expandOccurrences(daily, range.from, range.to, "Europe/Berlin").map((e) => e.at.toISOString()),
+    ["2030-03-30T08:00:00.000Z", "2030-03-31T07:00:00.000Z", "2030-04-01T07:00:00.000Z"]
+  );
+});
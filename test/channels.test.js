@@ -0,0 +1,129 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApp, telegramError } from "./harness.js";
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+async function addChannel(owner, fields) {
+  const { status, body } = await app.request("POST", `/users/channels/${owner.userId}`, { token: owner.token, body: fields });
+  assert.equal(status, 200, body.error);
+  return body.id;
+}
+
+async function createPost(owner, fields) {
+  const { status, body } = await app.request("POST", "/posts", { token: owner.token, body: { userId: owner.userId, ...fields } });
+  assert.equal(status, 200, body.error);
+  return body.id;
+}
+
+const getPost = async (owner, id) => (await app.request("GET", `/posts/${id}`, { token: owner.token })).body;
+const sentTo = (from) => app.telegram.calls.slice(from).filter((c) => c.method === "sendMessage").map((c) => `${c.token} ${c.chat_id}`);
+
+test("channels CRUD checks the bot and masks tokens", async () => {
+  const owner = await app.register();
+  const stranger = await app.register();
+
+  const id = await addChannel(owner, { title: "Новости", telegram_token: "111:NEWSTOKEN", channel_id: "@news" });
+  let { body } = await app.request("GET", `/users/channels/${owner.userId}`, { token: owner.token });
+  assert.deepEqual(body.channels.map((c) => [c.id, c.title, c.channel_id, c.telegram_token]), [[id, "Новости", "@news", "111:…OKEN"]]);
+
+  assert.equal((await app.request("PUT", `/users/channels/${owner.userId}/${id}`, { token: owner.token, body: { title: "Главное" } })).status, 200);
+  ({ body } = await app.request("GET", `/users/channels/${owner.userId}`, { token: owner.token }));
+  assert.equal(body.channels[0].title, "Главное");
+
+  // чужое пространство и бот без права публикации
+  assert.equal((await app.request("GET", `/users/channels/${owner.userId}`, { token: stranger.token })).status, 403);
+  app.telegram.reply = ({ method }) => (method === "getChatMember" ? { status: "member" } : undefined);
+  const rejected = await app.request("POST", `/users/channels/${owner.userId}`, {
+    token: owner.token,
+    body: { telegram_token: "222:NOPOST", channel_id: "@other" },
+  });
+  app.telegram.reply = null;
+  assert.equal(rejected.status, 400);
+
+  // каналы другого пользователя в channel_ids не принимаются
+  const foreign = await app.request("POST", "/posts", { token: stranger.token, body: { userId: stranger.userId, title: "x", channel_ids: [id] } });
+  assert.equal(foreign.status, 400);
+
+  assert.equal((await app.request("DELETE", `/users/channels/${owner.userId}/${id}`, { token: owner.token })).status, 200);
+  assert.equal((await app.request("DELETE", `/users/channels/${owner.userId}/${id}`, { token: owner.token })).status, 404);
+});
+
+test("a post goes to every selected channel and each delivery is archived", async () => {
+  const owner = await app.register();
+  const first = await addChannel(owner, { title: "Первый", telegram_token: "301:FIRST", channel_id: "@first" });
+  const second = await addChannel(owner, { title: "Второй", telegram_token: "302:SECOND", channel_id: "@second" });
+  const id = await createPost(owner, { title: "Два канала", description: "текст", channel_ids: [first, second] });
+
+  const from = app.telegram.calls.length;
+  const { status, body } = await app.request("POST", `/posts/sendPost/${id}`, { token: owner.token });
+  assert.equal(status, 200);
+  assert.deepEqual(sentTo(from), ["301:FIRST @first", "302:SECOND @second"]);
+  assert.deepEqual(body.results.map((r) => [r.channelId, r.chat, r.success]), [[first, "@first", true], [second, "@second", true]]);
+  assert.equal((await getPost(owner, id)).status, "sent");
+
+  const history = (await app.request("GET", `/posts/history/${owner.userId}?postId=${id}`, { token: owner.token })).body;
+  assert.deepEqual(history.items.map((m) => [m.channel_ref, m.channel_title, m.chat]).sort(), [
+    [first, "Первый", "@first"],
+    [second, "Второй", "@second"],
+  ]);
+});
+
+test("without channel_ids the default channel from the settings is used", async () => {
+  const owner = await app.register();
+  const id = await createPost(owner, { title: "По умолчанию" });
+  const from = app.telegram.calls.length;
+  assert.equal((await app.request("POST", `/posts/sendPost/${id}`, { token: owner.token })).status, 200);
+  assert.equal(sentTo(from).length, 1);
+  assert.match(sentTo(from)[0], / @main$/);
+});
+
+test("a partial failure keeps only the failed channels for the next attempt", async () => {
+  const owner = await app.register();
+  const good = await addChannel(owner, { title: "Рабочий", telegram_token: "401:GOOD", channel_id: "@good" });
+  const flaky = await addChannel(owner, { title: "Сбойный", telegram_token: "402:FLAKY", channel_id: "@flaky" });
+  const id = await createPost(owner, { title: "Частичный сбой", channel_ids: [good, flaky] });
+
+  app.telegram.reply = ({ method, token }) => {
+    if (method === "sendMessage" && token === "402:FLAKY") throw telegramError(502, "Bad Gateway");
+  };
+  let from = app.telegram.calls.length;
+  let { status, body } = await app.request("POST", `/posts/sendPost/${id}`, { token: owner.token });
+  assert.equal(status, 502);
+  assert.match(body.error, /не во все каналы/);
+  assert.deepEqual(body.results.map((r) => [r.channelId, r.success]), [[good, true], [flaky, false]]);
+  assert.match(body.results[1].error, /Bad Gateway/);
+  assert.deepEqual(sentTo(from), ["401:GOOD @good", "402:FLAKY @flaky"]);
+
+  // в посте остался только упавший канал, попытка засчитана, ошибка названа по каналу
+  const post = await getPost(owner, id);
+  assert.deepEqual(post.channel_ids, [flaky]);
+  assert.equal(post.status, "pending");
+  assert.equal(post.attempts, 1);
+  assert.match(post.lastError, /^@flaky: /);
+
+  // повтор уходит только в упавший канал — в рабочий дубль не отправляется
+  app.telegram.reply = null;
+  from = app.telegram.calls.length;
+  ({ status, body } = await app.request("POST", `/posts/sendPost/${id}`, { token: owner.token }));
+  assert.equal(status, 200);
+  assert.deepEqual(sentTo(from), ["402:FLAKY @flaky"]);
+  assert.equal((await getPost(owner, id)).status, "sent");
+});
+
+test("a channel deleted after selection is reported as missing", async () => {
+  const owner = await app.register();
+  const kept = await addChannel(owner, { telegram_token: "501:KEPT", channel_id: "@kept" });
+  const removed = await addChannel(owner, { telegram_token: "502:GONE", channel_id: "@gone" });
+  const id = await createPost(owner, { title: "Удалённый канал", channel_ids: [kept, removed] });
+  await app.request("DELETE", `/users/channels/${owner.userId}/${removed}`, { token: owner.token });
+
+  const { status, body } = await app.request("POST", `/posts/sendPost/${id}`, { token: owner.token });
+  assert.equal(status, 502);
+  assert.deepEqual(body.results.map((r) => [r.channelId, r.success, r.error ?? null]), [[kept, true, null], [removed, false, "Канал не найден"]]);
+  assert.deepEqual((await getPost(owner, id)).channel_ids, [removed]);
+});
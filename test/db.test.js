@@ -0,0 +1,86 @@
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "apgram-db-"));
+process.env.DATABASE_PATH = path.join(dir, "test.db");
+const { openDatabase, transaction } = await import("../db.js");
+const db = await openDatabase();
+
+after(async () => {
+  await db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("writes made while a transaction is open survive its rollback", async () => {
+  await db.run("INSERT INTO users (username, password) VALUES ('owner', 'x')");
+
+  // запрос другого обработчика приходит, пока транзакция открыта
+  const outside = delay(10).then(() => db.run("INSERT INTO posts (user_id, title) VALUES (1, 'останется')"));
+  const failing = transaction(async () => {
+    await db.run("INSERT INTO posts (user_id, title) VALUES (1, 'откатится')");
+    await delay(30);
+    throw new Error("boom");
+  });
+  await assert.rejects(failing, /boom/);
+  await outside;
+
+  const titles = (await db.all("SELECT title FROM posts")).map((p) => p.title);
+  assert.deepEqual(titles, ["останется"]);
+});
+
+test("nested transactions join the outer one", async () => {
+  const id = await transaction(async () => {
+    const { lastID } = await db.run("INSERT INTO posts (user_id, title) VALUES (1, 'внешняя')");
+    await transaction(() => db.run("UPDATE posts SET description = 'вложенная' WHERE id = ?", lastID));
+    return lastID;
+  });
+  assert.equal((await db.get("SELECT description FROM posts WHERE id = ?", id)).description, "вложенная");
+});
+
+test("a transaction can await a query started outside of it", { timeout: 5000 }, async () => {
+  await db.run("INSERT INTO posts (user_id, title) VALUES (1, 'до транзакции')");
+  let outside;
+  const result = await Promise.all([
+    transaction(async () => {
+      await db.run("INSERT INTO posts (user_id, title) VALUES (1, 'в транзакции')");
+      // запрос другого обработчика начат вне контекста транзакции: видит только зафиксированное
+      const { n } = await outside;
+      return n;
+    }),
+    (outside = db.get("SELECT COUNT(*) AS n FROM posts WHERE title IN ('до транзакции', 'в транзакции')")),
+  ]);
+  assert.deepEqual(result, [1, { n: 1 }]);
+  assert.equal((await db.get("SELECT COUNT(*) AS n FROM posts WHERE title = 'в транзакции'")).n, 1);
+});
+
+test("concurrent transactions run one after another", async () => {
+  const { lastID } = await db.run("INSERT INTO posts (user_id, title, description) VALUES (1, 'счётчик', '0')");
+  // чтение и запись разделены ожиданием: без очереди параллельные транзакции потеряли бы приращения
+  const increment = () =>
+    transaction(async () => {
+      const { description } = await db.get("SELECT description FROM posts WHERE id = ?", lastID);
+      await delay(5);
+      await db.run("UPDATE posts SET description = ? WHERE id = ?", [String(Number(description) + 1), lastID]);
+    });
+  await Promise.all(Array.from({ length: 5 }, increment));
+  assert.equal((await db.get("SELECT description FROM posts WHERE id = ?", lastID)).description, "5");
+});
+
+test("a failing nested transaction rolls back the outer one", async () => {
+  await assert.rejects(
+    transaction(async () => {
+      await db.run("INSERT INTO posts (user_id, title) VALUES (1, 'внешняя откатится')");
+      await transaction(async () => {
+        await db.run("INSERT INTO posts (user_id, title) VALUES (1, 'вложенная откатится')");
+        throw new Error("inner");
+      });
+    }),
+    /inner/
+  );
+  assert.equal((await db.get("SELECT COUNT(*) AS n FROM posts WHERE title LIKE '%откатится'")).n, 0);
+});
@@ -0,0 +1,159 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApp, telegramError } from "./harness.js";
+
+let app;
+before(async () => {
+  app = await startApp({ MAX_SEND_ATTEMPTS: "3", SEND_RETRY_BASE_SECONDS: "30" });
+});
+after(() => app.close());
+
+const past = (seconds = 60) => new Date(Date.now() - seconds * 1000).toISOString();
+
+// запланированный пост, время которого уже пришло
+async function duePost(owner, fields = {}) {
+  const { body } = await app.request("POST", "/posts", { token: owner.token, body: { userId: owner.userId, title: "Пост", ...fields } });
+  await app.db.run("UPDATE posts SET scheduledAt = ? WHERE id = ?", [past(), body.id]);
+  return body.id;
+}
+
+const row = (id) => app.db.get("SELECT status, attempts, nextAttemptAt, lastError, channel_ids FROM posts WHERE id = ?", id);
+const sends = (owner) => app.telegram.calls.filter((c) => c.method === "sendMessage" && c.token === `${owner.userId}:MAIN`).length;
+const failWith = (owner, error) => {
+  app.telegram.reply = ({ method, token }) => {
+    if (method === "sendMessage" && token === `${owner.userId}:MAIN`) throw error;
+  };
+};
+// задержка до следующей попытки в секундах
+const delayOf = ({ nextAttemptAt }) => Math.round((new Date(nextAttemptAt).getTime() - Date.now()) / 1000);
+
+test("transient errors are retried with exponential backoff until the attempts run out", async () => {
+  const owner = await app.register();
+  const id = await duePost(owner);
+  failWith(owner, telegramError(502, "Bad Gateway"));
+
+  await app.posts.publishDuePosts();
+  let post = await row(id);
+  assert.equal(post.status, "retrying");
+  assert.equal(post.attempts, 1);
+  assert.ok(Math.abs(delayOf(post) - 30) <= 2);
+  assert.match(post.lastError, /Bad Gateway/);
+
+  // пока задержка не истекла, тик пост не трогает
+  await app.posts.publishDuePosts();
+  assert.equal(sends(owner), 1);
+
+  await app.db.run("UPDATE posts SET nextAttemptAt = ? WHERE id = ?", [past(), id]);
+  await app.posts.publishDuePosts();
+  post = await row(id);
+  assert.equal(post.attempts, 2);
+  assert.ok(Math.abs(delayOf(post) - 60) <= 2);
+
+  // третья неудача из MAX_SEND_ATTEMPTS = 3 — окончательно failed
+  await app.db.run("UPDATE posts SET nextAttemptAt = ? WHERE id = ?", [past(), id]);
+  await app.posts.publishDuePosts();
+  post = await row(id);
+  assert.deepEqual([post.status, post.attempts, post.nextAttemptAt], ["failed", 3, null]);
+  assert.equal(sends(owner), 3);
+
+  await app.posts.publishDuePosts();
+  assert.equal(sends(owner), 3);
+  app.telegram.reply = null;
+});
+
+test("retry_after from Telegram stretches the backoff", async () => {
+  const owner = await app.register();
+  const id = await duePost(owner);
+  failWith(owner, telegramError(429, "Too Many Requests: retry after 600", { retry_after: 600 }));
+
+  await app.posts.publishDuePosts();
+  const post = await row(id);
+  assert.equal(post.status, "retrying");
+  assert.ok(Math.abs(delayOf(post) - 600) <= 2);
+  app.telegram.reply = null;
+});
+
+test("permanent errors fail the post at once", async () => {
+  const owner = await app.register();
+  const id = await duePost(owner);
+  failWith(owner, telegramError(403, "Forbidden: bot was kicked from the channel chat"));
+
+  await app.posts.publishDuePosts();
+  const post = await row(id);
+  assert.deepEqual([post.status, post.attempts, post.nextAttemptAt], ["failed", 1, null]);
+  assert.match(post.lastError, /bot was kicked/);
+
+  const failed = await app.request("GET", `/posts/failed/${owner.userId}`, { token: owner.token });
+  assert.deepEqual(failed.body.posts.map((p) => p.id), [id]);
+  app.telegram.reply = null;
+
+  // после исправления настроек пост возвращают в очередь — счётчик попыток сбрасывается
+  const requeued = await app.request("POST", `/posts/requeue/${id}`, { token: owner.token, body: {} });
+  assert.equal(requeued.status, 200, requeued.body.error);
+  const reset = await row(id);
+  assert.deepEqual([reset.status, reset.attempts, reset.nextAttemptAt], ["pending", 0, null]);
+  await app.posts.publishDuePosts();
+  assert.equal((await row(id)).status, "sent");
+});
+
+test("a permanent error on one channel still retries a transient one", async () => {
+  const owner = await app.register();
+  const channel = async (token, chat) =>
+    (await app.request("POST", `/users/channels/${owner.userId}`, { token: owner.token, body: { telegram_token: token, channel_id: chat } })).body.id;
+  const kicked = await channel("601:KICKED", "@kicked");
+  const busy = await channel("602:BUSY", "@busy");
+  const id = await duePost(owner, { channel_ids: [kicked, busy] });
+
+  app.telegram.reply = ({ method, token }) => {
+    if (method !== "sendMessage") return;
+    if (token === "601:KICKED") throw telegramError(403, "Forbidden: bot was kicked from the channel chat");
+    if (token === "602:BUSY") throw telegramError(500, "Internal Server Error");
+  };
+  await app.posts.publishDuePosts();
+  assert.equal((await row(id)).status, "retrying");
+
+  // постоянная ошибка у единственного оставшегося канала — failed без ожидания попыток
+  app.telegram.reply = ({ method, token }) => {
+    if (method === "sendMessage" && token === "601:KICKED") throw telegramError(403, "Forbidden: bot was kicked from the channel chat");
+  };
+  await app.db.run("UPDATE posts SET nextAttemptAt = ? WHERE id = ?", [past(), id]);
+  await app.posts.publishDuePosts();
+  const post = await row(id);
+  assert.deepEqual([post.status, post.attempts, JSON.parse(post.channel_ids)], ["failed", 2, [kicked]]);
+  app.telegram.reply = null;
+});
+
+test("concurrent cron ticks and a manual send publish each post once", async () => {
+  const owner = await app.register();
+  const ids = [await duePost(owner, { title: "Первый" }), await duePost(owner, { title: "Второй" })];
+
+  const [, , manual] = await Promise.all([
+    app.posts.publishDuePosts(),
+    app.posts.publishDuePosts(),
+    app.request("POST", `/posts/sendPost/${ids[0]}`, { token: owner.token }),
+  ]);
+  assert.ok([200, 409].includes(manual.status));
+  assert.equal(sends(owner), 2);
+  for (const id of ids) assert.equal((await row(id)).status, "sent");
+});
+
+test("a concurrent tick does not resend a post another tick just moved to retrying", async () => {
+  const owner = await app.register();
+  const slowId = await duePost(owner, { title: "Медленный" });
+  const fastId = await duePost(owner, { title: "Быстрый" });
+  // первый тик застревает на медленном посте, второй тем временем забирает быстрый и откладывает повтор;
+  // когда первый доходит до быстрого, тот уже ждёт своей задержки
+  app.telegram.reply = async ({ method, token, text }) => {
+    if (method !== "sendMessage" || token !== `${owner.userId}:MAIN`) return;
+    if (text.includes("Медленный")) await new Promise((resolve) => setTimeout(resolve, 100));
+    throw telegramError(502, "Bad Gateway");
+  };
+
+  await Promise.all([app.posts.publishDuePosts(), app.posts.publishDuePosts()]);
+  for (const id of [slowId, fastId]) {
+    const post = await row(id);
+    assert.deepEqual([post.status, post.attempts], ["retrying", 1]);
+  }
+  assert.equal(sends(owner), 2);
+  app.telegram.reply = null;
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import sqlite3 from "sqlite3";
+import { open } from "sqlite";
+import { normalizeCursor, recordEvent, eventsSince, latestCursor, REPLAY_LIMIT } from "../events.js";
+
+async function eventsDatabase() {
+  const database = await open({ filename: ":memory:", driver: sqlite3.Database });
+  await database.exec(`CREATE TABLE events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER NOT NULL, type TEXT NOT NULL,
+    payload TEXT NOT NULL, createdAt TEXT NOT NULL
+  )`);
+  return database;
+}
+
+test("normalizeCursor accepts non-negative integers", () => {
+  assert.equal(normalizeCursor(undefined), null);
+  assert.equal(normalizeCursor(""), null);
+  assert.equal(normalizeCursor("42"), 42);
+  assert.throws(() => normalizeCursor("-1"), { status: 400 });
+  assert.throws(() => normalizeCursor("abc"), { status: 400 });
+});
+
+test("eventsSince replays only the requested workspaces after the cursor", async () => {
+  const database = await eventsDatabase();
+  const first = await recordEvent(database, 1, "post_created", { postId: 10 });
+  await recordEvent(database, 2, "post_created", { postId: 20 });
+  await recordEvent(database, 1, "post_deleted", { postId: 10 });
+
+  const { events, complete, cursor } = await eventsSince(database, [1], first.id);
+  assert.equal(complete, true);
+  assert.equal(cursor, await latestCursor(database));
+  assert.deepEqual(events.map((e) => [e.type, e.userId, e.postId]), [["post_deleted", 1, 10]]);
+  await database.close();
+});
+
+test("eventsSince reports an incomplete replay after pruning", async () => {
+  const database = await eventsDatabase();
+  for (let i = 0; i < 3; i++) await recordEvent(database, 1, "post_updated", { postId: i });
+  await database.run("DELETE FROM events WHERE id <= 2");
+
+  assert.deepEqual(await eventsSince(database, [1], 0), { events: [], complete: false, cursor: 3 });
+  assert.equal((await eventsSince(database, [1], 2)).complete, true);
+  assert.ok(REPLAY_LIMIT > 0);
+  await database.close();
+});
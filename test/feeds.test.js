@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseFeed, isPrivateAddress, checkFeedUrl } from "../feeds.js";
+
+test("parseFeed reads RSS items with CDATA, entities and HTML", () => {
+  const items = parseFeed(`<?xml version="1.0"?><rss version="2.0"><channel>
+    <item>
+      <title><![CDATA[Курс &amp; ставка]]></title>
+      <description>&lt;p&gt;Банк &lt;b&gt;России&lt;/b&gt;&lt;/p&gt;</description>
+      <link>https://example.com/1</link>
+      <pubDate>Fri, 01 Nov 2030 09:00:00 GMT</pubDate>
+    </item>
+  </channel></rss>`);
+  assert.equal(items.length, 1);
+  assert.equal(items[0].title, "Курс & ставка");
+  assert.equal(items[0].description, "Банк России");
+  assert.equal(items[0].link, "https://example.com/1");
+  assert.equal(items[0].publishedAt.toISOString(), "2030-11-01T09:00:00.000Z");
+});
+
+test("parseFeed reads Atom entries and prefers the alternate link", () => {
+  const items = parseFeed(`<feed xmlns="http://www.w3.org/2005/Atom">
+    <entry>
+      <title>Новость</title>
+      <link rel="self" href="https://example.com/self"/>
+      <link rel="alternate" href="https://example.com/post"/>
+      <summary>Текст</summary>
+      <updated>2030-11-01T09:00:00Z</updated>
+    </entry>
+  </feed>`);
+  assert.deepEqual(
+    items.map(({ title, link, description }) => ({ title, link, description })),
+    [{ title: "Новость", link: "https://example.com/post", description: "Текст" }]
+  );
+});
+
+test("parseFeed reads JSON Feed and rejects HTML pages", () => {
+  const items = parseFeed(JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    items: [{ id: "1", title: "Заголовок", content_text: "Текст", url: "https://example.com/1" }],
+  }));
+  assert.equal(items[0].title, "Заголовок");
+  assert.equal(items[0].link, "https://example.com/1");
+  assert.equal(parseFeed("<!doctype html><html><body>сайт</body></html>"), null);
+});
+
+test("isPrivateAddress covers loopback, private, link-local and mapped addresses", () => {
+  for (const address of ["127.0.0.1", "10.0.0.5", "172.16.3.4", "192.168.1.1", "169.254.169.254", "::1", "fd00::1", "fe80::1", "::ffff:10.0.0.1"])
+    assert.equal(isPrivateAddress(address), true, address);
+  for (const address of ["8.8.8.8", "93.184.216.34", "2606:4700::1111"])
+    assert.equal(isPrivateAddress(address), false, address);
+});
+
+test("checkFeedUrl rejects other schemes and internal IP literals", () => {
+  assert.equal(checkFeedUrl("https://example.com/rss").hostname, "example.com");
+  for (const url of ["ftp://example.com/rss", "http://127.0.0.1/rss", "http://[::1]/rss", "http://0x7f000001/", "не адрес"])
+    assert.throws(() => checkFeedUrl(url), { status: 400 }, url);
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseMarkup, renderTokens, splitTokens, formatPost, buildMessages, CAPTION_LIMIT, MESSAGE_LIMIT } from "../formatting.js";
+
+test("parseMarkup and renderTokens escape text in both parse modes", () => {
+  const tokens = parseMarkup("**Важно** a<b & 1.5 [ссылка](https://example.com/a_(b))");
+  assert.equal(
+    renderTokens(tokens, "HTML"),
+    '<b>Важно</b> a&lt;b &amp; 1.5 <a href="https://example.com/a_(b">ссылка</a>)'
+  );
+  assert.equal(renderTokens(parseMarkup("__курсив__ 2+2=4!"), "MarkdownV2"), "_курсив_ 2\\+2\\=4\\!");
+  assert.equal(renderTokens(parseMarkup("`a_b`"), "MarkdownV2"), "`a_b`");
+});
+
+test("splitTokens breaks at newlines, then spaces, keeping styles", () => {
+  const chunks = splitTokens([{ text: "первая строка\nвторая строка", style: "bold" }], 16);
+  assert.deepEqual(chunks, [[{ text: "первая строка", style: "bold" }], [{ text: "вторая строка", style: "bold" }]]);
+  assert.deepEqual(splitTokens([{ text: "один два три" }], 8).map((c) => c[0].text), ["один два", "три"]);
+});
+
+test("splitTokens never cuts an emoji surrogate pair", () => {
+  const chunks = splitTokens([{ text: "aaa😀bbb" }], 4);
+  assert.deepEqual(chunks.map((c) => c[0].text), ["aaa", "😀bb", "b"]);
+});
+
+test("formatPost moves a long description out of the caption", () => {
+  const short = formatPost({ title: "T", description: "d" }, { withMedia: true });
+  assert.deepEqual(short, { caption: "<b>T</b>\n\nd", texts: [] });
+
+  const long = formatPost({ title: "T", description: "слово ".repeat(CAPTION_LIMIT) }, { withMedia: true });
+  assert.equal(long.caption, "<b>T</b>");
+  assert.ok(long.texts.length >= 2);
+  assert.ok(long.texts.every((text) => text.length <= MESSAGE_LIMIT));
+});
+
+test("buildMessages puts buttons on the last message and text after an album with buttons", () => {
+  const media = [{ kind: "photo" }, { kind: "photo" }];
+  const buttons = [[{ text: "Открыть", url: "https://example.com" }]];
+  const messages = buildMessages({ title: "T", description: "d", buttons, disable_notification: 1 }, media);
+  assert.deepEqual(messages.map((m) => m.method), ["sendMediaGroup", "sendMessage"]);
+  assert.equal(messages[0].media[0].caption, undefined);
+  assert.deepEqual(messages[1].reply_markup, { inline_keyboard: buttons });
+  assert.ok(messages.every((m) => m.disable_notification));
+
+  const withPoll = buildMessages({ title: "T", poll: { question: "?", options: ["a", "b"] } }, [{ kind: "photo" }]);
+  assert.deepEqual(withPoll.map((m) => m.method), ["sendPhoto", "sendPoll"]);
+  assert.equal(withPoll[0].caption, "<b>T</b>");
+});
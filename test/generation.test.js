@@ -0,0 +1,167 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { startApp } from "./harness.js";
+
+// источник новостей и openai-совместимая модель: ответ модели ждёт, пока тест не вызовет releaseModel()
+const model = { calls: 0, waiting: [] };
+const fake = http.createServer((req, res) => {
+  res.setHeader("Content-Type", "application/json");
+  if (req.url === "/feed.json") {
+    return res.end(JSON.stringify({ version: "https://jsonfeed.org/version/1.1", items: [{ id: "1", title: "Новость", content_text: "Текст новости" }] }));
+  }
+  model.calls++;
+  req.resume();
+  model.waiting.push(() =>
+    res.end(JSON.stringify({ choices: [{ message: { content: JSON.stringify([{ title: "Ответ модели", description: "Пост из модели" }]) } }] }))
+  );
+});
+const releaseModel = () => model.waiting.splice(0).forEach((respond) => respond());
+
+let app;
+let base;
+before(async () => {
+  await new Promise((resolve) => fake.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${fake.address().port}`;
+  app = await startApp({ ALLOW_PRIVATE_FEEDS: "1", LLM_ALLOWED_BASE_URLS: `${base}/v1`, GENERATION_CONCURRENCY: "1" });
+});
+after(async () => {
+  releaseModel();
+  await app.close();
+  fake.close();
+});
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function generate(owner, body = {}) {
+  const { status, body: res } = await app.request("POST", `/posts/generate-posts/${owner.userId}`, { token: owner.token, body });
+  assert.equal(status, 202, res.error);
+  assert.equal(res.status, "queued");
+  return res.jobId;
+}
+
+async function job(owner, jobId) {
+  return (await app.request("GET", `/posts/generation-jobs/${jobId}`, { token: owner.token })).body.job;
+}
+
+async function waitFor(owner, jobId, statuses) {
+  for (let i = 0; i < 250; i++) {
+    const current = await job(owner, jobId);
+    if (statuses.includes(current.status)) return current;
+    await delay(20);
+  }
+  throw new Error(`задача ${jobId} не дошла до ${statuses.join("/")}`);
+}
+
+// модель на тестовом сервере: задача зависает на calling_model до releaseModel()
+async function useSlowModel(owner) {
+  const { status, body } = await app.request("PUT", `/users/settings/${owner.userId}`, {
+    token: owner.token,
+    body: { use_sites: true, sites_list: [`${base}/feed.json`], llm_provider: "openai-compatible", llm_base_url: `${base}/v1` },
+  });
+  assert.equal(status, 200, body.error);
+}
+
+test("a generation job runs in the background and reports its result", async () => {
+  const owner = await app.register();
+  const stranger = await app.register();
+  const jobId = await generate(owner, { variables: { count: 2 } });
+
+  const done = await waitFor(owner, jobId, ["done", "failed"]);
+  assert.equal(done.status, "done", done.error);
+  assert.equal(done.stage, null);
+  assert.equal(done.params.save_drafts, false);
+  assert.equal(done.result.posts.length, 2);
+  assert.ok(done.result.posts.every((p) => p.title && p.id === undefined));
+
+  // без save_drafts посты не сохраняются
+  const list = (await app.request("GET", `/posts/user/${owner.userId}`, { token: owner.token })).body;
+  assert.equal(list.total, 0);
+
+  const jobs = (await app.request("GET", `/posts/generation-jobs/user/${owner.userId}`, { token: owner.token })).body.jobs;
+  assert.deepEqual(jobs.map((j) => [j.id, j.status]), [[jobId, "done"]]);
+  assert.equal((await app.request("GET", `/posts/generation-jobs/${jobId}`, { token: stranger.token })).status, 403);
+  assert.equal((await app.request("GET", "/posts/generation-jobs/999999", { token: owner.token })).status, 404);
+  assert.equal((await app.request("POST", `/posts/generate-posts/${owner.userId}`, { token: stranger.token, body: {} })).status, 403);
+});
+
+test("save_drafts stores drafts that stay out of the style examples", async () => {
+  const owner = await app.register();
+  const own = await app.request("POST", "/posts", {
+    token: owner.token,
+    body: { userId: owner.userId, title: "Мой пост", description: "Написан вручную 🙂 #канал" },
+  });
+
+  const jobId = await generate(owner, { save_drafts: true });
+  const done = await waitFor(owner, jobId, ["done", "failed"]);
+  assert.equal(done.status, "done", done.error);
+  const draftIds = done.result.posts.map((p) => p.id);
+  assert.equal(draftIds.length, 3);
+  assert.ok(draftIds.every(Number.isInteger));
+
+  const drafts = await app.db.all(`SELECT job_id, status, scheduledAt FROM posts WHERE id IN (${draftIds.join(", ")})`);
+  assert.ok(drafts.every((d) => d.job_id === jobId && d.status === "pending" && d.scheduledAt === null));
+
+  const examples = async () =>
+    (await app.request("GET", `/posts/examples/${owner.userId}`, { token: owner.token })).body.examples.map((e) => e.id);
+  assert.deepEqual(await examples(), [own.body.id]);
+
+  // отправленный или закреплённый черновик генерации — уже выбор пользователя
+  await app.db.run("UPDATE posts SET status = 'sent', sent = 1 WHERE id = ?", draftIds[0]);
+  assert.equal((await app.request("PUT", `/posts/${draftIds[1]}/example`, { token: owner.token, body: { mode: "pinned" } })).status, 200);
+  const selected = await examples();
+  assert.ok(selected.includes(draftIds[0]) && selected.includes(draftIds[1]));
+  assert.ok(!selected.includes(draftIds[2]));
+});
+
+test("a queued job can be cancelled and never runs", async () => {
+  const owner = await app.register();
+  await useSlowModel(owner);
+  const calls = model.calls;
+
+  const running = await generate(owner, { variables: { count: 1 } });
+  await waitFor(owner, running, ["running"]);
+  const queued = await generate(owner, { variables: { count: 1 } });
+  assert.equal((await job(owner, queued)).status, "queued");
+
+  const cancelled = await app.request("POST", `/posts/generation-jobs/${queued}/cancel`, { token: owner.token });
+  assert.equal(cancelled.status, 200, cancelled.body.error);
+  assert.equal(cancelled.body.job.status, "cancelled");
+  assert.ok(cancelled.body.job.finishedAt);
+
+  // первая задача дождалась модели, отменённая после неё не запускается
+  while (!model.waiting.length) await delay(10);
+  releaseModel();
+  assert.equal((await waitFor(owner, running, ["done", "failed"])).status, "done");
+  await delay(50);
+  assert.equal((await job(owner, queued)).status, "cancelled");
+  assert.equal(model.calls, calls + 1);
+
+  const again = await app.request("POST", `/posts/generation-jobs/${queued}/cancel`, { token: owner.token });
+  assert.equal(again.status, 409);
+  assert.equal((await app.request("POST", `/posts/generation-jobs/${running}/cancel`, { token: owner.token })).status, 409);
+});
+
+test("a running job cancelled mid-call saves no drafts", async () => {
+  const owner = await app.register();
+  const stranger = await app.register();
+  await useSlowModel(owner);
+
+  const jobId = await generate(owner, { variables: { count: 1 }, save_drafts: true });
+  while (!model.waiting.length) await delay(10);
+  assert.equal((await job(owner, jobId)).stage, "calling_model");
+
+  assert.equal((await app.request("POST", `/posts/generation-jobs/${jobId}/cancel`, { token: stranger.token })).status, 403);
+  assert.equal((await app.request("POST", "/posts/generation-jobs/999999/cancel", { token: owner.token })).status, 404);
+  const cancelled = await app.request("POST", `/posts/generation-jobs/${jobId}/cancel`, { token: owner.token });
+  assert.equal(cancelled.status, 200, cancelled.body.error);
+
+  releaseModel();
+  await delay(100);
+  const current = await job(owner, jobId);
+  assert.equal(current.status, "cancelled");
+  assert.equal(current.result, null);
+  assert.equal((await app.db.get("SELECT COUNT(*) AS n FROM posts WHERE job_id = ?", jobId)).n, 0);
+  // расход уже сделанного вызова модели учитывается
+  assert.equal((await app.db.get("SELECT COUNT(*) AS n FROM llm_usage WHERE user_id = ?", owner.userId)).n, 1);
+});
@@ -0,0 +1,99 @@
+// Обвязка тестов маршрутов: роутеры users и posts на временной базе и свободном порту.
+// Telegram Bot API подменён: вызовы копятся в telegram.calls, ответ на вызов можно задать
+// функцией telegram.reply(call) — вернуть значение или бросить ошибку (undefined — ответ по умолчанию).
+// Модули приложения импортируются внутри startApp, после того как заданы переменные окружения.
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import http from "http";
+import express from "express";
+import TelegramBot from "node-telegram-bot-api";
+
+/**
+ * Telegram API error in the shape node-telegram-bot-api throws (ETELEGRAM, error_code и parameters).
+ */
+export function telegramError(code, description, parameters = {}) {
+  const err = new Error(`ETELEGRAM: ${code} ${description}`);
+  err.code = "ETELEGRAM";
+  err.response = { body: { ok: false, error_code: code, description, parameters } };
+  return err;
+}
+
+/**
+ * Start the API on a fresh database. env — дополнительные переменные окружения
+ * (читаются модулями при загрузке, поэтому задаются до импорта).
+ * Returns { db, posts, telegram, request, register, close }
+ */
+export async function startApp(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "apgram-app-"));
+  Object.assign(process.env, {
+    DATABASE_PATH: path.join(dir, "test.db"),
+    TOKEN_ENCRYPTION_KEY: "test-key",
+    LLM_PROVIDER: "mock",
+    RATE_LIMIT_REGISTER_IP: "off",
+    RATE_LIMIT_LOGIN_IP: "off",
+    ...env,
+  });
+
+  const telegram = { calls: [], reply: null };
+  let nextMessageId = 100;
+  const originalRequest = TelegramBot.prototype._request;
+  TelegramBot.prototype._request = async function (method, options = {}) {
+    const call = { method, token: this.token, ...options.form, ...options.qs };
+    telegram.calls.push(call);
+    const reply = telegram.reply ? await telegram.reply(call) : undefined;
+    if (reply !== undefined) return reply;
+    if (method === "getMe") return { id: 1, is_bot: true, username: "testbot" };
+    if (method === "getChat") return { id: -100, title: "Канал", type: "channel" };
+    if (method === "getChatMember") return { status: "administrator", can_post_messages: true };
+    if (method.startsWith("send")) return { message_id: nextMessageId++, chat: { id: call.chat_id } };
+    return true;
+  };
+
+  const { openDatabase } = await import("../db.js");
+  const db = await openDatabase();
+  const { default: usersRouter } = await import("../users.js");
+  const posts = await import("../posts.js");
+
+  const app = express();
+  app.use("/api/users", usersRouter);
+  app.use("/api/posts", posts.default);
+  const server = http.createServer(app);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const base = `http://127.0.0.1:${server.address().port}/api`;
+
+  async function request(method, url, { token, body, headers = {} } = {}) {
+    const res = await fetch(base + url, {
+      method,
+      headers: {
+        ...(token ? { authorization: `Bearer ${token}` } : {}),
+        ...(body !== undefined ? { "content-type": "application/json" } : {}),
+        ...headers,
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const json = (res.headers.get("content-type") || "").includes("application/json");
+    return { status: res.status, headers: res.headers, body: json ? await res.json() : await res.text() };
+  }
+
+  let registered = 0;
+  async function register(fields = {}) {
+    registered++;
+    const username = fields.username || `user${registered}`;
+    const { status, body } = await request("POST", "/users/register", {
+      body: { username, password: "secret", telegram_token: `${registered}:MAIN`, channel_id: "@main", ...fields },
+    });
+    if (status !== 200) throw new Error(`register ${username}: ${body.error}`);
+    return { userId: body.userId, token: body.auth_token, username };
+  }
+
+  async function close() {
+    await new Promise((resolve) => server.close(resolve));
+    TelegramBot.prototype._request = originalRequest;
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  return { db, posts, telegram, request, register, close };
+}
@@ -0,0 +1,122 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./harness.js";
+
+let app;
+let owner;
+let stranger;
+before(async () => {
+  app = await startApp();
+  owner = await app.register();
+  stranger = await app.register();
+});
+after(() => app.close());
+
+async function publish(fields) {
+  const created = await app.request("POST", "/posts", { token: owner.token, body: { userId: owner.userId, ...fields } });
+  assert.equal(created.status, 200, created.body.error);
+  const sent = await app.request("POST", `/posts/sendPost/${created.body.id}`, { token: owner.token });
+  assert.equal(sent.status, 200, sent.body.error);
+  return { postId: created.body.id, publishedId: sent.body.results[0].publishedId, messageId: sent.body.results[0].messageId };
+}
+
+const history = async (query = "") =>
+  (await app.request("GET", `/posts/history/${owner.userId}${query}`, { token: owner.token })).body;
+const lastCall = (method) => app.telegram.calls.filter((c) => c.method === method).at(-1);
+
+test("a sent post stays in the database with its Telegram message", async () => {
+  const { postId, publishedId, messageId } = await publish({ title: "Архив", description: "остаётся" });
+  const post = (await app.request("GET", `/posts/${postId}`, { token: owner.token })).body;
+  assert.equal(post.status, "sent");
+  assert.ok(post.sentAt);
+
+  const [item] = (await history(`?postId=${postId}`)).items;
+  assert.equal(item.id, publishedId);
+  assert.equal(item.chat, "@main");
+  assert.equal(item.kind, "text");
+  assert.equal(item.message_id, messageId);
+  assert.match(item.text, /Архив/);
+  assert.equal(item.pinned, false);
+});
+
+test("history filters by post, channel, chat, text and time, and pages", async () => {
+  const a = await publish({ title: "Утренний выпуск" });
+  const b = await publish({ title: "Вечерний выпуск" });
+  await app.db.run("UPDATE published_messages SET sentAt = '2030-01-01T09:00:00.000Z' WHERE id = ?", a.publishedId);
+  await app.db.run("UPDATE published_messages SET sentAt = '2030-01-02T21:00:00.000Z' WHERE id = ?", b.publishedId);
+
+  const ids = (page) => page.items.map((m) => m.id);
+  assert.deepEqual(ids(await history(`?postId=${a.postId}`)), [a.publishedId]);
+  assert.deepEqual(ids(await history("?q=Вечерний")), [b.publishedId]);
+  assert.deepEqual(ids(await history("?from=2030-01-02T00:00:00Z&to=2030-01-03")), [b.publishedId]);
+  assert.deepEqual(ids(await history("?from=2030-01-01&to=2030-01-01T12:00:00Z")), [a.publishedId]);
+  assert.ok(ids(await history("?channelId=default&chat=@main")).includes(a.publishedId));
+  assert.deepEqual(ids(await history("?chat=@other")), []);
+
+  // новые сверху, страницы — limit/offset
+  const page = await history("?from=2030-01-01&limit=1&offset=1");
+  assert.equal(page.total, 2);
+  assert.deepEqual(ids(page), [a.publishedId]);
+});
+
+test("invalid history filters are rejected with 400", async () => {
+  for (const query of ["?from=garbage", "?to=not-a-date", "?from=2030-02-01&to=2030-01-01", "?postId=abc", "?channelId=main"]) {
+    const { status, body } = await app.request("GET", `/posts/history/${owner.userId}${query}`, { token: owner.token });
+    assert.equal(status, 400, query);
+    assert.equal(body.success, false);
+  }
+  assert.equal((await app.request("GET", `/posts/history/${owner.userId}`, { token: stranger.token })).status, 403);
+});
+
+test("a published message can be edited in the channel", async () => {
+  const { publishedId } = await publish({ title: "Черновой заголовок", description: "текст" });
+  const edited = await app.request("PUT", `/posts/published/${publishedId}`, { token: owner.token, body: { title: "Новый заголовок" } });
+  assert.equal(edited.status, 200, edited.body.error);
+
+  const call = lastCall("editMessageText");
+  assert.equal(call.chat_id, "@main");
+  assert.match(call.text, /Новый заголовок/);
+  const [item] = (await history(`?q=Новый заголовок`)).items;
+  assert.equal(item.id, publishedId);
+  assert.ok(item.editedAt);
+
+  const tooLong = await app.request("PUT", `/posts/published/${publishedId}`, { token: owner.token, body: { title: "х".repeat(5000) } });
+  assert.equal(tooLong.status, 400);
+  assert.equal((await app.request("PUT", `/posts/published/${publishedId}`, { token: stranger.token, body: { title: "чужой" } })).status, 403);
+});
+
+test("media messages are edited through their caption", async () => {
+  app.telegram.reply = ({ method, chat_id }) => (method === "sendPhoto" ? { message_id: 900, chat: { id: chat_id }, photo: [{}] } : undefined);
+  const { publishedId } = await publish({ title: "С картинкой", url: "https://example.com/a.png" });
+  app.telegram.reply = null;
+
+  assert.equal((await app.request("PUT", `/posts/published/${publishedId}`, { token: owner.token, body: { title: "Подпись" } })).status, 200);
+  const call = lastCall("editMessageCaption");
+  assert.equal(Number(call.message_id), 900);
+  assert.match(call.caption, /Подпись/);
+});
+
+test("pinning, unpinning and deleting a published message", async () => {
+  const { publishedId } = await publish({ title: "Закреп" });
+  const item = async () => (await history("?includeDeleted=true")).items.find((m) => m.id === publishedId);
+
+  assert.equal((await app.request("POST", `/posts/published/${publishedId}/pin`, { token: owner.token, body: { disable_notification: true } })).status, 200);
+  assert.equal(String(lastCall("pinChatMessage").disable_notification), "true");
+  assert.equal((await item()).pinned, true);
+
+  assert.equal((await app.request("DELETE", `/posts/published/${publishedId}/pin`, { token: owner.token })).status, 200);
+  assert.ok(lastCall("unpinChatMessage"));
+  assert.equal((await item()).pinned, false);
+
+  await app.request("POST", `/posts/published/${publishedId}/pin`, { token: owner.token });
+  assert.equal((await app.request("DELETE", `/posts/published/${publishedId}`, { token: owner.token })).status, 200);
+  assert.equal(Number(lastCall("deleteMessage").message_id), (await item()).message_id);
+
+  // удалённое остаётся в архиве, но скрыто по умолчанию, снято с закрепа и больше не меняется
+  const deleted = await item();
+  assert.ok(deleted.deletedAt);
+  assert.equal(deleted.pinned, false);
+  assert.ok(!(await history()).items.some((m) => m.id === publishedId));
+  assert.equal((await app.request("PUT", `/posts/published/${publishedId}`, { token: owner.token, body: { title: "после" } })).status, 400);
+  assert.equal((await app.request("DELETE", `/posts/published/${publishedId}`, { token: owner.token })).status, 400);
+});
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeButtons, normalizePoll } from "../interactive.js";
+
+test("normalizeButtons wraps loose buttons into rows and trims fields", () => {
+  assert.equal(normalizeButtons(null), null);
+  assert.equal(normalizeButtons([[]]), null);
+  assert.deepEqual(normalizeButtons([{ text: " Сайт ", url: " https://example.com " }, [{ text: "Бот", url: "tg://resolve?domain=x" }]]), [
+    [{ text: "Сайт", url: "https://example.com" }],
+    [{ text: "Бот", url: "tg://resolve?domain=x" }],
+  ]);
+});
+
+test("normalizeButtons rejects bad urls, empty text and oversized rows with status 400", () => {
+  const cases = [
+    "not-an-array",
+    [{ text: "x", url: "javascript:alert(1)" }],
+    [{ text: "", url: "https://example.com" }],
+    [Array.from({ length: 9 }, () => ({ text: "x", url: "https://example.com" }))],
+  ];
+  for (const value of cases) assert.throws(() => normalizeButtons(value), { status: 400 });
+});
+
+test("normalizePoll validates regular polls and quizzes", () => {
+  assert.equal(normalizePoll(undefined), null);
+  assert.deepEqual(normalizePoll({ question: " Да? ", options: ["да", "нет"], allows_multiple_answers: 1 }), {
+    question: "Да?",
+    options: ["да", "нет"],
+    type: "regular",
+    allows_multiple_answers: true,
+  });
+  assert.deepEqual(normalizePoll({ question: "2+2", options: ["3", "4"], type: "quiz", correct_option_id: "1" }), {
+    question: "2+2",
+    options: ["3", "4"],
+    type: "quiz",
+    correct_option_id: 1,
+  });
+});
+
+test("normalizePoll rejects invalid polls with status 400", () => {
+  const cases = [
+    [],
+    { question: "", options: ["a", "b"] },
+    { question: "?", options: ["a"] },
+    { question: "?", options: ["a", " "] },
+    { question: "?", options: ["a", "b"], type: "survey" },
+    { question: "?", options: ["a", "b"], type: "quiz", correct_option_id: 2 },
+    { question: "?", options: ["a", "b"], type: "quiz", correct_option_id: 0, explanation: "x".repeat(201) },
+  ];
+  for (const value of cases) assert.throws(() => normalizePoll(value), { status: 400 });
+});
@@ -0,0 +1,87 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { resolveLlmOptions, checkBaseUrl, complete } from "../llm.js";
+import { generatePosts } from "../generation.js";
+
+const ENV_KEYS = ["LLM_PROVIDER", "LLM_MODEL", "LLM_TEMPERATURE", "LLM_BASE_URL", "LLM_API_KEY", "LLM_ALLOWED_BASE_URLS"];
+const savedEnv = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+afterEach(() => {
+  for (const key of ENV_KEYS) {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  }
+});
+function clearEnv() {
+  for (const key of ENV_KEYS) delete process.env[key];
+}
+
+// сервер /chat/completions, запоминающий заголовок Authorization
+async function fakeModel(t) {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push(req.headers.authorization ?? null);
+    req.resume();
+    req.on("end", () => {
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ choices: [{ message: { content: "[]" } }], usage: { total_tokens: 1 } }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}/v1`, seen };
+}
+
+test("resolveLlmOptions: request overrides settings, settings override env", () => {
+  clearEnv();
+  process.env.LLM_PROVIDER = "mock";
+  process.env.LLM_TEMPERATURE = "0.2";
+  assert.deepEqual(resolveLlmOptions({}, {}), { provider: "mock", model: "mock", temperature: 0.2, baseUrl: null });
+  assert.equal(resolveLlmOptions({ temperature: 1 }, { temperature: 0.5 }).temperature, 1);
+  assert.equal(resolveLlmOptions({ provider: "openai" }, { provider: "mock", model: "x" }).model, "gpt-4o-mini");
+  assert.throws(() => resolveLlmOptions({ provider: "other" }), { status: 400 });
+  assert.throws(() => resolveLlmOptions({ temperature: 3 }), { status: 400 });
+});
+
+test("user base URLs must be LLM_BASE_URL or allowlisted", () => {
+  clearEnv();
+  process.env.LLM_BASE_URL = "http://llm.internal:8000/v1";
+  process.env.LLM_ALLOWED_BASE_URLS = "https://ollama.example.com/v1, https://other.example.com/v1";
+  assert.equal(checkBaseUrl("http://llm.internal:8000/v1/"), "http://llm.internal:8000/v1/");
+  assert.equal(checkBaseUrl("https://ollama.example.com/v1"), "https://ollama.example.com/v1");
+  assert.throws(() => checkBaseUrl("http://169.254.169.254/latest"), { status: 400 });
+  assert.throws(() => resolveLlmOptions({ provider: "openai-compatible", baseUrl: "http://127.0.0.1:6379" }), { status: 400 });
+});
+
+test("LLM_API_KEY is sent only to LLM_BASE_URL", async (t) => {
+  clearEnv();
+  const configured = await fakeModel(t);
+  const other = await fakeModel(t);
+  process.env.LLM_BASE_URL = configured.url;
+  process.env.LLM_API_KEY = "operator-secret";
+  process.env.LLM_ALLOWED_BASE_URLS = other.url;
+
+  const messages = [{ role: "user", content: "hi" }];
+  await complete({ ...resolveLlmOptions({ provider: "openai-compatible" }), messages });
+  await complete({ ...resolveLlmOptions({ provider: "openai-compatible", baseUrl: other.url }), messages });
+  assert.deepEqual(configured.seen, ["Bearer operator-secret"]);
+  assert.deepEqual(other.seen, [null]);
+});
+
+test("mock provider is deterministic and counts tokens", async () => {
+  const options = { provider: "mock", model: "mock", temperature: 0.7, baseUrl: null, messages: [{ role: "user", content: "промпт" }], count: 2 };
+  const first = await complete(options);
+  assert.deepEqual(first, await complete(options));
+  assert.equal(JSON.parse(first.text).length, 2);
+  assert.equal(first.usage.total_tokens, first.usage.prompt_tokens + first.usage.completion_tokens);
+});
+
+test("generation with the mock provider needs no network", async () => {
+  const result = await generatePosts(
+    { use_sites: "1", site_list: JSON.stringify(["https://unreachable.invalid/rss"]) },
+    { llm: { provider: "mock", model: "mock", temperature: 0.7, baseUrl: null }, variables: { count: 2 } }
+  );
+  assert.equal(result.posts.length, 2);
+  assert.deepEqual(result.sources, [{ url: "mock", ok: true, items: 3 }]);
+  assert.equal(result.usage.provider, "mock");
+});
@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mediaKind, resolveKind, planMessages } from "../media.js";
+
+test("mediaKind maps MIME types and rejects unknown files", () => {
+  assert.equal(mediaKind("image/png"), "photo");
+  assert.equal(mediaKind("image/gif"), "animation");
+  assert.equal(mediaKind("video/mp4"), "video");
+  assert.equal(mediaKind("application/x-msdownload"), null);
+});
+
+test("resolveKind allows documents for anything and animation only for mp4", () => {
+  assert.equal(resolveKind(undefined, "image/png"), "photo");
+  assert.equal(resolveKind("document", "image/png"), "document");
+  assert.equal(resolveKind("animation", "video/mp4"), "animation");
+  assert.throws(() => resolveKind("video", "image/png"), { status: 400 });
+  assert.throws(() => resolveKind("sticker", "image/png"), { status: 400 });
+});
+
+test("planMessages keeps order, groups photos with videos and documents apart", () => {
+  const a = (id, kind) => ({ id, kind });
+  const steps = planMessages([a(1, "photo"), a(2, "video"), a(3, "animation"), a(4, "document"), a(5, "document"), a(6, "photo")]);
+  assert.deepEqual(
+    steps.map((s) => (s.group ? s.group.map((x) => x.id) : s.single.id)),
+    [[1, 2], 3, [4, 5], 6]
+  );
+});
+
+test("planMessages splits albums larger than ten items", () => {
+  const photos = Array.from({ length: 12 }, (_, i) => ({ id: i + 1, kind: "photo" }));
+  const steps = planMessages(photos);
+  assert.equal(steps[0].group.length, 10);
+  assert.deepEqual(steps[1].group.map((x) => x.id), [11, 12]);
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import sqlite3 from "sqlite3";
+import { open } from "sqlite";
+import { MIGRATIONS, migrate } from "../migrations.js";
+
+const memory = () => open({ filename: ":memory:", driver: sqlite3.Database });
+const columns = async (database, table) => (await database.all(`PRAGMA table_info(${table})`)).map((c) => c.name);
+
+test("migrations are numbered consecutively from 1", () => {
+  assert.deepEqual(
+    MIGRATIONS.map((m) => m.version),
+    MIGRATIONS.map((_, i) => i + 1)
+  );
+});
+
+// база первого релиза: применена только миграция 1
+async function baselineDatabase() {
+  const baseline = await memory();
+  await baseline.exec(`CREATE TABLE schema_migrations (version INTEGER PRIMARY KEY, name TEXT NOT NULL, appliedAt TEXT NOT NULL)`);
+  await MIGRATIONS[0].up(baseline);
+  await baseline.run("INSERT INTO schema_migrations VALUES (1, 'initial schema', '2024-01-01T00:00:00.000Z')");
+  return baseline;
+}
+
+test("migration 1 is the schema of the first release", async () => {
+  const baseline = await baselineDatabase();
+  const userId = (await baseline.all("PRAGMA table_info(posts)")).find((c) => c.name === "user_id");
+  assert.deepEqual([userId.type, userId.notnull], ["INTEGER", 0]);
+  assert.deepEqual(await baseline.all("PRAGMA foreign_key_list(posts)"), []);
+  await baseline.close();
+});
+
+test("a database at the initial schema gets the columns of later migrations", async () => {
+  const database = await memory();
+  await migrate(database);
+  const baseline = await baselineDatabase();
+  assert.deepEqual(await columns(baseline, "posts"), ["id", "user_id", "title", "description", "url", "scheduledAt", "sent"]);
+
+  assert.deepEqual(await migrate(baseline), MIGRATIONS.slice(1).map((m) => m.version));
+  for (const table of ["users", "posts", "published_messages", "channels", "events"])
+    assert.deepEqual((await columns(baseline, table)).sort(), (await columns(database, table)).sort(), table);
+  assert.deepEqual(await migrate(baseline), []);
+  await Promise.all([database.close(), baseline.close()]);
+});
+
+test("migrations skip tables and columns that already exist", async () => {
+  const database = await memory();
+  await migrate(database);
+  await database.run("INSERT INTO users (username, password, timezone) VALUES ('u', 'x', 'Europe/Berlin')");
+  // версии записаны иначе, а таблицы и колонки уже есть
+  await database.run("DELETE FROM schema_migrations WHERE version > 1");
+  await migrate(database);
+  assert.equal((await database.get("SELECT timezone FROM users")).timezone, "Europe/Berlin");
+  await database.close();
+});
+
+test("the posts owner constraint keeps ids, indexes and search and drops posts without an owner", async () => {
+  const baseline = await baselineDatabase();
+  await baseline.run("INSERT INTO users (id, username, password) VALUES (1, 'owner', 'x')");
+  await baseline.run(
+    `INSERT INTO posts (id, user_id, title) VALUES (3, 1, 'Свой пост'), (5, NULL, 'Без владельца'), (7, 9, 'Удалённый владелец'), (8, 1, 'Последний')`
+  );
+  await baseline.run("DELETE FROM posts WHERE id = 8");
+
+  await migrate(baseline);
+  const userId = (await baseline.all("PRAGMA table_info(posts)")).find((c) => c.name === "user_id");
+  assert.equal(userId.notnull, 1);
+  assert.ok((await baseline.all("PRAGMA foreign_key_list(posts)")).some((k) => k.from === "user_id" && k.table === "users"));
+  assert.deepEqual((await baseline.all("SELECT id FROM posts")).map((p) => p.id), [3]);
+  const indexes = async (database) => (await database.all("PRAGMA index_list(posts)")).map((i) => i.name).sort();
+  const fresh = await memory();
+  await migrate(fresh);
+  assert.ok((await indexes(baseline)).includes("posts_user_id"));
+  assert.deepEqual(await indexes(baseline), await indexes(fresh));
+  await fresh.close();
+
+  // id не переиспользуются, поиск и триггеры работают с новой таблицей
+  const { lastID } = await baseline.run("INSERT INTO posts (user_id, title) VALUES (1, 'Новый пост')");
+  assert.equal(lastID, 9);
+  const found = await baseline.all("SELECT rowid FROM posts_fts WHERE posts_fts MATCH 'пост' ORDER BY rowid");
+  assert.deepEqual(found.map((r) => r.rowid), [3, 9]);
+
+  await baseline.exec("PRAGMA foreign_keys = ON");
+  await assert.rejects(baseline.run("INSERT INTO posts (user_id, title) VALUES (NULL, 'x')"), /NOT NULL/);
+  await baseline.run("DELETE FROM users WHERE id = 1");
+  assert.equal((await baseline.get("SELECT COUNT(*) AS n FROM posts")).n, 0);
+  await baseline.close();
+});
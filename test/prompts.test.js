@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeVariables, normalizeTemplate, renderPrompt, MAX_POSTS_COUNT } from "../prompts.js";
+
+test("normalizeVariables keeps only provided fields and normalizes hashtags", () => {
+  assert.deepEqual(normalizeVariables({ tone: " дерзкий ", count: "5", hashtags: "news, #ai  tech" }), {
+    tone: "дерзкий",
+    count: 5,
+    hashtags: ["#news", "#ai", "#tech"],
+  });
+  assert.deepEqual(normalizeVariables({ length: "250" }), { length: 250 });
+  assert.deepEqual(normalizeVariables({ length: "short" }), { length: "short" });
+  for (const input of [{ count: 0 }, { count: MAX_POSTS_COUNT + 1 }, { length: "huge" }])
+    assert.throws(() => normalizeVariables(input), { status: 400 });
+});
+
+test("normalizeTemplate requires {{news}} and known variables", () => {
+  assert.equal(normalizeTemplate("  Новости: {{news}} ({{ count }})  "), "Новости: {{news}} ({{ count }})");
+  assert.throws(() => normalizeTemplate("Без новостей {{count}}"), { status: 400 });
+  assert.throws(() => normalizeTemplate("{{news}} {{secret}}"), /secret/);
+  assert.throws(() => normalizeTemplate("   "), { status: 400 });
+});
+
+test("renderPrompt fills variables, drops empty lines and appends examples and instructions", () => {
+  const { prompt, count } = renderPrompt({
+    items: [{ title: "Заголовок", description: "Текст" }],
+    template: "Новости:\n{{news}}\nТон: {{tone}}\nПостов: {{count}}",
+    variables: { count: 2 },
+    examples: "Пример стиля",
+    instructions: " Без эмодзи ",
+  });
+  assert.equal(count, 2);
+  assert.equal(prompt, "Новости:\nЗаголовок\nТекст\nПостов: 2\n\nПример стиля\n\nДополнительные указания: Без эмодзи");
+});
+
+test("renderPrompt uses at most six news items", () => {
+  const items = Array.from({ length: 8 }, (_, i) => ({ title: `Новость ${i + 1}` }));
+  const { prompt } = renderPrompt({ items, template: "{{news}}" });
+  assert.match(prompt, /Новость 6/);
+  assert.doesNotMatch(prompt, /Новость 7/);
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.LOGIN_LOCKOUT_THRESHOLD = "3";
+process.env.LOGIN_LOCKOUT_BASE_SECONDS = "30";
+process.env.LOGIN_ACCOUNT_LOCKOUT_THRESHOLD = "6";
+process.env.LOGIN_ACCOUNT_LOCKOUT_BASE_SECONDS = "5";
+const { createLimiter, loginLockout, recordLoginFailure, recordLoginSuccess } = await import("../ratelimit.js");
+
+test("fixed-window limiter counts hits per key", () => {
+  const limiter = createLimiter("test", { max: 2, windowMs: 60 * 1000 });
+  assert.equal(limiter.hit("a").allowed, true);
+  assert.equal(limiter.hit("a").allowed, true);
+  const denied = limiter.hit("a");
+  assert.equal(denied.allowed, false);
+  assert.ok(denied.retryAfter > 0 && denied.retryAfter <= 60);
+  assert.equal(limiter.hit("b").allowed, true);
+  assert.equal(createLimiter("off", null).hit("a").allowed, true);
+});
+
+test("login lockout grows with failures and is reset by a success", () => {
+  assert.equal(recordLoginFailure("10.0.0.1", "alice"), 0);
+  assert.equal(recordLoginFailure("10.0.0.1", "Alice "), 0);
+  assert.equal(recordLoginFailure("10.0.0.1", "alice"), 30);
+  assert.equal(recordLoginFailure("10.0.0.1", "alice"), 60);
+  assert.ok(loginLockout("10.0.0.1", "alice") > 30);
+
+  recordLoginSuccess("10.0.0.1", "alice");
+  assert.equal(loginLockout("10.0.0.1", "alice"), 0);
+});
+
+test("failures from one IP do not lock the account out for other IPs", () => {
+  for (let i = 0; i < 5; i++) recordLoginFailure("203.0.113.7", "bob");
+  assert.ok(loginLockout("203.0.113.7", "bob") > 0);
+  assert.equal(loginLockout("198.51.100.2", "bob"), 0);
+});
+
+test("failures spread over many IPs delay the account on every IP", () => {
+  // по две попытки с адреса — счётчик IP + логин не срабатывает, счётчик аккаунта — на шестой
+  const ips = ["192.0.2.1", "192.0.2.2", "192.0.2.3"];
+  const delays = ips.flatMap((ip) => [recordLoginFailure(ip, "carol"), recordLoginFailure(ip, "Carol")]);
+  assert.deepEqual(delays, [0, 0, 0, 0, 0, 5]);
+  assert.ok(loginLockout("198.51.100.9", "carol") > 0);
+  assert.equal(recordLoginFailure("192.0.2.4", "carol"), 10);
+
+  // другие аккаунты не затронуты; успешный вход снимает паузу
+  assert.equal(loginLockout("198.51.100.9", "dave"), 0);
+  recordLoginSuccess("198.51.100.9", "carol");
+  assert.equal(loginLockout("192.0.2.4", "carol"), 0);
+});
@@ -0,0 +1,89 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./harness.js";
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+const lastCall = (method) => app.telegram.calls.filter((c) => c.method === method).at(-1);
+
+// пользователь с чатом ревьюера, часовым поясом и подключённым вебхуком; secret — то, что Telegram пришлёт в заголовке
+async function reviewer(settings = {}) {
+  const owner = await app.register();
+  const saved = await app.request("PUT", `/users/settings/${owner.userId}`, {
+    token: owner.token,
+    body: { reviewer_chat_id: "-500", timezone: "Europe/Moscow", ...settings },
+  });
+  assert.equal(saved.status, 200, saved.body.error);
+  const setup = await app.request("POST", `/posts/review/setup/${owner.userId}`, { token: owner.token, body: { baseUrl: "https://api.example.com" } });
+  assert.equal(setup.status, 200, setup.body.error);
+  return { ...owner, secret: lastCall("setWebHook").secret_token };
+}
+
+async function submitted(owner, scheduledAt) {
+  const { body } = await app.request("POST", "/posts", { token: owner.token, body: { userId: owner.userId, title: "На согласование" } });
+  await app.db.run("UPDATE posts SET scheduledAt = ? WHERE id = ?", [scheduledAt, body.id]);
+  const submit = await app.request("POST", `/posts/review/${body.id}/submit`, { token: owner.token });
+  assert.equal(submit.status, 200, submit.body.error);
+  return body.id;
+}
+
+const press = (owner, code, postId, secret = owner.secret) =>
+  app.request("POST", `/posts/review/webhook/${owner.userId}`, {
+    headers: { "x-telegram-bot-api-secret-token": secret },
+    body: { callback_query: { id: "cb", data: `rv:${code}:${postId}`, from: { username: "editor" }, message: { chat: { id: -500 } } } },
+  });
+
+const scheduledAt = async (id) => (await app.db.get("SELECT scheduledAt FROM posts WHERE id = ?", id)).scheduledAt;
+
+test("the review preview shows the publication time in the user's timezone", async () => {
+  const owner = await reviewer();
+  await submitted(owner, "2030-01-01T09:00:00.000Z");
+  const preview = lastCall("sendMessage");
+  assert.equal(preview.chat_id, "-500");
+  assert.match(preview.text, /публикация 2030-01-01T12:00:00\+03:00 \(Europe\/Moscow\)/);
+  assert.doesNotMatch(preview.text, /09:00:00/);
+});
+
+test("the webhook rejects a wrong secret", async () => {
+  const owner = await reviewer();
+  const id = await submitted(owner, "2030-01-01T09:00:00.000Z");
+  // та же длина, другой последний символ; длиннее; короче
+  const other = owner.secret.slice(0, -1) + (owner.secret.endsWith("0") ? "1" : "0");
+  for (const secret of [other, `${owner.secret}0`, "wrong"]) {
+    assert.equal((await press(owner, "a", id, secret)).status, 403);
+  }
+  assert.equal((await press(owner, "a", id)).status, 200);
+  assert.equal((await app.db.get("SELECT review_status FROM posts WHERE id = ?", id)).review_status, "approved");
+});
+
+test("reschedule buttons move the post and answer in local time", async () => {
+  const owner = await reviewer();
+  const id = await submitted(owner, "2030-01-01T09:00:00.000Z");
+
+  assert.equal((await press(owner, "h", id)).status, 200);
+  assert.equal(await scheduledAt(id), "2030-01-01T10:00:00.000Z");
+  assert.equal(lastCall("answerCallbackQuery").text, "⏰ Перенесено на 2030-01-01T13:00:00+03:00");
+
+  await press(owner, "d", id);
+  assert.equal(await scheduledAt(id), "2030-01-02T10:00:00.000Z");
+  assert.equal((await app.db.get("SELECT review_status FROM posts WHERE id = ?", id)).review_status, "pending_review");
+});
+
+test("reschedule buttons skip over quiet hours in both modes", async () => {
+  for (const mode of ["hold", "reject"]) {
+    const owner = await reviewer({ quiet_hours_start: "22:00", quiet_hours_end: "08:00", quiet_hours_mode: mode });
+    // 21:30 по Москве: +1 час попадает в тихие часы — публикация сдвигается на 08:00
+    const id = await submitted(owner, "2030-01-01T18:30:00.000Z");
+    await press(owner, "h", id);
+    assert.equal(await scheduledAt(id), "2030-01-02T05:00:00.000Z", mode);
+    assert.equal(lastCall("answerCallbackQuery").text, "⏰ Перенесено на 2030-01-02T08:00:00+03:00");
+
+    // вне тихих часов время не меняется
+    await press(owner, "h", id);
+    assert.equal(await scheduledAt(id), "2030-01-02T06:00:00.000Z", mode);
+  }
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeRecurrence, nextRecurrence, normalizeSlot, slotOccurrences } from "../schedule.js";
+
+test("normalizeRecurrence keeps valid rules and rejects broken ones with status 400", () => {
+  assert.deepEqual(normalizeRecurrence({ type: "daily", time: "09:00", extra: 1 }), { type: "daily", time: "09:00" });
+  assert.deepEqual(normalizeRecurrence({ type: "cron", expression: " 0 9 * * 1 " }), { type: "cron", expression: "0 9 * * 1" });
+  assert.match(normalizeRecurrence({ type: "rrule", rule: "FREQ=WEEKLY;BYDAY=MO" }).rule, /DTSTART/);
+  for (const input of [null, { type: "daily", time: "25:00" }, { type: "cron", expression: "nope" }, { type: "hourly" }])
+    assert.throws(() => normalizeRecurrence(input), { status: 400 });
+});
+
+test("nextRecurrence returns the run strictly after the given moment", () => {
+  const after = new Date("2030-11-01T09:00:00Z"); // пятница
+  assert.equal(nextRecurrence({ type: "daily", time: "09:00" }, after).toISOString(), "2030-11-02T09:00:00.000Z");
+  assert.equal(nextRecurrence({ type: "weekdays", time: "09:00" }, after).toISOString(), "2030-11-04T09:00:00.000Z");
+  assert.equal(
+    nextRecurrence({ type: "rrule", rule: "DTSTART:20301101T090000Z\nRRULE:FREQ=DAILY;COUNT=2" }, after).toISOString(),
+    "2030-11-02T09:00:00.000Z"
+  );
+  assert.equal(nextRecurrence({ type: "rrule", rule: "DTSTART:20301101T090000Z\nRRULE:FREQ=DAILY;COUNT=1" }, after), null);
+});
+
+test("normalizeSlot validates weekday and time", () => {
+  assert.deepEqual(normalizeSlot({ weekday: "1", time: "10:30" }), { weekday: 1, time: "10:30" });
+  assert.throws(() => normalizeSlot({ weekday: 7, time: "10:30" }), { status: 400 });
+  assert.throws(() => normalizeSlot({ weekday: 1, time: "9:5" }), { status: 400 });
+});
+
+test("slotOccurrences yields weekly slot times in order after the moment", () => {
+  const slots = [{ weekday: 1, time: "18:00" }, { weekday: 1, time: "09:00" }, { weekday: 3, time: "12:00" }];
+  const occurrences = slotOccurrences(slots, new Date("2030-11-04T09:00:00Z")); // понедельник, 09:00 — уже прошёл
+  const first = Array.from({ length: 4 }, () => occurrences.next().value.toISOString());
+  assert.deepEqual(first, [
+    "2030-11-04T18:00:00.000Z",
+    "2030-11-06T12:00:00.000Z",
+    "2030-11-11T09:00:00.000Z",
+    "2030-11-11T18:00:00.000Z",
+  ]);
+  assert.equal(slotOccurrences([], new Date()).next().done, true);
+});
+
+test("rules keep their local time across a DST change", () => {
+  const daily = { type: "daily", time: "09:00" };
+  // Europe/Berlin переходит на зимнее время 27 октября 2030
+  assert.equal(nextRecurrence(daily, new Date("2030-10-26T07:00:00Z"), "Europe/Berlin").toISOString(), "2030-10-27T08:00:00.000Z");
+  assert.equal(nextRecurrence(daily, new Date("2030-10-25T08:00:00Z"), "Europe/Berlin").toISOString(), "2030-10-26T07:00:00.000Z");
+  assert.equal(
+    nextRecurrence({ type: "cron", expression: "30 8 * * 1" }, new Date("2030-11-01T00:00:00Z"), "Asia/Tokyo").toISOString(),
+    "2030-11-03T23:30:00.000Z"
+  );
+  assert.equal(
+    nextRecurrence({ type: "rrule", rule: "DTSTART:20301101T090000Z\nRRULE:FREQ=DAILY;COUNT=3" }, new Date("2030-11-01T06:00:00Z"), "Europe/Moscow").toISOString(),
+    "2030-11-02T06:00:00.000Z"
+  );
+});
+
+test("slots are local times of the user's timezone", () => {
+  const occurrences = slotOccurrences([{ weekday: 1, time: "00:30" }], new Date("2030-11-03T20:00:00Z"), "Europe/Moscow");
+  // понедельник 00:30 по Москве — воскресенье 21:30 UTC
+  assert.equal(occurrences.next().value.toISOString(), "2030-11-03T21:30:00.000Z");
+  assert.equal(occurrences.next().value.toISOString(), "2030-11-10T21:30:00.000Z");
+
+  // слот в час, пропущенный при переходе на летнее время, сдвигается на час вперёд
+  const spring = slotOccurrences([{ weekday: 0, time: "02:30" }], new Date("2030-03-30T00:00:00Z"), "Europe/Berlin");
+  assert.equal(spring.next().value.toISOString(), "2030-03-31T01:30:00.000Z");
+});
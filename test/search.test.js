@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ftsQuery, normalizePostQuery, normalizeHistoryQuery, renderMatch, FTS_MARKERS, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from "../search.js";
+
+test("ftsQuery keeps words only and makes each a prefix match", () => {
+  assert.equal(ftsQuery('ключевая "ставка" OR NEAR(цб)'), '"ключевая"* "ставка"* "OR"* "NEAR"* "цб"*');
+  assert.equal(ftsQuery("*** ---"), null);
+});
+
+test("normalizePostQuery applies defaults and bounds", () => {
+  assert.deepEqual(normalizePostQuery({}), {
+    statuses: null,
+    from: null,
+    to: null,
+    hasMedia: null,
+    search: null,
+    sort: "scheduledAt",
+    limit: DEFAULT_PAGE_SIZE,
+    offset: 0,
+  });
+  const query = normalizePostQuery({ status: "draft, sent,draft", q: "ставка", hasMedia: "1", limit: "1000", offset: "-5" });
+  assert.deepEqual(query.statuses, ["draft", "sent"]);
+  assert.equal(query.sort, "relevance");
+  assert.equal(query.hasMedia, true);
+  assert.equal(query.limit, MAX_PAGE_SIZE);
+  assert.equal(query.offset, 0);
+});
+
+test("normalizePostQuery rejects invalid params with status 400", () => {
+  const cases = [
+    { status: "archived" },
+    { from: "вчера" },
+    { from: "2030-02-01", to: "2030-01-01" },
+    { hasMedia: "yes" },
+    { q: "!!!" },
+    { sort: "relevance" },
+    { sort: "random" },
+  ];
+  for (const query of cases) assert.throws(() => normalizePostQuery(query), { status: 400 });
+});
+
+test("normalizeHistoryQuery parses filters and rejects invalid ones with status 400", () => {
+  assert.deepEqual(normalizeHistoryQuery({ postId: "7", channelId: "default", from: "2030-01-01", q: "итоги", includeDeleted: "true", limit: "500" }), {
+    postId: 7,
+    channelId: "default",
+    chat: null,
+    from: "2030-01-01T00:00:00.000Z",
+    to: null,
+    text: "итоги",
+    includeDeleted: true,
+    limit: MAX_PAGE_SIZE,
+    offset: 0,
+  });
+  assert.equal(normalizeHistoryQuery({ channelId: "3" }).channelId, 3);
+  const cases = [{ from: "garbage" }, { to: "завтра" }, { from: "2030-02-01", to: "2030-01-01" }, { postId: "abc" }, { channelId: "main" }];
+  for (const query of cases) assert.throws(() => normalizeHistoryQuery(query), { status: 400 });
+});
+
+test("renderMatch escapes text and marks matches", () => {
+  const [start, end] = FTS_MARKERS;
+  assert.equal(renderMatch(`<b>${start}ставка${end}</b>`), "&lt;b&gt;<mark>ставка</mark>&lt;/b&gt;");
+  assert.equal(renderMatch(null), null);
+});
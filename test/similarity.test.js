@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeText, fingerprint, similarity, findDuplicates, normalizeThreshold, duplicateMessage, MAX_DUPLICATES } from "../similarity.js";
+
+test("normalizeText drops markup, links and punctuation", () => {
+  assert.equal(
+    normalizeText({ title: "<b>ЦБ</b> повысил ставку!", description: "Подробнее: https://example.com/news?id=1 — Ёлки" }),
+    "цб повысил ставку подробнее елки"
+  );
+  assert.equal(normalizeText(), "");
+});
+
+test("fingerprint stems words and skips short ones except numbers", () => {
+  assert.deepEqual([...fingerprint({ title: "Ставки и ставку в 2030 по 16%" })], ["ставк", "2030", "16"]);
+});
+
+test("similarity is cosine of the stem sets", () => {
+  assert.equal(similarity(new Set(["а", "б"]), new Set(["а", "б"])), 1);
+  assert.equal(similarity(new Set(["а"]), new Set(["а", "б", "в", "г"])), 0.5);
+  assert.equal(similarity(new Set(), new Set(["а"])), 0);
+});
+
+test("findDuplicates finds a retelling above the threshold and ignores other topics", () => {
+  const posts = [
+    { id: 1, title: "ЦБ повысил ключевую ставку до 16%", description: "Банк России поднял ключевую ставку на заседании совета директоров", status: "sent" },
+    { id: 2, title: "Погода на выходные", description: "В Москве ожидается снег и сильный ветер", status: "pending" },
+  ];
+  const candidate = { title: "Банк России повысил ключевую ставку", description: "Регулятор поднял ставку до 16% годовых" };
+  const duplicates = findDuplicates(candidate, posts);
+  assert.equal(duplicates.length, 1);
+  assert.equal(duplicates[0].postId, 1);
+  assert.equal(duplicates[0].status, "sent");
+  assert.ok(duplicates[0].score >= 0.6 && duplicates[0].score < 1);
+  assert.deepEqual(findDuplicates(candidate, posts, 1), []);
+});
+
+test("findDuplicates sorts by score, then newest first, and caps the list", () => {
+  const posts = Array.from({ length: MAX_DUPLICATES + 2 }, (_, i) => ({ id: i + 1, title: "Итоги недели", description: "канал" }));
+  posts.push({ id: 100, title: "Итоги недели", description: "канал новости" });
+  const duplicates = findDuplicates({ title: "Итоги недели", description: "канал" }, posts);
+  assert.equal(duplicates.length, MAX_DUPLICATES);
+  assert.deepEqual(duplicates.map((d) => d.postId), [7, 6, 5, 4, 3]);
+  assert.equal(duplicates[0].score, 1);
+});
+
+test("normalizeThreshold accepts 0.3…1 and rejects the rest with status 400", () => {
+  assert.equal(normalizeThreshold("0.75"), 0.75);
+  for (const value of [0.2, 1.5, "высокий", null]) assert.throws(() => normalizeThreshold(value), { status: 400 });
+});
+
+test("duplicateMessage names the closest post", () => {
+  assert.equal(duplicateMessage([{ postId: 3, title: "Итоги", score: 0.8 }]), "Похожий пост уже есть: #3 «Итоги» (сходство 0.8)");
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { selectStyleExamples, buildStyleBlock } from "../style.js";
+
+const post = (id, description, extra = {}) => ({ id, title: `Пост ${id}`, description, status: "sent", ...extra });
+
+test("selectStyleExamples puts pinned first and skips excluded posts", () => {
+  const typical = "Обычный пост канала средней длины про новости дня #новости";
+  const examples = selectStyleExamples([
+    post(1, typical),
+    post(2, typical, { example_mode: "excluded" }),
+    post(3, "Совсем короткий", { example_mode: "pinned" }),
+    post(4, typical, { status: "pending" }),
+  ]);
+  assert.deepEqual(examples.map((e) => [e.id, e.pinned]), [[3, true], [1, false], [4, false]]);
+});
+
+test("selectStyleExamples prefers typical posts and respects the token budget", () => {
+  const typical = "Текст обычной длины для канала";
+  const examples = selectStyleExamples(
+    [post(1, "🔥".repeat(40) + " очень необычный пост"), post(2, typical), post(3, typical)],
+    { maxExamples: 2 }
+  );
+  assert.deepEqual(examples.map((e) => e.id), [2, 3]);
+  assert.deepEqual(selectStyleExamples([post(1, "x".repeat(400))], { budgetTokens: 10 }), []);
+  assert.deepEqual(selectStyleExamples([{ id: 1, title: "без текста" }]), []);
+});
+
+test("buildStyleBlock numbers examples and is empty without them", () => {
+  assert.equal(buildStyleBlock([]), "");
+  const block = buildStyleBlock([{ title: "A", description: "a" }, { title: "B", description: "b" }]);
+  assert.match(block, /Пример 1:\nA\na\n\nПример 2:\nB\nb$/);
+});
@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  normalizeTimezone,
+  parseScheduledAt,
+  toLocalIso,
+  toWallClock,
+  fromWallClock,
+  normalizeQuietHours,
+  inQuietHours,
+  quietHoursEnd,
+  checkQuietHours,
+} from "../timezone.js";
+
+test("normalizeTimezone accepts IANA names only", () => {
+  assert.equal(normalizeTimezone("Europe/Moscow"), "Europe/Moscow");
+  assert.throws(() => normalizeTimezone("Mars/Olympus"), { status: 400 });
+});
+
+test("parseScheduledAt reads local times in the timezone, including DST days", () => {
+  assert.equal(parseScheduledAt("2030-11-01T09:00", "Europe/Moscow"), "2030-11-01T06:00:00.000Z");
+  assert.equal(parseScheduledAt("2030-11-01T09:00:00+01:00", "Europe/Moscow"), "2030-11-01T08:00:00.000Z");
+  assert.equal(parseScheduledAt("2030-07-01 09:00", "Europe/Berlin"), "2030-07-01T07:00:00.000Z");
+  assert.equal(parseScheduledAt("2030-12-01T09:00", "Europe/Berlin"), "2030-12-01T08:00:00.000Z");
+  // 02:30 31 марта в Берлине не существует — время сдвигается вперёд на час перехода
+  assert.equal(parseScheduledAt("2030-03-31T02:30", "Europe/Berlin"), "2030-03-31T01:30:00.000Z");
+  for (const value of ["2030-02-30T09:00", "завтра", "2030-11-01"]) assert.throws(() => parseScheduledAt(value, "UTC"), { status: 400 });
+});
+
+test("toLocalIso shows the offset in effect at the moment", () => {
+  assert.equal(toLocalIso("2030-07-01T07:00:00Z", "Europe/Berlin"), "2030-07-01T09:00:00+02:00");
+  assert.equal(toLocalIso("2030-12-01T08:00:00Z", "Europe/Berlin"), "2030-12-01T09:00:00+01:00");
+  assert.equal(toLocalIso("2030-12-01T08:00:00Z", "America/St_Johns"), "2030-12-01T04:30:00-03:30");
+  assert.equal(toLocalIso(null), null);
+});
+
+test("wall-clock conversion round-trips outside DST transitions", () => {
+  const moment = new Date("2030-05-05T21:15:00Z");
+  assert.equal(toWallClock(moment, "Asia/Tokyo").toISOString(), "2030-05-06T06:15:00.000Z");
+  assert.equal(fromWallClock(toWallClock(moment, "America/New_York"), "America/New_York").toISOString(), moment.toISOString());
+});
+
+test("quiet hours across midnight hold or reject posts", () => {
+  const quiet = normalizeQuietHours({ start: "22:00", end: "08:00" });
+  assert.deepEqual(quiet, { start: "22:00", end: "08:00", mode: "hold" });
+  assert.equal(inQuietHours("2030-11-01T20:00:00Z", quiet, "Europe/Moscow"), true); // 23:00
+  assert.equal(inQuietHours("2030-11-01T05:00:00Z", quiet, "Europe/Moscow"), false); // 08:00
+  assert.equal(quietHoursEnd("2030-11-01T20:00:00Z", quiet, "Europe/Moscow").toISOString(), "2030-11-02T05:00:00.000Z");
+  checkQuietHours("2030-11-01T20:00:00Z", quiet, "Europe/Moscow");
+  assert.throws(() => checkQuietHours("2030-11-01T20:00:00Z", { ...quiet, mode: "reject" }, "Europe/Moscow"), { status: 400 });
+  assert.equal(normalizeQuietHours({}), null);
+  assert.throws(() => normalizeQuietHours({ start: "22:00", end: "22:00" }), { status: 400 });
+});
@@ -0,0 +1,67 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApp } from "./harness.js";
+
+let app;
+before(async () => {
+  app = await startApp();
+});
+after(() => app.close());
+
+test("an export of the whole workspace imports back", async () => {
+  const owner = await app.register();
+  const create = async (fields) =>
+    (await app.request("POST", "/posts", { token: owner.token, body: { userId: owner.userId, ...fields } })).body.id;
+
+  const sent = await create({ title: "Уже отправлен", description: "архив" });
+  assert.equal((await app.request("POST", `/posts/sendPost/${sent}`, { token: owner.token })).status, 200);
+  const late = await create({ title: "Время прошло" });
+  await app.db.run("UPDATE posts SET scheduledAt = ? WHERE id = ?", [new Date(Date.now() - 3600 * 1000).toISOString(), late]);
+  const queued = await create({ title: "Запланирован" });
+  await app.db.run("UPDATE posts SET scheduledAt = '2031-03-01T10:00:00.000Z' WHERE id = ?", queued);
+
+  const exported = await app.request("GET", `/posts/export/${owner.userId}?scope=all&format=json`, { token: owner.token });
+  assert.equal(exported.status, 200);
+  assert.deepEqual(exported.body.map((p) => p.id).sort(), [sent, late, queued].sort());
+  const history = await app.request("GET", `/posts/export/${owner.userId}?scope=history&format=json`, { token: owner.token });
+  assert.deepEqual(history.body.map((p) => [p.id, p.status]), [[sent, "sent"]]);
+
+  const copy = await app.register();
+  const imported = await app.request("POST", `/posts/import/${copy.userId}`, { token: copy.token, body: exported.body });
+  assert.equal(imported.status, 200, imported.body.error);
+  assert.equal(imported.body.valid, 3);
+
+  const byTitle = Object.fromEntries(imported.body.items.map((item) => [item.title, item]));
+  assert.equal(byTitle["Запланирован"].scheduledAt, "2031-03-01T10:00:00.000Z");
+  assert.deepEqual(byTitle["Запланирован"].warnings, []);
+  for (const title of ["Уже отправлен", "Время прошло"]) {
+    assert.equal(byTitle[title].scheduledAt, null, title);
+    assert.equal(byTitle[title].warnings.length, 1, title);
+  }
+
+  // посты созданы заново: черновики и запланированный, ничего не отправлено
+  const posts = (await app.request("GET", `/posts/user/${copy.userId}?sort=id`, { token: copy.token })).body.items;
+  assert.deepEqual(
+    posts.map((p) => [p.title, p.status, p.scheduledAt]).sort(),
+    [
+      ["Время прошло", "pending", null],
+      ["Запланирован", "pending", "2031-03-01T10:00:00.000Z"],
+      ["Уже отправлен", "pending", null],
+    ]
+  );
+  assert.equal(posts.find((p) => p.title === "Уже отправлен").description, "архив");
+});
+
+test("importing drafts only needs the edit permission", async () => {
+  const owner = await app.register();
+  const editor = await app.register();
+  const invite = await app.request("POST", `/users/members/${owner.userId}`, { token: owner.token, body: { username: editor.username, role: "editor" } });
+  assert.equal(invite.status, 200, invite.body.error);
+  const accepted = await app.request("POST", `/users/invites/${editor.userId}/${invite.body.id}/accept`, { token: editor.token });
+  assert.equal(accepted.status, 200, accepted.body.error);
+
+  const rows = [{ title: "Из архива", status: "sent", scheduledAt: "2020-01-01T00:00:00Z" }];
+  assert.equal((await app.request("POST", `/posts/import/${owner.userId}`, { token: editor.token, body: rows })).status, 200);
+  const future = [{ title: "На будущее", scheduledAt: "2031-01-01T00:00:00Z" }];
+  assert.equal((await app.request("POST", `/posts/import/${owner.userId}`, { token: editor.token, body: future })).status, 403);
+});
@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { extractJson, validatePosts, buildRepairPrompt, TITLE_MAX_LENGTH } from "../validation.js";
+
+test("extractJson strips ```json fences and surrounding text", () => {
+  assert.deepEqual(extractJson('```json\n[{"title":"a"}]\n```'), { ok: true, value: [{ title: "a" }] });
+  assert.deepEqual(extractJson('Вот посты: [{"title":"a"}] Надеюсь, подойдёт'), { ok: true, value: [{ title: "a" }] });
+  assert.equal(extractJson("").ok, false);
+  assert.equal(extractJson("не JSON").ok, false);
+});
+
+test("validatePosts unwraps objects, trims fields and reports bad items", () => {
+  const text = JSON.stringify({
+    posts: [
+      { title: " Заголовок ", description: " Текст " },
+      { title: "", description: "Без заголовка" },
+      { title: "x".repeat(TITLE_MAX_LENGTH + 1), description: "Длинный заголовок" },
+      "строка",
+    ],
+  });
+  const result = validatePosts(text, { count: 2 });
+  assert.deepEqual(result.posts, [{ title: "Заголовок", description: "Текст" }]);
+  assert.deepEqual(result.itemErrors.map((e) => e.index), [1, 2, 3]);
+  assert.deepEqual(result.errors, []);
+});
+
+test("validatePosts caps extra posts and reports missing ones", () => {
+  const post = { title: "t", description: "d" };
+  assert.equal(validatePosts(JSON.stringify([post, post, post]), { count: 2 }).posts.length, 2);
+  assert.deepEqual(validatePosts(JSON.stringify(post), { count: 2 }).errors, ["Ожидалось постов: 2, получено: 1"]);
+  assert.deepEqual(validatePosts('{"foo": 1}').errors, ["Ожидался JSON-массив постов"]);
+});
+
+test("buildRepairPrompt lists every problem", () => {
+  const prompt = buildRepairPrompt({ errors: ["мало постов"], itemErrors: [{ index: 0, errors: ["нет title"] }] }, 3);
+  assert.match(prompt, /- мало постов/);
+  assert.match(prompt, /пост #1: нет title/);
+  assert.match(prompt, /из 3 объектов/);
+});
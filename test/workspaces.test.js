@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { can, normalizeRole, getRequesterId, verifyUserOrReject } from "../workspaces.js";
+
+test("roles grant only their permissions", () => {
+  assert.ok(can("owner", "manage"));
+  assert.ok(can("editor", "generate") && !can("editor", "publish"));
+  assert.ok(can("publisher", "publish") && !can("publisher", "edit"));
+  assert.ok(can("viewer", "read") && !can("viewer", "edit"));
+  assert.equal(can("stranger", "read"), false);
+  assert.equal(can(null, "read"), false);
+});
+
+test("normalizeRole accepts member roles only", () => {
+  assert.equal(normalizeRole("editor"), "editor");
+  assert.throws(() => normalizeRole("owner"), { status: 400 });
+  assert.throws(() => normalizeRole(undefined), { status: 400 });
+});
+
+// запрос с уже определённым автором (authenticate кэширует его на req) и база с ролями участников
+const request = (requester) => ({ headers: { authorization: "Bearer t" }, requester: Promise.resolve(requester) });
+const members = (roles) => ({ get: async (sql, [workspaceId, userId]) => (roles[`${workspaceId}:${userId}`] ? { role: roles[`${workspaceId}:${userId}`] } : undefined) });
+function response() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => Object.assign(res, { statusCode: code });
+  res.json = (body) => Object.assign(res, { body });
+  return res;
+}
+
+test("getRequesterId returns the authenticated user or null", async () => {
+  assert.equal(await getRequesterId(members({}), request({ userId: 7, scopes: null })), 7);
+  assert.equal(await getRequesterId(members({}), request(null)), null);
+});
+
+test("verifyUserOrReject checks the session, the API key scopes and the workspace role", async () => {
+  const database = members({ "1:2": "editor", "1:3": "viewer" });
+  const check = async (requester, userId, permission) => {
+    const res = response();
+    const ok = await verifyUserOrReject(database, userId, request(requester), res, permission);
+    return ok ? "ok" : res.statusCode;
+  };
+
+  assert.equal(await check({ userId: 1, scopes: null }, "1"), "ok");
+  assert.equal(await check(null, 1, "read"), 401);
+  assert.equal(await check({ userId: 2, scopes: null }, 1, "edit"), "ok");
+  assert.equal(await check({ userId: 3, scopes: null }, 1, "edit"), 403);
+  assert.equal(await check({ userId: 4, scopes: null }, 1, "read"), 403);
+  // без permission — только сам пользователь и не по API-ключу
+  assert.equal(await check({ userId: 2, scopes: null }, 1), 403);
+  assert.equal(await check({ userId: 1, scopes: ["posts:read"] }, 1), 403);
+  assert.equal(await check({ userId: 1, scopes: ["posts:read"] }, 1, "read"), "ok");
+  assert.equal(await check({ userId: 2, scopes: ["posts:read"] }, 1, "edit"), 403);
+});
@@ -0,0 +1,196 @@
+// Часовой пояс пользователя и тихие часы.
+//
+// В базе scheduledAt всегда хранится в UTC (toISOString), чтобы планировщик мог сравнивать строки.
+// Клиент может прислать время со смещением (Z, +03:00) или локальное без смещения — тогда оно
+// считается временем в часовом поясе пользователя (IANA, например Europe/Moscow; по умолчанию UTC).
+//
+// Тихие часы — окно локального времени [start, end), например 22:00–08:00 (может переходить через полночь).
+// Планировщик ничего не отправляет в тихие часы; режим решает, что делать при явном планировании
+// на это время: hold — принять (пост уйдёт, когда окно закончится), reject — отклонить.
+
+export const DEFAULT_TIMEZONE = "UTC";
+export const QUIET_HOURS_MODES = ["hold", "reject"];
+export const DEFAULT_QUIET_HOURS_MODE = "hold";
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const LOCAL_RE = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?$/;
+const OFFSET_RE = /(Z|[+-]\d{2}:?\d{2})$/i;
+const DAY_MINUTES = 24 * 60;
+
+function timezoneError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const formatters = new Map();
+
+function formatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(
+      timezone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timezone);
+}
+
+// поля даты в часовом поясе: { year, month, day, hour, minute, second }
+function localParts(date, timezone) {
+  const parts = {};
+  for (const { type, value } of formatter(timezone).formatToParts(date)) {
+    if (type !== "literal") parts[type] = Number(value);
+  }
+  return parts;
+}
+
+// смещение пояса от UTC в минутах в момент date (+180 для Europe/Moscow)
+function offsetMinutes(date, timezone) {
+  const p = localParts(date, timezone);
+  const local = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return Math.round((local - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Wall-clock time of a moment: Date, у которого UTC-поля — местное время в timezone.
+ * Дни, недели и правила повторения считаются по таким датам обычной арифметикой UTC.
+ */
+export function toWallClock(value, timezone = DEFAULT_TIMEZONE) {
+  const date = new Date(value);
+  return new Date(date.getTime() + offsetMinutes(date, timezone) * 60000);
+}
+
+/**
+ * Moment of a wall-clock time in timezone (обратное к toWallClock). Время, пропущенное при переходе
+ * на летнее время, сдвигается вперёд на величину перехода; повторившееся — берётся второе.
+ */
+export function fromWallClock(wall, timezone = DEFAULT_TIMEZONE) {
+  const time = new Date(wall).getTime();
+  // смещение берётся на момент самого времени; второй проход — для дней перехода на летнее время
+  let utc = time - offsetMinutes(new Date(time), timezone) * 60000;
+  utc = time - offsetMinutes(new Date(utc), timezone) * 60000;
+  return new Date(utc);
+}
+
+/**
+ * Validate an IANA timezone name. Returns canonical name. Бросает ошибку с status 400.
+ */
+export function normalizeTimezone(value) {
+  try {
+    return new Intl.DateTimeFormat("en-US", { timeZone: String(value) }).resolvedOptions().timeZone;
+  } catch {
+    throw timezoneError(`Неизвестный часовой пояс «${value}» (ожидается имя IANA, например Europe/Moscow)`);
+  }
+}
+
+/**
+ * Parse scheduledAt from a client: ISO 8601 со смещением — как есть, без смещения — локальное время
+ * в timezone. Бросает ошибку с status 400. Returns UTC ISO string
+ */
+export function parseScheduledAt(value, timezone = DEFAULT_TIMEZONE) {
+  const text = String(value ?? "").trim();
+  const local = LOCAL_RE.exec(text);
+  if (!local) {
+    const date = OFFSET_RE.test(text) ? new Date(text) : new Date(NaN);
+    if (Number.isNaN(date.getTime()))
+      throw timezoneError("scheduledAt должен быть датой ISO 8601: 2026-11-01T09:00 (в часовом поясе пользователя) или со смещением");
+    return date.toISOString();
+  }
+
+  const [year, month, day, hour, minute, second = 0] = local.slice(1).map((n) => Number(n || 0));
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  const check = new Date(wall);
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day)
+    throw timezoneError("scheduledAt: несуществующая дата");
+
+  return fromWallClock(wall, timezone).toISOString();
+}
+
+/**
+ * Local time of a UTC moment as ISO 8601 with offset: 2026-11-01T12:00:00+03:00.
+ */
+export function toLocalIso(value, timezone = DEFAULT_TIMEZONE) {
+  if (!value) return null;
+  const date = new Date(value);
+  const p = localParts(date, timezone);
+  const offset = offsetMinutes(date, timezone);
+  const pad = (n) => String(n).padStart(2, "0");
+  const sign = offset < 0 ? "-" : "+";
+  const abs = Math.abs(offset);
+  return (
+    `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}` +
+    `${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`
+  );
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Validate quiet hours { start, end, mode }: start и end — HH:MM, оба пустые — тихих часов нет.
+ * Бросает ошибку с status 400. Returns { start, end, mode } or null
+ */
+export function normalizeQuietHours({ start, end, mode } = {}) {
+  if (!start && !end) return null;
+  if (!TIME_RE.test(start || "") || !TIME_RE.test(end || ""))
+    throw timezoneError("quiet_hours_start и quiet_hours_end должны быть в формате HH:MM");
+  if (start === end) throw timezoneError("Начало и конец тихих часов не должны совпадать");
+  const quietMode = mode || DEFAULT_QUIET_HOURS_MODE;
+  if (!QUIET_HOURS_MODES.includes(quietMode))
+    throw timezoneError(`quiet_hours_mode должен быть одним из: ${QUIET_HOURS_MODES.join(", ")}`);
+  return { start, end, mode: quietMode };
+}
+
+/**
+ * Quiet hours of a users row (колонки quiet_hours_*). Returns { start, end, mode } or null
+ */
+export function userQuietHours(user) {
+  if (!user?.quiet_hours_start || !user?.quiet_hours_end) return null;
+  return { start: user.quiet_hours_start, end: user.quiet_hours_end, mode: user.quiet_hours_mode || DEFAULT_QUIET_HOURS_MODE };
+}
+
+function localMinutes(date, timezone) {
+  const p = localParts(date, timezone);
+  return p.hour * 60 + p.minute;
+}
+
+/**
+ * Whether the moment falls into quiet hours (в часовом поясе пользователя).
+ */
+export function inQuietHours(value, quiet, timezone = DEFAULT_TIMEZONE) {
+  if (!quiet) return false;
+  const minutes = localMinutes(new Date(value), timezone);
+  const start = toMinutes(quiet.start);
+  const end = toMinutes(quiet.end);
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * When the quiet window containing the moment ends. Returns Date (или сам момент, если он не в тихих часах)
+ */
+export function quietHoursEnd(value, quiet, timezone = DEFAULT_TIMEZONE) {
+  const date = new Date(value);
+  if (!inQuietHours(date, quiet, timezone)) return date;
+  const wait = (toMinutes(quiet.end) - localMinutes(date, timezone) + DAY_MINUTES) % DAY_MINUTES;
+  const minuteStart = Math.floor(date.getTime() / 60000) * 60000;
+  return new Date(minuteStart + wait * 60000);
+}
+
+/**
+ * Reject mode: бросает ошибку с status 400, если момент попадает в тихие часы (в режиме hold — ничего).
+ */
+export function checkQuietHours(value, quiet, timezone = DEFAULT_TIMEZONE) {
+  if (quiet?.mode !== "reject" || !inQuietHours(value, quiet, timezone)) return;
+  throw timezoneError(`${toLocalIso(value, timezone)} попадает в тихие часы ${quiet.start}–${quiet.end} (${timezone})`);
+}
@@ -1,89 +1,42 @@
 // users.js (исправленный — register/login генерируют/возвращают auth_token; остальные методы требуют токен/owner)
 import express from "express";
 import cors from "cors";
-import sqlite3 from "sqlite3";
-import { open } from "sqlite";
 import bcrypt from "bcrypt";
-import dotenv from "dotenv";
-import path from "path";
-import { fileURLToPath } from "url";
 import crypto from "crypto";
+import dotenv from "dotenv";
+import { db, transaction } from "./db.js";
+import { normalizeTemplate, normalizeVariables } from "./prompts.js";
+import { PROVIDERS, checkBaseUrl } from "./llm.js";
+import { PARSE_MODES, DEFAULT_PARSE_MODE } from "./formatting.js";
+import { DEFAULT_TIMEZONE, normalizeTimezone, normalizeQuietHours, userQuietHours } from "./timezone.js";
+import { DEFAULT_DUPLICATE_THRESHOLD, normalizeThreshold } from "./similarity.js";
+import { normalizeRole, getRequesterId, verifyUserOrReject } from "./workspaces.js";
+import {
+  authenticate,
+  createSession,
+  generateApiKey,
+  normalizeScopes,
+  scopeAllows,
+  unauthenticated,
+} from "./auth.js";
+import { encryptToken, decryptToken, maskToken, isMaskedToken, verifyBot } from "./bots.js";
+import {
+  limits,
+  limitByIp,
+  sendRateLimited,
+  loginLockout,
+  recordLoginFailure,
+  recordLoginSuccess,
+} from "./ratelimit.js";
 
 dotenv.config();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 const router = express.Router();
 router.use(cors());
 router.use(express.json());
 
-let db;
-(async () => {
-  db = await open({
-    filename: path.join(__dirname, "users.db"),
-    driver: sqlite3.Database,
-  });
-
-  await db.exec(`
-    CREATE TABLE IF NOT EXISTS users (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      username TEXT UNIQUE NOT NULL,
-      password TEXT NOT NULL,
-      telegram_token TEXT,
-      channel_id TEXT,
-      createdAt TEXT DEFAULT CURRENT_TIMESTAMP,
-      add_images INTEGER DEFAULT 1,
-      use_own_posts INTEGER DEFAULT 0,
-      use_other_channels INTEGER DEFAULT 0,
-      channels_list TEXT,
-      use_sites INTEGER DEFAULT 0,
-      sites_list TEXT,
-      auth_token TEXT UNIQUE
-    )
-  `);
-})();
-
-/**
- * Helper: get requester id by auth token (x-auth-token) OR fallback to numeric userId (x-auth-token)
- * Returns number or null
- */
-async function getRequesterId(req) {
-  // token first
-  const token =
-    req.headers["x-auth-token"] ||
-    req.headers["x_auth_token"] ||
-    (req.body && req.body.auth_token) ||
-    (req.query && req.query.auth_token);
-
-  if (token) {
-    try {
-      const row = await db.get("SELECT id FROM users WHERE auth_token = ?", token);
-      if (row && row.id) return row.id;
-    } catch (e) {
-      // ignore, fallback to legacy
-    }
-  }
-
-  // legacy: numeric userId in body/query/header
-  if (req.body && req.body.userId !== undefined && req.body.userId !== null) {
-    const n = Number(req.body.userId);
-    return Number.isInteger(n) ? n : null;
-  }
-  if (req.query && req.query.userId !== undefined && req.query.userId !== null) {
-    const n = Number(req.query.userId);
-    return Number.isInteger(n) ? n : null;
-  }
-  const header = req.headers["x-auth-token"] || req.headers["x_user_id"];
-  if (header !== undefined && header !== null) {
-    const n = Number(header);
-    return Number.isInteger(n) ? n : null;
-  }
-  return null;
-}
-
-// Public: регистрация (без проверок userId) — генерируем auth_token и возвращаем его
-router.post("/register", async (req, res) => {
+// Public: регистрация (без проверок userId) — сразу открываем сессию и возвращаем её auth_token
+router.post("/register", limitByIp(limits.register_ip), async (req, res) => {
   try {
     const { username, password, telegram_token, channel_id } = req.body;
 
@@ -94,54 +47,226 @@ router.post("/register", async (req, res) => {
     if (existing) return res.status(400).json({ success: false, error: "Такой пользователь уже существует" });
 
     const hashed = await bcrypt.hash(password, 10);
-    const auth_token = crypto.randomBytes(32).toString("hex");
 
-    const result = await db.run(
-      "INSERT INTO users (username, password, telegram_token, channel_id, auth_token) VALUES (?, ?, ?, ?, ?)",
-      [username, hashed, telegram_token, channel_id, auth_token]
-    );
+    const { userId, session } = await transaction(async () => {
+      const result = await db.run(
+        "INSERT INTO users (username, password, telegram_token, channel_id) VALUES (?, ?, ?, ?)",
+        [username, hashed, encryptToken(telegram_token), channel_id]
+      );
+      return { userId: result.lastID, session: await createSession(db, result.lastID, req) };
+    });
 
-    res.json({ success: true, message: "✅ Пользователь зарегистрирован", userId: result.lastID, auth_token });
+    res.json({
+      success: true,
+      message: "✅ Пользователь зарегистрирован",
+      userId,
+      auth_token: session.token,
+      expiresAt: session.expiresAt,
+    });
   } catch (err) {
     res.status(400).json({ success: false, error: err.message });
   }
 });
 
-// Public: вход (без проверок userId) — возвращаем auth_token
-router.post("/login", async (req, res) => {
+// хэш-заглушка: для несуществующего логина bcrypt выполняется так же долго, как для настоящего
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString("hex"), 10);
+
+// Public: вход (без проверок userId) — каждый вход открывает новую сессию со своим auth_token.
+// Неизвестный логин и неверный пароль неотличимы (401); после серии неудач с одного IP вход
+// с него блокируется с растущей паузой, после более длинной серии со всех IP — вход в аккаунт
+// (429 + Retry-After, см. ratelimit.js)
+router.post("/login", limitByIp(limits.login_ip), async (req, res) => {
   try {
     const { username, password } = req.body;
-    const user = await db.get("SELECT * FROM users WHERE username = ?", username);
-    if (!user) return res.status(404).json({ success: false, error: "Пользователь не найден" });
+    const locked = loginLockout(req.ip, username);
+    if (locked) return sendRateLimited(res, locked, `Слишком много неудачных попыток входа, повторите через ${locked} с`);
 
-    const match = await bcrypt.compare(password, user.password);
-    if (!match) return res.status(403).json({ success: false, error: "Неверный пароль" });
+    const user = await db.get("SELECT * FROM users WHERE username = ?", username);
+    const match = await bcrypt.compare(String(password ?? ""), user?.password || DUMMY_PASSWORD_HASH);
+    if (!user || !match) {
+      const lockSeconds = recordLoginFailure(req.ip, username);
+      if (lockSeconds) res.set("Retry-After", String(lockSeconds));
+      return res.status(401).json({ success: false, error: "Неверный логин или пароль" });
+    }
+    recordLoginSuccess(req.ip, username);
 
+    const session = await createSession(db, user.id, req);
     res.json({
       success: true,
       message: "✅ Вход выполнен",
       userId: user.id,
-      telegram_token: user.telegram_token,
+      telegram_token: maskToken(user.telegram_token),
       channel_id: user.channel_id,
-      auth_token: user.auth_token
+      auth_token: session.token,
+      expiresAt: session.expiresAt,
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * Helper: session of the request (выход и ротация работают только с токеном сессии).
+ * Returns requester or null if response already sent
+ */
+async function getSessionOrReject(req, res) {
+  const requester = await authenticate(db, req);
+  if (!requester) {
+    const { status, error } = unauthenticated(req);
+    res.status(status).json({ success: false, error });
+    return null;
+  }
+  if (requester.via !== "session") {
+    res.status(400).json({ success: false, error: "Нужен токен сессии (вход через /login)" });
+    return null;
+  }
+  return requester;
+}
+
+// ✅ выход: закрывает текущую сессию
+router.post("/logout", async (req, res) => {
+  try {
+    const requester = await getSessionOrReject(req, res);
+    if (!requester) return;
+
+    await db.run("DELETE FROM sessions WHERE id = ?", requester.sessionId);
+    res.json({ success: true, message: "👋 Выход выполнен" });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ выход на всех устройствах: закрывает все сессии пользователя (API-ключи не затрагиваются)
+router.post("/logout-all/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res)) return;
+
+    const result = await db.run("DELETE FROM sessions WHERE user_id = ?", userId);
+    res.json({ success: true, closed: result.changes });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ ротация токена: новая сессия с полным сроком жизни, старый токен сразу перестаёт действовать
+router.post("/sessions/rotate", async (req, res) => {
+  try {
+    const requester = await getSessionOrReject(req, res);
+    if (!requester) return;
+
+    const session = await transaction(async () => {
+      await db.run("DELETE FROM sessions WHERE id = ?", requester.sessionId);
+      return createSession(db, requester.userId, req);
     });
+    res.json({ success: true, auth_token: session.token, expiresAt: session.expiresAt });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ активные сессии пользователя; current — сессия этого запроса
+router.get("/sessions/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res)) return;
+
+    const { sessionId } = await authenticate(db, req);
+    const sessions = await db.all(
+      `SELECT id, user_agent, createdAt, expiresAt, lastUsedAt FROM sessions
+       WHERE user_id = ? AND expiresAt > ? ORDER BY id DESC`,
+      [userId, new Date().toISOString()]
+    );
+    res.json({ success: true, sessions: sessions.map((s) => ({ ...s, current: s.id === sessionId })) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ закрыть одну сессию (например, на потерянном устройстве)
+router.delete("/sessions/:userId/:sessionId", async (req, res) => {
+  try {
+    const { userId, sessionId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res)) return;
+
+    const result = await db.run("DELETE FROM sessions WHERE id = ? AND user_id = ?", [sessionId, userId]);
+    if (!result.changes) return res.status(404).json({ success: false, error: "Сессия не найдена" });
+    res.json({ success: true });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
 });
 
-// GET settings — доступен только владельцу (userId/token)
-// теперь возвращаем username, telegram_token, channel_id и все настройки
+function serializeApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: JSON.parse(row.scopes),
+    createdAt: row.createdAt,
+    expiresAt: row.expiresAt,
+    lastUsedAt: row.lastUsedAt,
+  };
+}
+
+// ✅ API-ключи пользователя (сам ключ не возвращается — только префикс)
+router.get("/api-keys/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res)) return;
+
+    const keys = await db.all("SELECT * FROM api_keys WHERE user_id = ? ORDER BY id", userId);
+    res.json({ success: true, keys: keys.map(serializeApiKey) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ выпуск API-ключа: name, scopes (posts:read, posts:write, posts:send, generate), expiresAt — необязательно.
+// Ключ показывается один раз; передаётся так же, как токен (x-auth-token или Authorization: Bearer)
+router.post("/api-keys/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res)) return;
+
+    const name = String(req.body.name ?? "").trim();
+    if (!name) return res.status(400).json({ success: false, error: "name обязателен" });
+    const scopes = normalizeScopes(req.body.scopes);
+    const expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+    if (expiresAt && !(expiresAt.getTime() > Date.now()))
+      return res.status(400).json({ success: false, error: "expiresAt должен быть датой в будущем" });
+
+    const { key, hash, prefix } = generateApiKey();
+    const result = await db.run(
+      "INSERT INTO api_keys (user_id, name, key_hash, prefix, scopes, expiresAt) VALUES (?, ?, ?, ?, ?, ?)",
+      [userId, name, hash, prefix, JSON.stringify(scopes), expiresAt && expiresAt.toISOString()]
+    );
+    res.json({ success: true, id: result.lastID, key, scopes, expiresAt: expiresAt && expiresAt.toISOString() });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ отзыв API-ключа
+router.delete("/api-keys/:userId/:keyId", async (req, res) => {
+  try {
+    const { userId, keyId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res)) return;
+
+    const result = await db.run("DELETE FROM api_keys WHERE id = ? AND user_id = ?", [keyId, userId]);
+    if (!result.changes) return res.status(404).json({ success: false, error: "Ключ не найден" });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// GET settings — владельцу и участникам пространства (userId/token)
+// теперь возвращаем username, telegram_token (в маскированном виде), channel_id и все настройки
 router.get("/settings/:userId", async (req, res) => {
   try {
     const { userId } = req.params;
-    const requesterId = await getRequesterId(req);
-    if (requesterId === null) {
-      return res.status(400).json({ success: false, error: "user authentication required (provide x-auth-token or auth_token or x-auth-token)" });
-    }
-    if (Number(userId) !== requesterId) {
-      return res.status(403).json({ success: false, error: "Доступ запрещён" });
-    }
+    if (!await verifyUserOrReject(db, userId, req, res, "read")) return;
 
     const settings = await db.get(
       `SELECT 
@@ -153,7 +278,20 @@ router.get("/settings/:userId", async (req, res) => {
          use_other_channels,
          channels_list,
          use_sites,
-         sites_list
+         sites_list,
+         llm_provider,
+         llm_model,
+         llm_temperature,
+         llm_base_url,
+         parse_mode,
+         require_approval,
+         reviewer_chat_id,
+         timezone,
+         quiet_hours_start,
+         quiet_hours_end,
+         quiet_hours_mode,
+         block_duplicates,
+         duplicate_threshold
        FROM users 
        WHERE id = ?`,
       userId
@@ -161,11 +299,12 @@ router.get("/settings/:userId", async (req, res) => {
 
     if (!settings) return res.status(404).json({ success: false, error: "Пользователь не найден" });
 
+    const quiet = userQuietHours(settings);
     res.json({
       success: true,
       settings: {
         username: settings.username,
-        telegram_token: settings.telegram_token,
+        telegram_token: maskToken(settings.telegram_token),
         channel_id: settings.channel_id,
         add_images: !!settings.add_images,
         use_own_posts: !!settings.use_own_posts,
@@ -173,6 +312,20 @@ router.get("/settings/:userId", async (req, res) => {
         channels_list: settings.channels_list ? JSON.parse(settings.channels_list) : [],
         use_sites: !!settings.use_sites,
         sites_list: settings.sites_list ? JSON.parse(settings.sites_list) : [],
+        llm_provider: settings.llm_provider,
+        llm_model: settings.llm_model,
+        llm_temperature: settings.llm_temperature,
+        llm_base_url: settings.llm_base_url,
+        parse_mode: settings.parse_mode || DEFAULT_PARSE_MODE,
+        require_approval: !!settings.require_approval,
+        reviewer_chat_id: settings.reviewer_chat_id || null,
+        timezone: settings.timezone || DEFAULT_TIMEZONE,
+        // тихих часов нет — null во всех трёх полях
+        quiet_hours_start: quiet?.start ?? null,
+        quiet_hours_end: quiet?.end ?? null,
+        quiet_hours_mode: quiet?.mode ?? null,
+        block_duplicates: !!settings.block_duplicates,
+        duplicate_threshold: settings.duplicate_threshold ?? DEFAULT_DUPLICATE_THRESHOLD,
       },
     });
   } catch (err) {
@@ -180,18 +333,13 @@ router.get("/settings/:userId", async (req, res) => {
   }
 });
 
-// PUT settings — доступен только владельцу (userId/token)
-// теперь можно также менять channel_id и telegram_token
+// PUT settings — доступен только владельцу пространства (userId/token)
+// теперь можно также менять channel_id и telegram_token: новую пару «бот + канал» сначала проверяем в Telegram;
+// маскированный токен из GET считается «без изменений»
 router.put("/settings/:userId", async (req, res) => {
   try {
     const { userId } = req.params;
-    const requesterId = await getRequesterId(req);
-    if (requesterId === null) {
-      return res.status(400).json({ success: false, error: "user authentication required (provide x-auth-token or auth_token or x-auth-token)" });
-    }
-    if (Number(userId) !== requesterId) {
-      return res.status(403).json({ success: false, error: "Доступ запрещён" });
-    }
+    if (!await verifyUserOrReject(db, userId, req, res, "manage")) return;
 
     const {
       add_images,
@@ -202,8 +350,48 @@ router.put("/settings/:userId", async (req, res) => {
       sites_list,
       channel_id,
       telegram_token,
+      llm_provider,
+      llm_model,
+      llm_temperature,
+      llm_base_url,
+      parse_mode,
+      require_approval,
+      reviewer_chat_id,
+      timezone,
+      block_duplicates,
+      duplicate_threshold,
     } = req.body;
 
+    if (llm_provider && !PROVIDERS.includes(llm_provider))
+      return res.status(400).json({ success: false, error: `llm_provider должен быть одним из: ${PROVIDERS.join(", ")}` });
+    if (llm_base_url) checkBaseUrl(llm_base_url);
+    const temperature = llm_temperature === undefined || llm_temperature === null ? null : Number(llm_temperature);
+    if (temperature !== null && !(temperature >= 0 && temperature <= 2))
+      return res.status(400).json({ success: false, error: "llm_temperature должен быть числом от 0 до 2" });
+    if (parse_mode && !PARSE_MODES.includes(parse_mode))
+      return res.status(400).json({ success: false, error: `parse_mode должен быть одним из: ${PARSE_MODES.join(", ")}` });
+
+    const zone = timezone === undefined || timezone === null || timezone === "" ? null : normalizeTimezone(timezone);
+    // порог сходства дублей: null — вернуть порог по умолчанию
+    const threshold = duplicate_threshold === undefined || duplicate_threshold === null ? null : normalizeThreshold(duplicate_threshold);
+
+    // тихие часы меняются, если передано любое из трёх полей; пустые start и end выключают их
+    const current = await db.get("SELECT quiet_hours_start, quiet_hours_end, quiet_hours_mode FROM users WHERE id = ?", userId);
+    const quietChanged = ["quiet_hours_start", "quiet_hours_end", "quiet_hours_mode"].some((key) => req.body[key] !== undefined);
+    const quiet = quietChanged
+      ? normalizeQuietHours({
+          start: req.body.quiet_hours_start === undefined ? current?.quiet_hours_start : req.body.quiet_hours_start,
+          end: req.body.quiet_hours_end === undefined ? current?.quiet_hours_end : req.body.quiet_hours_end,
+          mode: req.body.quiet_hours_mode === undefined ? current?.quiet_hours_mode : req.body.quiet_hours_mode,
+        })
+      : userQuietHours(current);
+
+    const newToken = telegram_token && !isMaskedToken(telegram_token) ? telegram_token : null;
+    if (newToken || channel_id) {
+      const current = await db.get("SELECT telegram_token, channel_id FROM users WHERE id = ?", userId);
+      await verifyBot(newToken || decryptToken(current.telegram_token), channel_id || current.channel_id);
+    }
+
     await db.run(
       `UPDATE users
        SET 
@@ -214,7 +402,20 @@ router.put("/settings/:userId", async (req, res) => {
          use_sites = ?, 
          sites_list = ?,
          channel_id = COALESCE(?, channel_id),
-         telegram_token = COALESCE(?, telegram_token)
+         telegram_token = COALESCE(?, telegram_token),
+         llm_provider = COALESCE(?, llm_provider),
+         llm_model = COALESCE(?, llm_model),
+         llm_temperature = COALESCE(?, llm_temperature),
+         llm_base_url = COALESCE(?, llm_base_url),
+         parse_mode = COALESCE(?, parse_mode),
+         require_approval = COALESCE(?, require_approval),
+         reviewer_chat_id = COALESCE(?, reviewer_chat_id),
+         timezone = COALESCE(?, timezone),
+         quiet_hours_start = ?,
+         quiet_hours_end = ?,
+         quiet_hours_mode = COALESCE(?, quiet_hours_mode),
+         block_duplicates = COALESCE(?, block_duplicates),
+         duplicate_threshold = CASE WHEN ? THEN ? ELSE duplicate_threshold END
        WHERE id = ?`,
       [
         add_images ? 1 : 0,
@@ -224,12 +425,450 @@ router.put("/settings/:userId", async (req, res) => {
         use_sites ? 1 : 0,
         JSON.stringify(sites_list || []),
         channel_id || null,
-        telegram_token || null,
+        newToken && encryptToken(newToken),
+        llm_provider || null,
+        llm_model || null,
+        temperature,
+        llm_base_url || null,
+        parse_mode || null,
+        // согласование меняется только явно; пустой reviewer_chat_id сбрасывает чат ревьюера
+        require_approval === undefined ? null : require_approval ? 1 : 0,
+        reviewer_chat_id === undefined || reviewer_chat_id === null ? null : String(reviewer_chat_id).trim(),
+        zone,
+        quiet?.start ?? null,
+        quiet?.end ?? null,
+        quiet?.mode ?? null,
+        // блокировка дублей и порог меняются только явно
+        block_duplicates === undefined ? null : block_duplicates ? 1 : 0,
+        duplicate_threshold === undefined ? 0 : 1,
+        threshold,
         userId,
       ]
     );
 
     res.json({ success: true, message: "✅ Настройки обновлены" });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ список каналов пространства — владельцу и участникам; токены ботов — в маскированном виде
+router.get("/channels/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "read")) return;
+
+    const channels = await db.all(
+      "SELECT id, title, telegram_token, channel_id, createdAt FROM channels WHERE user_id = ? ORDER BY id",
+      userId
+    );
+    res.json({ success: true, channels: channels.map((c) => ({ ...c, telegram_token: maskToken(c.telegram_token) })) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ добавление канала (бот + канал) — владелец пространства; бот должен уметь публиковать в канале
+router.post("/channels/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "manage")) return;
+
+    const { title, telegram_token, channel_id } = req.body;
+    if (!telegram_token || isMaskedToken(telegram_token) || !channel_id)
+      return res.status(400).json({ success: false, error: "telegram_token и channel_id обязательны" });
+
+    await verifyBot(telegram_token, channel_id);
+    const result = await db.run(
+      "INSERT INTO channels (user_id, title, telegram_token, channel_id) VALUES (?, ?, ?, ?)",
+      [userId, title || null, encryptToken(telegram_token), channel_id]
+    );
+    res.json({ success: true, id: result.lastID });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ изменение канала
+router.put("/channels/:userId/:channelId", async (req, res) => {
+  try {
+    const { userId, channelId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "manage")) return;
+
+    const channel = await db.get(
+      "SELECT * FROM channels WHERE id = ? AND user_id = ?",
+      [channelId, userId]
+    );
+    if (!channel) return res.status(404).json({ success: false, error: "Канал не найден" });
+
+    const { title, telegram_token, channel_id } = req.body;
+    const newToken = telegram_token && !isMaskedToken(telegram_token) ? telegram_token : null;
+    if (newToken || channel_id)
+      await verifyBot(newToken || decryptToken(channel.telegram_token), channel_id || channel.channel_id);
+
+    await db.run(
+      "UPDATE channels SET title = ?, telegram_token = ?, channel_id = ? WHERE id = ?",
+      [
+        title === undefined ? channel.title : title,
+        newToken ? encryptToken(newToken) : channel.telegram_token,
+        channel_id || channel.channel_id,
+        channelId,
+      ]
+    );
+    res.json({ success: true, message: "✅ Канал обновлён" });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ проверка бота: getMe, getChat и права администратора с публикацией в канале.
+// Без параметров проверяется сохранённая пара (канал по умолчанию или channelId из списка каналов);
+// telegram_token / channel_id в теле — проверка новых значений до сохранения
+router.post("/verify-bot/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "manage")) return;
+
+    const { channelId, telegram_token, channel_id } = req.body;
+    const stored = channelId !== undefined
+      ? await db.get("SELECT telegram_token, channel_id FROM channels WHERE id = ? AND user_id = ?", [channelId, userId])
+      : await db.get("SELECT telegram_token, channel_id FROM users WHERE id = ?", userId);
+    if (!stored) return res.status(404).json({ success: false, error: "Канал не найден" });
+
+    const token = telegram_token && !isMaskedToken(telegram_token) ? telegram_token : decryptToken(stored.telegram_token);
+    if (!token) return res.status(400).json({ success: false, error: "Не задан telegram_token" });
+
+    const result = await verifyBot(token, channel_id || stored.channel_id);
+    res.json({ success: true, telegram_token: maskToken(token), ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ удаление канала
+router.delete("/channels/:userId/:channelId", async (req, res) => {
+  try {
+    const { userId, channelId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "manage")) return;
+
+    const result = await db.run(
+      "DELETE FROM channels WHERE id = ? AND user_id = ?",
+      [channelId, userId]
+    );
+    if (!result.changes) return res.status(404).json({ success: false, error: "Канал не найден" });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ расход токенов LLM — владельцу и участникам; from/to — фильтр по дате вызова
+router.get("/usage/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "read")) return;
+
+    const where = ["user_id = ?"];
+    const params = [userId];
+    if (req.query.from) {
+      where.push("datetime(createdAt) >= datetime(?)");
+      params.push(req.query.from);
+    }
+    if (req.query.to) {
+      where.push("datetime(createdAt) <= datetime(?)");
+      params.push(req.query.to);
+    }
+
+    const byModel = await db.all(
+      `SELECT provider, model, COUNT(*) AS calls,
+         SUM(prompt_tokens) AS prompt_tokens,
+         SUM(completion_tokens) AS completion_tokens,
+         SUM(total_tokens) AS total_tokens
+       FROM llm_usage WHERE ${where.join(" AND ")}
+       GROUP BY provider, model ORDER BY total_tokens DESC`,
+      params
+    );
+    const total = byModel.reduce(
+      (acc, row) => ({
+        calls: acc.calls + row.calls,
+        prompt_tokens: acc.prompt_tokens + row.prompt_tokens,
+        completion_tokens: acc.completion_tokens + row.completion_tokens,
+        total_tokens: acc.total_tokens + row.total_tokens,
+      }),
+      { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    );
+
+    res.json({ success: true, total, byModel });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+function serializeTemplate(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    template: row.template,
+    variables: row.variables ? JSON.parse(row.variables) : {},
+    is_default: !!row.is_default,
+    createdAt: row.createdAt,
+  };
+}
+
+// ✅ шаблоны промптов пространства; менять могут владелец и редакторы
+router.get("/templates/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "read")) return;
+
+    const templates = await db.all(
+      "SELECT * FROM prompt_templates WHERE user_id = ? ORDER BY id",
+      userId
+    );
+    res.json({ success: true, templates: templates.map(serializeTemplate) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ создание шаблона; is_default — использовать при генерации без templateId
+router.post("/templates/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "edit")) return;
+
+    const { name, template, variables, is_default } = req.body;
+    if (!name)
+      return res.status(400).json({ success: false, error: "name обязателен" });
+
+    const text = template ? normalizeTemplate(template) : null;
+    const vars = normalizeVariables(variables || {});
+
+    // шаблон по умолчанию у пользователя один
+    const id = await transaction(async () => {
+      if (is_default)
+        await db.run("UPDATE prompt_templates SET is_default = 0 WHERE user_id = ?", userId);
+      const result = await db.run(
+        "INSERT INTO prompt_templates (user_id, name, template, variables, is_default) VALUES (?, ?, ?, ?, ?)",
+        [userId, name, text, JSON.stringify(vars), is_default ? 1 : 0]
+      );
+      return result.lastID;
+    });
+    res.json({ success: true, id });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ изменение шаблона (не переданные поля не меняются, template: null — встроенный шаблон)
+router.put("/templates/:userId/:templateId", async (req, res) => {
+  try {
+    const { userId, templateId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "edit")) return;
+
+    const existing = await db.get(
+      "SELECT * FROM prompt_templates WHERE id = ? AND user_id = ?",
+      [templateId, userId]
+    );
+    if (!existing) return res.status(404).json({ success: false, error: "Шаблон не найден" });
+
+    const { name, template, variables, is_default } = req.body;
+    const text =
+      template === undefined ? existing.template : template === null ? null : normalizeTemplate(template);
+    const vars =
+      variables === undefined ? existing.variables : JSON.stringify(normalizeVariables(variables || {}));
+
+    await transaction(async () => {
+      if (is_default)
+        await db.run("UPDATE prompt_templates SET is_default = 0 WHERE user_id = ?", userId);
+      await db.run(
+        "UPDATE prompt_templates SET name = ?, template = ?, variables = ?, is_default = ? WHERE id = ?",
+        [
+          name || existing.name,
+          text,
+          vars,
+          is_default === undefined ? existing.is_default : is_default ? 1 : 0,
+          templateId,
+        ]
+      );
+    });
+    res.json({ success: true, message: "✅ Шаблон обновлён" });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ удаление шаблона
+router.delete("/templates/:userId/:templateId", async (req, res) => {
+  try {
+    const { userId, templateId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "edit")) return;
+
+    const result = await db.run(
+      "DELETE FROM prompt_templates WHERE id = ? AND user_id = ?",
+      [templateId, userId]
+    );
+    if (!result.changes) return res.status(404).json({ success: false, error: "Шаблон не найден" });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+/**
+ * Helper: member row with username (для списков участников и приглашений).
+ */
+function serializeMember(row) {
+  return {
+    id: row.id,
+    workspaceId: row.workspace_id,
+    userId: row.user_id,
+    username: row.username,
+    role: row.role,
+    status: row.status,
+    invitedBy: row.invited_by,
+    createdAt: row.createdAt,
+    acceptedAt: row.acceptedAt,
+  };
+}
+
+// ✅ пространства, в которых работает пользователь: своё (owner) и принятые приглашения
+router.get("/workspaces/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res)) return;
+
+    const own = await db.get("SELECT id, username FROM users WHERE id = ?", userId);
+    const memberships = await db.all(
+      `SELECT m.workspace_id AS id, u.username, m.role
+       FROM workspace_members m JOIN users u ON u.id = m.workspace_id
+       WHERE m.user_id = ? AND m.status = 'active'
+       ORDER BY m.id`,
+      userId
+    );
+    res.json({
+      success: true,
+      workspaces: [{ id: own.id, username: own.username, role: "owner" }, ...memberships],
+    });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ участники пространства (вместе с неподтверждёнными приглашениями)
+router.get("/members/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "read")) return;
+
+    const rows = await db.all(
+      `SELECT m.*, u.username FROM workspace_members m JOIN users u ON u.id = m.user_id
+       WHERE m.workspace_id = ? ORDER BY m.id`,
+      userId
+    );
+    res.json({ success: true, members: rows.map(serializeMember) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ приглашение в пространство по username с ролью editor / publisher / viewer
+router.post("/members/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "manage")) return;
+
+    const role = normalizeRole(req.body.role);
+    const invitee = await db.get("SELECT id FROM users WHERE username = ?", req.body.username);
+    if (!invitee) return res.status(404).json({ success: false, error: "Пользователь не найден" });
+    if (invitee.id === Number(userId))
+      return res.status(400).json({ success: false, error: "Владелец уже состоит в пространстве" });
+
+    const existing = await db.get(
+      "SELECT id FROM workspace_members WHERE workspace_id = ? AND user_id = ?",
+      [userId, invitee.id]
+    );
+    if (existing)
+      return res.status(409).json({ success: false, error: "Пользователь уже приглашён или состоит в пространстве" });
+
+    const result = await db.run(
+      "INSERT INTO workspace_members (workspace_id, user_id, role, invited_by) VALUES (?, ?, ?, ?)",
+      [userId, invitee.id, role, await getRequesterId(db, req)]
+    );
+    res.json({ success: true, id: result.lastID, message: "✅ Приглашение отправлено" });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ смена роли участника
+router.put("/members/:userId/:memberId", async (req, res) => {
+  try {
+    const { userId, memberId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res, "manage")) return;
+
+    const role = normalizeRole(req.body.role);
+    const result = await db.run(
+      "UPDATE workspace_members SET role = ? WHERE workspace_id = ? AND user_id = ?",
+      [role, userId, memberId]
+    );
+    if (!result.changes) return res.status(404).json({ success: false, error: "Участник не найден" });
+    res.json({ success: true, message: "✅ Роль обновлена" });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ удаление участника или отзыв приглашения; участник может удалить себя сам (выйти / отклонить приглашение)
+router.delete("/members/:userId/:memberId", async (req, res) => {
+  try {
+    const { userId, memberId } = req.params;
+    const requester = await authenticate(db, req);
+    const leaving = !!requester && !requester.scopes && Number(memberId) === requester.userId;
+    if (!leaving && !await verifyUserOrReject(db, userId, req, res, "manage")) return;
+
+    const result = await db.run(
+      "DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?",
+      [userId, memberId]
+    );
+    if (!result.changes) return res.status(404).json({ success: false, error: "Участник не найден" });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ входящие приглашения пользователя
+router.get("/invites/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res)) return;
+
+    const rows = await db.all(
+      `SELECT m.*, u.username FROM workspace_members m JOIN users u ON u.id = m.workspace_id
+       WHERE m.user_id = ? AND m.status = 'invited' ORDER BY m.id`,
+      userId
+    );
+    // username здесь — владелец пространства, куда зовут
+    res.json({ success: true, invites: rows.map(serializeMember) });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// ✅ принять приглашение
+router.post("/invites/:userId/:inviteId/accept", async (req, res) => {
+  try {
+    const { userId, inviteId } = req.params;
+    if (!await verifyUserOrReject(db, userId, req, res)) return;
+
+    const result = await db.run(
+      `UPDATE workspace_members SET status = 'active', acceptedAt = ?
+       WHERE id = ? AND user_id = ? AND status = 'invited'`,
+      [new Date().toISOString(), inviteId, userId]
+    );
+    if (!result.changes) return res.status(404).json({ success: false, error: "Приглашение не найдено" });
+    res.json({ success: true, message: "✅ Приглашение принято" });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -0,0 +1,112 @@
+// Проверка ответа модели: извлечение JSON из «грязного» текста и валидация постов по схеме.
+
+export const TITLE_MAX_LENGTH = 200;
+export const DESCRIPTION_MAX_LENGTH = 3800;
+
+// ключи, под которыми модели любят заворачивать массив в объект
+const ARRAY_KEYS = ["posts", "items", "data", "result", "results"];
+
+function tryParse(text) {
+  try {
+    return { ok: true, value: JSON.parse(text) };
+  } catch {
+    return { ok: false };
+  }
+}
+
+/**
+ * Extract a JSON value from model output:
+ * - убирает обёртку ```json … ```
+ * - вырезает массив/объект из окружающего текста
+ * Returns { ok: true, value } or { ok: false, error }
+ */
+export function extractJson(text) {
+  const raw = String(text ?? "").trim();
+  if (!raw) return { ok: false, error: "Пустой ответ модели" };
+
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(raw);
+  const body = (fenced ? fenced[1] : raw).trim();
+
+  const direct = tryParse(body);
+  if (direct.ok) return direct;
+
+  for (const [open, close] of [["[", "]"], ["{", "}"]]) {
+    const start = body.indexOf(open);
+    const end = body.lastIndexOf(close);
+    if (start !== -1 && end > start) {
+      const sliced = tryParse(body.slice(start, end + 1));
+      if (sliced.ok) return sliced;
+    }
+  }
+  return { ok: false, error: "Ответ не содержит корректного JSON" };
+}
+
+// объект вместо массива: { posts: [...] } или один пост { title, description }
+function toArray(value) {
+  if (Array.isArray(value)) return value;
+  if (value && typeof value === "object") {
+    const key = ARRAY_KEYS.find((k) => Array.isArray(value[k]));
+    if (key) return value[key];
+    if ("title" in value || "description" in value) return [value];
+  }
+  return null;
+}
+
+function validateItem(item) {
+  const errors = [];
+  if (!item || typeof item !== "object" || Array.isArray(item))
+    return { errors: ["пост должен быть объектом с полями title и description"] };
+
+  const title = typeof item.title === "string" ? item.title.trim() : "";
+  const description = typeof item.description === "string" ? item.description.trim() : "";
+
+  if (!title) errors.push("нет title");
+  else if (title.length > TITLE_MAX_LENGTH) errors.push(`title длиннее ${TITLE_MAX_LENGTH} символов`);
+  if (!description) errors.push("нет description");
+  else if (description.length > DESCRIPTION_MAX_LENGTH)
+    errors.push(`description длиннее ${DESCRIPTION_MAX_LENGTH} символов`);
+
+  return errors.length ? { errors } : { post: { title, description } };
+}
+
+/**
+ * Validate model output against the posts schema.
+ * Returns {
+ *   posts: валидные посты [{ title, description }] (не больше count),
+ *   itemErrors: [{ index, errors: [...] }],
+ *   errors: общие проблемы (не JSON, не массив, не то количество)
+ * }
+ */
+export function validatePosts(text, { count } = {}) {
+  const parsed = extractJson(text);
+  if (!parsed.ok) return { posts: [], itemErrors: [], errors: [parsed.error] };
+
+  const items = toArray(parsed.value);
+  if (!items) return { posts: [], itemErrors: [], errors: ["Ожидался JSON-массив постов"] };
+
+  const posts = [];
+  const itemErrors = [];
+  items.forEach((item, index) => {
+    const result = validateItem(item);
+    if (result.post) posts.push(result.post);
+    else itemErrors.push({ index, errors: result.errors });
+  });
+
+  // лишние посты просто отбрасываются, нехватка — повод переспросить модель
+  const errors = [];
+  if (count && items.length < count)
+    errors.push(`Ожидалось постов: ${count}, получено: ${items.length}`);
+
+  return { posts: count ? posts.slice(0, count) : posts, itemErrors, errors };
+}
+
+/**
+ * Text of the follow-up message asking the model to fix its answer.
+ */
+export function buildRepairPrompt({ errors, itemErrors }, count) {
+  const problems = [
+    ...errors,
+    ...itemErrors.map((e) => `пост #${e.index + 1}: ${e.errors.join(", ")}`),
+  ];
+  return `Ответ не прошёл проверку:\n- ${problems.join("\n- ")}\n\nВерни исправленный ответ: только JSON-массив из ${count} объектов с непустыми строковыми полями title (до ${TITLE_MAX_LENGTH} символов) и description (до ${DESCRIPTION_MAX_LENGTH} символов). Без обёртки \`\`\`json и без пояснений.`;
+}
@@ -0,0 +1,124 @@
+// Рабочие пространства: пространство — это аккаунт владельца (его userId), ему принадлежат
+// каналы, посты, шаблоны и настройки. Другие пользователи работают в нём как участники с ролью.
+
+import { authenticate, scopeAllows, unauthenticated } from "./auth.js";
+
+export const ROLES = ["owner", "editor", "publisher", "viewer"];
+
+// роли, которые можно выдать при приглашении (владелец у пространства один)
+export const MEMBER_ROLES = ["editor", "publisher", "viewer"];
+
+// read — просмотр, edit — создание и правка постов, generate — генерация постов моделью,
+// publish — расписание, отправка и согласование, manage — участники, настройки, каналы и боты
+const PERMISSIONS = {
+  owner: ["read", "edit", "generate", "publish", "manage"],
+  editor: ["read", "edit", "generate"],
+  publisher: ["read", "publish"],
+  viewer: ["read"],
+};
+
+function roleError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/**
+ * Whether a role grants the permission (read | edit | generate | publish | manage).
+ */
+export function can(role, permission) {
+  return !!PERMISSIONS[role]?.includes(permission);
+}
+
+/**
+ * Validate a role for a member. Бросает ошибку с status 400.
+ */
+export function normalizeRole(value) {
+  if (!MEMBER_ROLES.includes(value))
+    throw roleError(`role должен быть одним из: ${MEMBER_ROLES.join(", ")}`);
+  return value;
+}
+
+/**
+ * Role of the requester in a workspace: owner — свой аккаунт, иначе роль принятого приглашения.
+ * - database: база (таблица workspace_members)
+ * Returns role or null
+ */
+export async function workspaceRole(database, workspaceId, requesterId) {
+  if (Number(workspaceId) === requesterId) return "owner";
+  const member = await database.get(
+    "SELECT role FROM workspace_members WHERE workspace_id = ? AND user_id = ? AND status = 'active'",
+    [workspaceId, requesterId]
+  );
+  return member?.role || null;
+}
+
+/**
+ * Helper: get requester id by session token / API key (см. auth.js)
+ * - database: база (таблицы sessions и api_keys)
+ * Returns number or null
+ */
+export async function getRequesterId(database, req) {
+  const requester = await authenticate(database, req);
+  return requester ? requester.userId : null;
+}
+
+/**
+ * Helper: check that requester may act in the workspace of :userId (для маршрутов вида /.../:userId).
+ * - permission: read | edit | generate | publish | manage; без него — только сам пользователь
+ *   и только по сессии, не по API-ключу (API-ключ дополнительно ограничен своими scope)
+ * If token missing -> 400, invalid or expired -> 401
+ * If not owner / member without permission / API key without scope -> 403
+ * Returns true if ok, false if response already sent
+ */
+export async function verifyUserOrReject(database, userId, req, res, permission) {
+  const requester = await authenticate(database, req);
+  if (!requester) {
+    const { status, error } = unauthenticated(req);
+    res.status(status).json({ success: false, error });
+    return false;
+  }
+  if (!scopeAllows(requester, permission)) {
+    res.status(403).json({ success: false, error: "API-ключ не даёт доступа к этому действию" });
+    return false;
+  }
+  const requesterId = requester.userId;
+  if (Number(userId) === requesterId) return true;
+
+  const role = permission ? await workspaceRole(database, userId, requesterId) : null;
+  if (!role) {
+    res.status(403).json({ success: false, error: "Доступ запрещён" });
+    return false;
+  }
+  if (!can(role, permission)) {
+    res.status(403).json({ success: false, error: `Недостаточно прав: роль ${role} не даёт права ${permission}` });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Workspaces the user can read: своё и те, где он принятый участник (любая роль даёт read).
+ * - database: база (таблица workspace_members)
+ * Returns [workspaceId, ...]
+ */
+export async function memberWorkspaces(database, userId) {
+  const rows = await database.all(
+    "SELECT workspace_id FROM workspace_members WHERE user_id = ? AND status = 'active' ORDER BY id",
+    userId
+  );
+  return [Number(userId), ...rows.map((r) => r.workspace_id)];
+}
+
+/**
+ * Users with access to a workspace: владелец и принятые участники.
+ * - database: база (таблица workspace_members)
+ * Returns [userId, ...]
+ */
+export async function workspaceUsers(database, workspaceId) {
+  const rows = await database.all(
+    "SELECT user_id FROM workspace_members WHERE workspace_id = ? AND status = 'active'",
+    workspaceId
+  );
+  return [Number(workspaceId), ...rows.map((r) => r.user_id)];
+}